@@ -0,0 +1,76 @@
+const { ENV } = require('./backpack_exchange-main/keystore');
+
+// 配置文件中没有 profiles 时，整个配置文件就是这个账户
+const DEFAULT_PROFILE = 'default';
+// 有 profiles 时不能出现在顶层 api 中的密钥字段
+const KEY_FIELDS = ['privateKey', 'publicKey'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 配置文件中启用的账户名称；没有 profiles 时只有 default 一个账户
+function profileNames(fileConfig) {
+    if (!fileConfig.profiles) {
+        return [DEFAULT_PROFILE];
+    }
+    return Object.keys(fileConfig.profiles).filter(name => fileConfig.profiles[name].enabled !== false);
+}
+
+// 检查多账户配置。有 profiles 时顶层 api 不会被任何账户使用，其中的密钥多半是忘了移到账户中，报错而不是忽略
+function checkProfiles(fileConfig) {
+    if (!fileConfig.profiles || !isPlainObject(fileConfig.api)) {
+        return;
+    }
+    const keys = KEY_FIELDS.filter(key => fileConfig.api[key] !== undefined);
+    if (keys.length > 0) {
+        throw new Error(`配置文件中有 profiles 时不使用顶层 api 的密钥，请把 api.${keys.join(' / api.')} 移到 profiles.<账户名>.api 中`);
+    }
+}
+
+// 账户的完整配置：profile 中的 trading/actions/advanced 等按字段覆盖顶层的同名部分，
+// api 不从顶层继承，每个账户必须使用自己的密钥
+function resolveProfile(fileConfig, name) {
+    if (!fileConfig.profiles) {
+        return fileConfig;
+    }
+    checkProfiles(fileConfig);
+    const profile = fileConfig.profiles[name];
+    if (!profile) {
+        throw new Error(`配置文件中没有账户 ${name}`);
+    }
+    const { profiles, api, ...shared } = fileConfig;
+    const resolved = {};
+    for (const section of new Set([...Object.keys(shared), ...Object.keys(profile)])) {
+        const base = shared[section];
+        const override = profile[section];
+        resolved[section] = isPlainObject(base) && isPlainObject(override)
+            ? { ...base, ...override }
+            : (override ?? base);
+    }
+    resolved.api = profile.api || {};
+    return resolved;
+}
+
+// 带账户名前缀的环境变量名，例如 sub1 的 BACKPACK_PRIVATE_KEY 为 BACKPACK_SUB1_PRIVATE_KEY
+function profileEnvName(name, variable) {
+    return variable.replace(/^BACKPACK_/, `BACKPACK_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`);
+}
+
+// 账户的密钥环境变量：私钥、公钥和密钥文件只读取带账户名前缀的变量；
+// 口令和 BACKPACK_ALLOW_PLAINTEXT_KEYS 没有带前缀的设置时使用共同的设置
+function profileEnv(name, env = process.env) {
+    const result = {};
+    for (const [key, variable] of Object.entries(ENV)) {
+        const scoped = env[profileEnvName(name, variable)];
+        const shared = key === 'passphrase' || key === 'allowPlaintextKeys';
+        if (scoped !== undefined) {
+            result[variable] = scoped;
+        } else if (shared && env[variable] !== undefined) {
+            result[variable] = env[variable];
+        }
+    }
+    return result;
+}
+
+module.exports = { DEFAULT_PROFILE, profileNames, checkProfiles, resolveProfile, profileEnv, profileEnvName };
@@ -0,0 +1,133 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AccountStream = exports.parsePositionUpdate = exports.parseOrderUpdate = void 0;
+const ws_stream_1 = require("./ws_stream");
+// 订单推送的事件类型 -> 对外事件名；orderFill 按订单状态区分全部/部分成交
+const ORDER_EVENTS = {
+    orderAccepted: "orderAccepted",
+    orderCancelled: "orderCancelled",
+    orderExpired: "orderExpired",
+    orderModified: "orderModified",
+    triggerPlaced: "triggerPlaced",
+    triggerFailed: "triggerFailed",
+};
+const POSITION_EVENTS = ["positionOpened", "positionAdjusted", "positionClosed"];
+/**
+ * 把 account.orderUpdate 推送的简写字段转为可读字段
+ * https://docs.backpack.exchange/#tag/Streams/Private/Order-update
+ */
+const parseOrderUpdate = (d) => ({
+    type: d.e,
+    eventTime: d.E,
+    symbol: d.s,
+    clientId: d.c,
+    side: d.S,
+    orderType: d.o,
+    timeInForce: d.f,
+    quantity: d.q,
+    quoteQuantity: d.Q,
+    price: d.p,
+    triggerPrice: d.P,
+    triggerBy: d.B,
+    takeProfitTriggerPrice: d.a,
+    stopLossTriggerPrice: d.b,
+    triggerQuantity: d.Y,
+    status: d.X,
+    expiryReason: d.R,
+    orderId: d.i,
+    tradeId: d.t,
+    fillQuantity: d.l,
+    executedQuantity: d.z,
+    executedQuoteQuantity: d.Z,
+    fillPrice: d.L,
+    isMaker: d.m,
+    fee: d.n,
+    feeSymbol: d.N,
+    selfTradePrevention: d.V,
+    engineTimestamp: d.T,
+    origin: d.O,
+    relatedOrderId: d.I,
+});
+exports.parseOrderUpdate = parseOrderUpdate;
+/**
+ * 把 account.positionUpdate 推送的简写字段转为可读字段
+ * https://docs.backpack.exchange/#tag/Streams/Private/Position-update
+ */
+const parsePositionUpdate = (d) => ({
+    type: d.e,
+    eventTime: d.E,
+    symbol: d.s,
+    breakEvenPrice: d.b,
+    entryPrice: d.B,
+    initialMarginFraction: d.f,
+    estimatedLiquidationPrice: d.l,
+    maintenanceMarginFraction: d.m,
+    markPrice: d.M,
+    netExposureNotional: d.n,
+    realizedPnl: d.p,
+    unrealizedPnl: d.P,
+    netQuantity: d.q,
+    netExposureQuantity: d.Q,
+    positionId: d.i,
+    engineTimestamp: d.T,
+});
+exports.parsePositionUpdate = parsePositionUpdate;
+/**
+ * 私有账户流
+ * 每次(重新)连接都会重新签名订阅请求，断线后自动恢复所有订阅。
+ *
+ * 订单事件: orderAccepted, orderFilled, orderPartiallyFilled, orderCancelled,
+ *          orderExpired, orderModified, triggerPlaced, triggerFailed, 以及汇总的 orderUpdate
+ * 持仓事件: positionOpened, positionAdjusted, positionClosed, 以及汇总的 positionUpdate
+ * 事件参数为解析后的对象和流名称
+ *
+ * @param {BackpackClient} client   用于签名订阅请求
+ * @param {Object}         options  见 StreamConnection
+ */
+class AccountStream extends ws_stream_1.StreamConnection {
+    constructor(client, options = {}) {
+        super(options);
+        this.client = client;
+    }
+    /**
+     * 订阅订单更新
+     * @param {string} symbol 可选，只订阅该交易对
+     */
+    subscribeOrderUpdates(symbol) {
+        return this.subscribe(symbol ? `account.orderUpdate.${symbol}` : "account.orderUpdate");
+    }
+    /**
+     * 订阅持仓更新
+     * @param {string} symbol 可选，只订阅该交易对
+     */
+    subscribePositionUpdates(symbol) {
+        return this.subscribe(symbol ? `account.positionUpdate.${symbol}` : "account.positionUpdate");
+    }
+    subscribeMessage(streams) {
+        return {
+            method: "SUBSCRIBE",
+            params: streams,
+            signature: this.client.subscriptionSignature(),
+        };
+    }
+    handleStreamMessage(stream, data) {
+        if (stream.startsWith("account.orderUpdate")) {
+            const event = (0, exports.parseOrderUpdate)(data);
+            const name = event.type === "orderFill"
+                ? (event.status === "Filled" ? "orderFilled" : "orderPartiallyFilled")
+                : ORDER_EVENTS[event.type];
+            if (name) {
+                this.emit(name, event, stream);
+            }
+            this.emit("orderUpdate", event, stream);
+        }
+        else if (stream.startsWith("account.positionUpdate")) {
+            const event = (0, exports.parsePositionUpdate)(data);
+            if (POSITION_EVENTS.includes(event.type)) {
+                this.emit(event.type, event, stream);
+            }
+            this.emit("positionUpdate", event, stream);
+        }
+    }
+}
+exports.AccountStream = AccountStream;
@@ -3,136 +3,49 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.BackpackClient = void 0;
-const got_1 = __importDefault(require("got"));
+exports.BackpackClient = exports.API_ENVIRONMENTS = void 0;
 const crypto_1 = __importDefault(require("crypto"));
 const qs_1 = __importDefault(require("qs"));
-const ws_1 = __importDefault(require("ws"));
+const openapi_instructions_1 = require("./openapi_instructions");
+const ws_stream_1 = require("./ws_stream");
+const local_order_book_1 = require("./local_order_book");
+const account_stream_1 = require("./account_stream");
+const errors_1 = require("./errors");
+const rate_limiter_1 = require("./rate_limiter");
+const clock_sync_1 = require("./clock_sync");
+const decimal_1 = require("./decimal");
+const transport_1 = require("./transport");
+const schema_validator_1 = require("./schema_validator");
+const pagination_1 = require("./pagination");
+const market_registry_1 = require("./market_registry");
+const keystore_1 = require("./keystore");
+const ed25519_keys_1 = require("./ed25519_keys");
+const withdrawal_1 = require("./withdrawal");
 const BACKOFF_EXPONENT = 1.5;
 const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_WINDOW_MS = 60000;
 const BASE_URL = "https://api.backpack.exchange/";
-// const BASE_URL = "https://api.cf.backpack.exchange/";
-// 执行对应操作的命令
-const instructions = {
-    public: new Map([
-        ["assets", { url: `${BASE_URL}api/v1/assets`, method: "GET" }],
-        ["markets", { url: `${BASE_URL}api/v1/markets`, method: "GET" }],
-        ["ticker", { url: `${BASE_URL}api/v1/ticker`, method: "GET" }],
-        ["depth", { url: `${BASE_URL}api/v1/depth`, method: "GET" }],
-        ["klines", { url: `${BASE_URL}api/v1/klines`, method: "GET" }],
-        ["status", { url: `${BASE_URL}api/v1/status`, method: "GET" }],
-        ["ping", { url: `${BASE_URL}api/v1/ping`, method: "GET" }],
-        ["time", { url: `${BASE_URL}api/v1/time`, method: "GET" }],
-        ["trades", { url: `${BASE_URL}api/v1/trades`, method: "GET" }],
-        [
-            "tradesHistory",
-            { url: `${BASE_URL}api/v1/trades/history`, method: "GET" },
-        ],
-    ]),
-    private: new Map([
-        ["balanceQuery", { url: `${BASE_URL}api/v1/capital`, method: "GET" }],
-        [
-            "depositAddressQuery",
-            { url: `${BASE_URL}wapi/v1/capital/deposit/address`, method: "GET" },
-        ],
-        [
-            "depositQueryAll",
-            { url: `${BASE_URL}wapi/v1/capital/deposits`, method: "GET" },
-        ],
-        [
-            "fillHistoryQueryAll",
-            { url: `${BASE_URL}wapi/v1/history/fills`, method: "GET" },
-        ],
-        ["orderCancel", { url: `${BASE_URL}api/v1/order`, method: "DELETE" }],
-        ["orderCancelAll", { url: `${BASE_URL}api/v1/orders`, method: "DELETE" }],
-        ["orderExecute", { url: `${BASE_URL}api/v1/order`, method: "POST" }],
-        [
-            "orderHistoryQueryAll",
-            { url: `${BASE_URL}wapi/v1/history/orders`, method: "GET" },
-        ],
-        ["orderQuery", { url: `${BASE_URL}api/v1/order`, method: "GET" }],
-        ["orderQueryAll", { url: `${BASE_URL}api/v1/orders`, method: "GET" }],
-        ["positionQuery", { url: `${BASE_URL}api/v1/position`, method: "GET" }],
-        [
-            "withdraw",
-            { url: `${BASE_URL}wapi/v1/capital/withdrawals`, method: "POST" },
-        ],
-        [
-            "withdrawalQueryAll",
-            { url: `${BASE_URL}wapi/v1/capital/withdrawals`, method: "GET" },
-        ],
-    ]),
-};
-//解码私钥成pkcs8编码的私钥
-const toPkcs8der = (rawB64) => {
-    try {
-        // 检查私钥格式
-        if (!rawB64 || typeof rawB64 !== 'string') {
-            throw new Error('私钥不能为空且必须是字符串');
-        }
-        
-        // 移除可能的空格和换行符
-        rawB64 = rawB64.trim().replace(/\s+/g, '');
-        
-        // 检查私钥格式
-        if (!rawB64.startsWith('sd')) {
-            throw new Error('私钥格式错误：必须以sd开头');
-        }
-        
-        // 解码base64
-        const rawPrivate = Buffer.from(rawB64, "base64");
-        if (rawPrivate.length < 32) {
-            throw new Error('私钥长度不足');
-        }
-        
-        // 只取前32字节
-        const privateKeyBytes = rawPrivate.subarray(0, 32);
-        
-        // 添加ED25519私钥前缀
-        const prefixPrivateEd25519 = Buffer.from("302e020100300506032b657004220420", "hex");
-        const der = Buffer.concat([prefixPrivateEd25519, privateKeyBytes]);
-        
-        return crypto_1.default.createPrivateKey({ key: der, format: "der", type: "pkcs8" });
-    } catch (error) {
-        throw new Error(`私钥处理错误: ${error.message}`);
-    }
-};
-//解码公钥成spki编码的公钥
-const toSpki = (rawB64) => {
-    try {
-        // 检查公钥格式
-        if (!rawB64 || typeof rawB64 !== 'string') {
-            throw new Error('公钥不能为空且必须是字符串');
-        }
-        
-        // 移除可能的空格和换行符
-        rawB64 = rawB64.trim().replace(/\s+/g, '');
-        
-        // 检查公钥格式
-        if (!rawB64.startsWith('+')) {
-            throw new Error('公钥格式错误：必须以+开头');
-        }
-        
-        // 解码base64
-        const rawPublic = Buffer.from(rawB64, "base64");
-        if (rawPublic.length < 32) {
-            throw new Error('公钥长度不足');
-        }
-        
-        // 添加ED25519公钥前缀
-        const prefixPublicEd25519 = Buffer.from("302a300506032b6570032100", "hex");
-        const der = Buffer.concat([prefixPublicEd25519, rawPublic]);
-        
-        return crypto_1.default.createPublicKey({ key: der, format: "der", type: "spki" });
-    } catch (error) {
-        throw new Error(`公钥处理错误: ${error.message}`);
-    }
+// REST请求的默认超时时间
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_USER_AGENT = "backpack-auto-trading";
+/**
+ * 可选的交易所接入地址，客户端选项 environment 选择其一，baseUrl / wsUrl 可以单独覆盖
+ */
+exports.API_ENVIRONMENTS = {
+    production: { baseUrl: BASE_URL, wsUrl: ws_stream_1.DEFAULT_WS_URL },
+    // 经Cloudflare转发的REST地址，直连不稳定时使用
+    cloudflare: { baseUrl: "https://api.cf.backpack.exchange/", wsUrl: ws_stream_1.DEFAULT_WS_URL },
 };
+const spec = (0, openapi_instructions_1.loadSpec)();
+// 执行对应操作的命令，由openapi.json生成
+const instructions = (0, openapi_instructions_1.buildInstructions)(spec, BASE_URL);
+// 严格模式下检查请求参数和响应字段
+const schemaValidator = new schema_validator_1.SchemaValidator(spec);
 /**
  * 生成签名方法 getMessageSignature
  * https://docs.backpack.exchange/#section/Authentication/Signing-requests
  * @param  {Object}        request params as an object
- * @param  {UInt8Array}    privateKey
+ * @param  {KeyObject}     privateKey 由 parsePrivateKey 解析的私钥
  * @param  {number}        timestamp Unix time in ms that the request was sent
  * @param  {string}        instruction
  * @param  {number}        window Time window in milliseconds that the request is valid for
@@ -142,7 +55,8 @@ const getMessageSignature = (request, privateKey, timestamp, instruction, window
     function alphabeticalSort(a, b) {
         return a.localeCompare(b);
     }
-    const message = qs_1.default.stringify(request, { sort: alphabeticalSort });
+    // 数组参数(例如marketType)按 a=1&a=2 的形式，与查询字符串一致
+    const message = qs_1.default.stringify(request, { sort: alphabeticalSort, arrayFormat: "repeat" });
     const headerInfo = { timestamp, window: window ?? DEFAULT_TIMEOUT_MS };
     const headerMessage = qs_1.default.stringify(headerInfo);
     const messageToSign = "instruction=" +
@@ -150,16 +64,92 @@ const getMessageSignature = (request, privateKey, timestamp, instruction, window
         "&" +
         (message ? message + "&" : "") +
         headerMessage;
-    const signature = crypto_1.default.sign(null, Buffer.from(messageToSign), toPkcs8der(privateKey));
+    const signature = crypto_1.default.sign(null, Buffer.from(messageToSign), (0, ed25519_keys_1.parsePrivateKey)(privateKey));
     return signature.toString("base64");
 };
-// 请求方法 rawRequest(命令，请求头，请求参数)
-const rawRequest = async (instruction, headers, data) => {
-    const { url, method } = instructions.private.has(instruction)
-        ? instructions.private.get(instruction)
-        : instructions.public.get(instruction);
+// 解析错误响应体，Backpack返回 { code, message }，无法解析时保留原文
+const parseErrorBody = (body) => {
+    try {
+        return JSON.parse(body);
+    }
+    catch (_e) {
+        return body;
+    }
+};
+// 订单ID、成交ID等标识字段，始终保持字符串，避免超过2^53的ID被转成数字后失真
+const ID_KEY_PATTERN = /^id$|Id$/;
+// 原始JSON中没有加引号的整数ID，例如 "orderId":112000000000041
+const RAW_ID_NUMBER_PATTERN = /(?<!\\)"(id|[^"\\]*Id)"(\s*:\s*)(-?\d+)(?=\s*[,}\]])/g;
+/**
+ * 解析前给原始JSON中的整数ID加上引号。
+ * JSON.parse之后再转字符串已经晚了，超过2^53的ID在解析时就已经失真
+ * @param  {string} text 响应原文
+ * @return {string}
+ */
+const quoteRawIds = (text) => text.replace(RAW_ID_NUMBER_PATTERN, '"$1"$2"$3"');
+/**
+ * 生成解析响应JSON的reviver，配合quoteRawIds使用
+ * number模式(默认)把数值字符串转为Number；decimal模式转为Decimal，价格和数量不丢失精度。
+ * 两种模式下ID字段都保持字符串；预处理没有覆盖到的数字ID在Node 21以上按context.source取原文。
+ * @param {string} numericMode 'number' 或 'decimal'
+ */
+const createReviver = (numericMode = "number") => function (key, value, context) {
+    if (ID_KEY_PATTERN.test(key)) {
+        if (typeof value !== "number") {
+            return value;
+        }
+        return context && typeof context.source === "string" ? context.source : String(value);
+    }
+    if (!decimal_1.Decimal.isDecimalString(value)) {
+        return value;
+    }
+    return numericMode === "decimal" ? decimal_1.Decimal.from(value) : Number(value);
+};
+// Decimal/BigInt参数转为字符串，保证签名和请求体中的数值一致
+const serializeParams = (params = {}) => {
+    const result = {};
+    for (const [key, value] of Object.entries(params)) {
+        result[key] = value instanceof decimal_1.Decimal || typeof value === "bigint" ? value.toString() : value;
+    }
+    return result;
+};
+// 已经警告过的不符信息，轮询的接口不会反复打印同一条警告
+const warnedSchemaIssues = new Set();
+/**
+ * 严格模式下报告与openapi.json不符的字段
+ * strict为'warn'时只打印警告(相同的问题只打印一次)，为true时抛出SchemaValidationError
+ */
+const reportSchemaIssues = (strict, direction, instruction, endpoint, params, issues) => {
+    if (!strict || issues.length === 0) {
+        return;
+    }
+    const label = direction === "request" ? "请求参数" : "响应字段";
+    const message = `${instruction}(${endpoint.operationId}) ${label}与openapi.json不符: ${issues.join("; ")}`;
+    if (strict === "warn") {
+        if (!warnedSchemaIssues.has(message)) {
+            warnedSchemaIssues.add(message);
+            console.warn("BPX schema mismatch", message);
+        }
+        return;
+    }
+    throw new errors_1.SchemaValidationError(message, { instruction, params, direction, issues });
+};
+// 请求方法 rawRequest(命令，请求头，请求参数，{ numericMode, transport, baseUrl, userAgent, strict })
+const rawRequest = async (instruction, headers, data, requestConfig = {}) => {
+    const endpoint = instructions.private.get(instruction) ?? instructions.public.get(instruction);
+    if (!endpoint) {
+        throw new Error(instruction + " is not a valid API method.");
+    }
+    const { method } = endpoint;
+    if (requestConfig.strict) {
+        reportSchemaIssues(requestConfig.strict, "request", instruction, endpoint, data, schemaValidator.validateRequest(endpoint.operationId, data));
+    }
+    // 指定baseUrl时(例如本地模拟交易所)替换文档中的默认地址
+    const url = requestConfig.baseUrl
+        ? requestConfig.baseUrl.replace(/\/?$/, "/") + endpoint.path.replace(/^\//, "")
+        : endpoint.url;
     let fullUrl = url;
-    headers["User-Agent"] = "Backpack Typescript API Client";
+    headers["User-Agent"] = requestConfig.userAgent ?? DEFAULT_USER_AGENT;
     headers["Content-Type"] =
         method == "GET"
             ? "application/x-www-form-urlencoded"
@@ -168,34 +158,50 @@ const rawRequest = async (instruction, headers, data) => {
     if (method == "GET") {
         Object.assign(options, { method });
         fullUrl =
-            url + (Object.keys(data).length > 0 ? "?" + qs_1.default.stringify(data) : "");
+            url + (Object.keys(data).length > 0 ? "?" + qs_1.default.stringify(data, { arrayFormat: "repeat" }) : "");
     }
-    else if (method == "POST" || method == "DELETE") {
+    else if (method == "POST" || method == "DELETE" || method == "PATCH") {
         Object.assign(options, {
             method,
             body: JSON.stringify(data),
         });
     }
-    const response = await (0, got_1.default)(fullUrl, options);
+    let response;
+    try {
+        response = await (requestConfig.transport ?? defaultTransport).request(fullUrl, options);
+    }
+    catch (error) {
+        if (error.response) {
+            throw (0, errors_1.createApiError)({
+                status: error.response.statusCode,
+                body: parseErrorBody(error.response.body),
+                headers: error.response.headers,
+            }, instruction, data);
+        }
+        if (error instanceof errors_1.BackpackApiError) {
+            // transport已经分类的错误，例如回放时的 CassetteMismatchError
+            throw error;
+        }
+        throw new errors_1.NetworkError(`${instruction} 请求未收到响应: ${error.message}`, {
+            instruction,
+            params: data,
+            cause: error,
+        });
+    }
     const contentType = response.headers["content-type"];
     if (contentType?.includes("application/json")) {
-        const parsed = JSON.parse(response.body, function (_key, value) {
-            if (value instanceof Array && value.length == 0) {
-                return value;
-            }
-            if (isNaN(Number(value))) {
-                return value;
-            }
-            return Number(value);
-        });
+        const parsed = JSON.parse(quoteRawIds(response.body), createReviver(requestConfig.numericMode));
+        if (requestConfig.strict) {
+            reportSchemaIssues(requestConfig.strict, "response", instruction, endpoint, data, schemaValidator.validateResponse(endpoint.operationId, parsed));
+        }
         if (parsed.error && parsed.error.length) {
             const error = parsed.error
                 .filter((e) => e.startsWith("E"))
                 .map((e) => e.substr(1));
             if (!error.length) {
-                throw new Error("Backpack API returned an unknown error");
+                throw new errors_1.BackpackApiError("Backpack API returned an unknown error", { instruction, params: data, body: parsed });
             }
-            throw new Error(`url=${url} body=${options["body"]} err=${error.join(", ")}`);
+            throw new errors_1.BackpackApiError(`url=${url} body=${options["body"]} err=${error.join(", ")}`, { instruction, params: data, body: parsed });
         }
         return parsed;
     }
@@ -206,25 +212,99 @@ const rawRequest = async (instruction, headers, data) => {
         return response;
     }
 };
+const defaultTransport = new transport_1.LiveTransport();
+// 按clientId在订单历史中查找订单时，从提交时间往前多查的时间，容许本地与交易所的时钟偏差
+const ORDER_LOOKUP_MARGIN_MS = 60 * 1000;
+// 订单clientId为uint32，从随机值开始递增，保证同一进程内不重复
+let clientIdCounter = crypto_1.default.randomInt(1, 0x7fffffff);
+const nextClientId = () => {
+    clientIdCounter = clientIdCounter >= 0xffffffff ? 1 : clientIdCounter + 1;
+    return clientIdCounter;
+};
+// 签名有效时间窗口必须在 1 ~ 60000 毫秒之间
+const validateWindow = (window) => {
+    const value = Number(window);
+    if (!Number.isInteger(value) || value <= 0 || value > MAX_WINDOW_MS) {
+        throw new Error(`签名时间窗口必须是 1 到 ${MAX_WINDOW_MS} 之间的整数毫秒: ${window}`);
+    }
+    return value;
+};
+// 请求超时时间必须是正数毫秒
+const validateTimeout = (timeout) => {
+    const value = Number(timeout);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`请求超时时间必须是正数毫秒: ${timeout}`);
+    }
+    return value;
+};
+const resolveEnvironment = (name = "production") => {
+    const environment = exports.API_ENVIRONMENTS[name];
+    if (!environment) {
+        throw new Error(`未知的接入环境 ${name}，可选: ${Object.keys(exports.API_ENVIRONMENTS).join(", ")}`);
+    }
+    return environment;
+};
+// 请求在调度器中的优先级：撤单 > 查询 > 下单
+const requestPriority = (instruction) => {
+    const endpoint = instructions.private.get(instruction) ?? instructions.public.get(instruction);
+    return (0, rate_limiter_1.priorityForMethod)(endpoint?.method);
+};
 /**
  * 初始化BackpackClient 填入私钥和公钥
  * BackpackClient connects to the Backpack API
- * @param {string}        privateKey base64 encoded
- * @param {string}        publicKey  base64 encoded
+ * @param {string}        privateKey ED25519私钥：base64或十六进制的32字节种子、64字节secret key、PKCS8 PEM
+ * @param {string}        publicKey  ED25519公钥：base64或十六进制的32字节公钥、SPKI PEM
+ * @param {Object}        options
+ * @param {Object}        options.rateLimits  请求预算 { public: { capacity, refillPerSecond }, private: {...} }
+ * @param {RequestScheduler} options.scheduler 共享的请求调度器，同一账户的多个客户端应共用一个
+ * @param {number}        options.window      签名有效时间窗口(毫秒)，默认5000，最大60000
+ * @param {boolean}       options.timeSync    是否按交易所时钟签名，默认开启
+ * @param {number}        options.timeSyncIntervalMs  定期同步时钟的间隔，默认10分钟
+ * @param {string}        options.numericMode 'number'(默认) 数值字符串转为Number；'decimal' 转为Decimal
+ * @param {Object}        options.transport   自定义transport；或用 transportMode(live/record/replay) + cassette 创建
+ * @param {string[]}      options.cassetteRedactKeys  录制和回放时在请求体和URL中替换的字段，默认 twoFactorToken、address
+ * @param {string}        options.environment 接入环境，见 API_ENVIRONMENTS，默认 production
+ * @param {string}        options.baseUrl     REST地址，默认取接入环境的地址(https://api.backpack.exchange/)
+ * @param {string}        options.wsUrl       WebSocket地址，默认取接入环境的地址(wss://ws.backpack.exchange)
+ * @param {number}        options.requestTimeoutMs  单个REST请求和WebSocket握手的超时时间，默认10000毫秒
+ * @param {string}        options.proxy       HTTP(S)/SOCKS代理，例如 http://127.0.0.1:7890、socks5://127.0.0.1:1080
+ * @param {string}        options.userAgent   User-Agent 请求头，默认 backpack-auto-trading
+ * @param {boolean|string} options.strict     按openapi.json检查请求参数和响应字段：true 不符时抛出
+ *                                            SchemaValidationError，'warn' 只打印警告，默认不检查
  */
 class BackpackClient {
-    constructor(privateKey, publicKey) {
-        this.config = { privateKey, publicKey };
+    constructor(privateKey, publicKey, options = {}) {
+        // 解析一次，之后签名直接使用KeyObject；公钥统一为交易所使用的base64格式
+        const signingKey = (0, ed25519_keys_1.parsePrivateKey)(privateKey);
+        const environment = resolveEnvironment(options.environment);
+        this.config = {
+            publicKey: (0, ed25519_keys_1.encodePublicKey)(publicKey),
+            window: validateWindow(options.window ?? DEFAULT_TIMEOUT_MS),
+            numericMode: options.numericMode ?? "number",
+            baseUrl: options.baseUrl ?? environment.baseUrl,
+            wsUrl: options.wsUrl ?? environment.wsUrl,
+            requestTimeoutMs: validateTimeout(options.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS),
+            userAgent: options.userAgent ?? DEFAULT_USER_AGENT,
+            strict: options.strict ?? false,
+        };
+        // 私钥不可枚举，打印或 JSON.stringify 客户端时不会输出
+        Object.defineProperty(this.config, "privateKey", { value: signingKey, enumerable: false });
+        this.transport = options.transport ?? (0, transport_1.createTransport)({
+            mode: options.transportMode,
+            cassette: options.cassette,
+            redactKeys: options.cassetteRedactKeys,
+            timeoutMs: this.config.requestTimeoutMs,
+            proxy: options.proxy,
+            userAgent: this.config.userAgent,
+        });
+        this.scheduler = options.scheduler ?? new rate_limiter_1.RequestScheduler(options.rateLimits);
+        this.clock = options.timeSync === false
+            ? null
+            : new clock_sync_1.ClockSync(() => this.publicMethod("time"), { intervalMs: options.timeSyncIntervalMs });
         // Verify that the keys are a correct pair before sending any requests. Ran
         // into errors before with that which were not obvious.
-        const pubkeyFromPrivateKey = crypto_1.default
-            .createPublicKey(toPkcs8der(privateKey))
-            .export({ format: "der", type: "spki" })
-            .toString("base64");
-        const pubkey = toSpki(publicKey)
-            .export({ format: "der", type: "spki" })
-            .toString("base64");
-        if (pubkeyFromPrivateKey != pubkey) {
+        const pubkeyFromPrivateKey = (0, ed25519_keys_1.encodePublicKey)(signingKey);
+        if (pubkeyFromPrivateKey != this.config.publicKey) {
             throw new Error("错误的秘钥对，请检查私钥公钥是否匹配");
         }
     }
@@ -234,30 +314,45 @@ class BackpackClient {
      * @param  {String}   method   方法名 The API method (public or private)
      * @param  {Object}   params   Arguments to pass to the api call
      * @param  {Number}   retrysLeft
+     * @param  {Object}   requestOptions  单次请求的选项，例如 { window: 10000 }
      * @return {Object}   The response object 重试请求的次数
      */
-    async api(method, params, retrysLeft = 10) {
+    async api(method, params, retrysLeft = 10, requestOptions = {}) {
         try {
             if (instructions.public.has(method)) {
                 return await this.publicMethod(method, params);
             }
             else if (instructions.private.has(method)) {
-                return await this.privateMethod(method, params);
+                return await this.privateMethod(method, params, requestOptions);
             }
         }
         catch (e) {
-            if (retrysLeft > 0) {
+            // 参数错误、余额不足等重试也不会成功的错误直接抛出；调度器已经用完429重试次数的错误也不再重试
+            if (retrysLeft > 0 && !e.retriesExhausted && (0, errors_1.isRetryable)(e)) {
                 const numTry = 11 - retrysLeft;
-                const backOff = Math.pow(numTry, BACKOFF_EXPONENT);
+                const backOff = e.retryAfterMs ? e.retryAfterMs / 1000 : Math.pow(numTry, BACKOFF_EXPONENT);
                 console.warn("BPX api error", {
                     method,
                     numTry,
                     backOff,
                 }, e.toString(), e.response && e.response.body ? e.response.body : '');
                 await new Promise((resolve) => setTimeout(resolve, backOff * 1000));
-                return await this.api(method, params, retrysLeft - 1);
+                try {
+                    return await this.api(method, params, retrysLeft - 1, requestOptions);
+                }
+                catch (retryError) {
+                    // 标记客户端已经重试过，调用方不必再叠加一层重试
+                    if (retryError instanceof Error) {
+                        retryError.retriesExhausted = true;
+                    }
+                    throw retryError;
+                }
             }
             else {
+                // 不自动重试的请求(retrysLeft为0，例如ExecuteOrder)同样告诉调用方不要再叠加重试
+                if (retrysLeft === 0 && e instanceof Error) {
+                    e.retriesExhausted = true;
+                }
                 throw e;
             }
         }
@@ -271,7 +366,7 @@ class BackpackClient {
      * @return {Object}                 The response object
      */
     async publicMethod(instruction, params = {}) {
-        const response = await rawRequest(instruction, {}, params);
+        const response = await this.scheduler.schedule("public", requestPriority(instruction), () => rawRequest(instruction, {}, serializeParams(params), this.requestConfig()));
         return response;
     }
     /**
@@ -279,67 +374,147 @@ class BackpackClient {
      * This method makes a private API request.
      * @param  {String}   instruction The API method (public or private)
      * @param  {Object}   params      Arguments to pass to the api call
+     * @param  {Object}   requestOptions  { window } 覆盖本次请求的签名有效时间窗口
      * @return {Object}               The response object
      */
-    async privateMethod(instruction, params = {}) {
-        const timestamp = Date.now();
-        const signature = getMessageSignature(params, this.config.privateKey, timestamp, instruction);
-        const headers = {
-            "X-Timestamp": timestamp,
-            "X-Window": this.config.timeout ?? DEFAULT_TIMEOUT_MS,
-            "X-API-Key": this.config.publicKey,
-            "X-Signature": signature,
+    async privateMethod(instruction, params = {}, requestOptions = {}) {
+        params = serializeParams(params);
+        const window = validateWindow(requestOptions.window ?? this.config.window);
+        if (this.clock && !this.clock.isSynced()) {
+            await this.syncTime().catch((e) => console.warn("BPX time sync error", e.toString()));
+        }
+        // 在调度器真正发送时才签名，排队或因429重发都不会让时间戳过期
+        const send = () => this.scheduler.schedule("private", requestPriority(instruction), () => {
+            const timestamp = this.now();
+            const signature = getMessageSignature(params, this.config.privateKey, timestamp, instruction, window);
+            const headers = {
+                "X-Timestamp": timestamp,
+                "X-Window": window,
+                "X-API-Key": this.config.publicKey,
+                "X-Signature": signature,
+            };
+            return rawRequest(instruction, headers, params, this.requestConfig());
+        });
+        try {
+            return await send();
+        }
+        catch (e) {
+            // 时间戳被拒绝时重新同步时钟并立即重发一次
+            if (this.clock && (0, clock_sync_1.isTimestampError)(e)) {
+                console.warn("BPX timestamp rejected, resyncing clock", e.toString());
+                await this.syncTime();
+                return await send();
+            }
+            throw e;
+        }
+    }
+    // rawRequest使用的客户端设置
+    requestConfig() {
+        return {
+            numericMode: this.config.numericMode,
+            transport: this.transport,
+            baseUrl: this.config.baseUrl,
+            userAgent: this.config.userAgent,
+            strict: this.config.strict,
         };
-        const response = await rawRequest(instruction, headers, params);
-        return response;
+    }
+    /**
+     * 与交易所同步时钟，并开始定期同步
+     * @return {number} 本地时钟与交易所时钟的偏差(毫秒)
+     */
+    async syncTime() {
+        const offset = await this.clock.sync();
+        this.clock.start();
+        return offset;
+    }
+    /**
+     * 用于签名的当前时间，启用时钟同步时按交易所时钟校正
+     */
+    now() {
+        return this.clock ? this.clock.now() : Date.now();
     }
     /**
      * https://docs.backpack.exchange/#tag/Capital/operation/get_balances
      */
-    async Balance() {
-        return this.api("balanceQuery");
+    async Balance(requestOptions) {
+        return this.api("balanceQuery", {}, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Futures/operation/get_positions
      */
-    async Position() {
-        return this.api("positionQuery");
+    async Position(requestOptions) {
+        return this.api("positionQuery", {}, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Capital/operation/get_deposits
      */
-    async Deposits(params) {
-        return this.api("depositQueryAll", params);
+    async Deposits(params, requestOptions) {
+        return this.api("depositQueryAll", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Capital/operation/get_deposit_address
      */
-    async DepositAddress(params) {
-        return this.api("depositAddressQuery", params);
+    async DepositAddress(params, requestOptions) {
+        return this.api("depositAddressQuery", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Capital/operation/get_withdrawals
      */
-    async Withdrawals(params) {
-        return this.api("withdrawalQueryAll", params);
+    async Withdrawals(params, requestOptions) {
+        return this.api("withdrawalQueryAll", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Capital/operation/request_withdrawal
      */
-    async Withdraw(params) {
-        this.api("withdraw", params);
+    async Withdraw(params, requestOptions) {
+        // 提现不是幂等的，失败时不自动重试
+        return this.api("withdraw", params, 0, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/History/operation/get_order_history
      */
-    async OrderHistory(params) {
-        return this.api("orderHistoryQueryAll", params);
+    async OrderHistory(params, requestOptions) {
+        return this.api("orderHistoryQueryAll", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/History/operation/get_fills
      */
-    async FillHistory(params) {
-        return this.api("fillHistoryQueryAll", params);
+    async FillHistory(params, requestOptions) {
+        return this.api("fillHistoryQueryAll", params, undefined, requestOptions);
+    }
+    /**
+     * 按 limit/offset 逐页读取历史接口，用 for await 逐条取出记录
+     * @param  {string} instruction  orderHistoryQueryAll / fillHistoryQueryAll / depositQueryAll / withdrawalQueryAll
+     * @param  {Object} params       接口的其他参数，例如 { symbol }
+     * @param  {Object} options      { from, to, marketType, pageSize, windowMs, requestOptions }，见 pagination.paginate
+     * @return {AsyncGenerator}
+     */
+    paginate(instruction, params = {}, options = {}) {
+        return (0, pagination_1.paginate)((pageParams) => this.api(instruction, pageParams, undefined, options.requestOptions), instruction, params, options);
+    }
+    /**
+     * 逐条读取订单历史(最新的在前)，订单历史接口不接受时间参数，from/to在本地过滤
+     */
+    iterateOrderHistory(params, options) {
+        return this.paginate("orderHistoryQueryAll", params, options);
+    }
+    /**
+     * 逐条读取成交历史，时间范围过大时按 windowMs 拆成多个窗口查询
+     */
+    iterateFillHistory(params, options) {
+        return this.paginate("fillHistoryQueryAll", params, options);
+    }
+    /**
+     * 逐条读取充值记录
+     */
+    iterateDeposits(params, options) {
+        return this.paginate("depositQueryAll", params, options);
+    }
+    /**
+     * 逐条读取提现记录
+     */
+    iterateWithdrawals(params, options) {
+        return this.paginate("withdrawalQueryAll", params, options);
     }
     /**
      * https://docs.backpack.exchange/#tag/Markets/operation/get_assets
@@ -374,32 +549,104 @@ class BackpackClient {
     /**
      * https://docs.backpack.exchange/#tag/Order/operation/get_order
      */
-    async GetOrder(params) {
-        return this.api("orderQuery", params);
+    async GetOrder(params, requestOptions) {
+        return this.api("orderQuery", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Order/operation/execute_order
      */
-    async ExecuteOrder(params) {
-        return this.api("orderExecute", params, 0);
+    async ExecuteOrder(params, requestOptions) {
+        return this.api("orderExecute", params, 0, requestOptions);
+    }
+    /**
+     * 幂等下单：自动附带clientId。请求失败且可能已被交易所接受时(超时、5xx等)，
+     * 按clientId查询挂单和成交记录，找到时返回该订单；找不到时无法确认订单是否存在(可能已经过期或撤销)，
+     * 不会重新发送，抛出原来的错误并设置 orderStatusUnknown，由调用方核对后再决定是否下单
+     * @param  {Object} params                  ExecuteOrder的参数，未提供clientId时自动生成
+     * @param  {Object} options
+     * @param  {number} options.lookupDelayMs   失败后等待多久再查询订单，默认1000
+     * @return {Object} 订单
+     */
+    async placeOrder(params, options = {}) {
+        const lookupDelayMs = options.lookupDelayMs ?? 1000;
+        const orderParams = { ...params, clientId: params.clientId ?? nextClientId() };
+        const submittedAt = Date.now();
+        try {
+            return await this.ExecuteOrder(orderParams, options.requestOptions);
+        }
+        catch (e) {
+            if (!(0, errors_1.isRetryable)(e)) {
+                throw e;
+            }
+            console.warn("BPX order error, reconciling by clientId", {
+                clientId: orderParams.clientId,
+            }, e.toString());
+            await new Promise((resolve) => setTimeout(resolve, lookupDelayMs));
+            let existing = null;
+            try {
+                existing = await this.findOrderByClientId(orderParams.symbol, orderParams.clientId, submittedAt);
+            }
+            catch (lookupError) {
+                console.warn("BPX order lookup failed", lookupError.toString());
+            }
+            if (existing) {
+                return existing;
+            }
+            if (e instanceof Error) {
+                e.orderStatusUnknown = true;
+                e.clientId = orderParams.clientId;
+            }
+            throw e;
+        }
+    }
+    /**
+     * 按clientId查找订单：先查挂单；找不到时订单历史没有clientId字段，改为在成交历史中按clientId
+     * 找到订单ID，再按订单ID查订单历史。成交历史只查到提交时间之前ORDER_LOOKUP_MARGIN_MS为止(容许时钟偏差)。
+     * 没有成交就结束的订单(过期或撤销)查不到，返回null时不能据此认为订单不存在
+     * @param  {string} symbol
+     * @param  {number} clientId
+     * @param  {number} submittedAt  首次提交订单的本地毫秒时间，不传时查最近一天
+     * @return {Object|null}
+     */
+    async findOrderByClientId(symbol, clientId, submittedAt = Date.now() - 24 * 60 * 60 * 1000) {
+        try {
+            return await this.GetOrder({ symbol, clientId });
+        }
+        catch (e) {
+            if (!(e instanceof errors_1.NotFoundError)) {
+                throw e;
+            }
+        }
+        let orderId = null;
+        for await (const fill of this.iterateFillHistory({ symbol }, { from: submittedAt - ORDER_LOOKUP_MARGIN_MS })) {
+            if (fill.clientId !== undefined && fill.clientId !== null && String(fill.clientId) === String(clientId)) {
+                orderId = fill.orderId;
+                break;
+            }
+        }
+        if (orderId === null) {
+            return null;
+        }
+        const history = await this.OrderHistory({ symbol, orderId });
+        return (history || []).find((order) => String(order.id) === String(orderId)) ?? null;
     }
     /**
      * https://docs.backpack.exchange/#tag/Order/operation/cancel_order
      */
-    async CancelOrder(params) {
-        return this.api("orderCancel", params);
+    async CancelOrder(params, requestOptions) {
+        return this.api("orderCancel", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Order/operation/get_open_orders
      */
-    async GetOpenOrders(params) {
-        return this.api("orderQueryAll", params);
+    async GetOpenOrders(params, requestOptions) {
+        return this.api("orderQueryAll", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/Order/operation/cancel_open_orders
      */
-    async CancelOpenOrders(params) {
-        return this.api("orderCancelAll", params);
+    async CancelOpenOrders(params, requestOptions) {
+        return this.api("orderCancelAll", params, undefined, requestOptions);
     }
     /**
      * https://docs.backpack.exchange/#tag/System/operation/get_status
@@ -431,19 +678,79 @@ class BackpackClient {
     async HistoricalTrades(params) {
         return this.api("tradesHistory", params);
     }
+    /**
+     * https://docs.backpack.exchange/#tag/Streams/Public
+     * 创建自动重连的公共行情流，订阅 bookTicker/depth/trade/kline/ticker
+     * @param  {Object} options  见 StreamConnection
+     * @return {MarketStream}
+     */
+    createMarketStream(options = {}) {
+        return new ws_stream_1.MarketStream({
+            url: this.config.wsUrl,
+            socketFactory: (url) => this.transport.createSocket(url),
+            ...options,
+        });
+    }
+    /**
+     * 创建本地订单簿，调用 start() 后从 Depth() 快照和 depth 推送同步
+     * @param  {string} symbol   交易对
+     * @param  {Object} options  { stream } 复用已有的行情流
+     * @return {LocalOrderBook}
+     */
+    createOrderBook(symbol, options = {}) {
+        return new local_order_book_1.LocalOrderBook(this, symbol, options);
+    }
+    /**
+     * 创建交易对规则缓存，调用 start() 后从 Markets() 加载并定期刷新
+     * @param  {Object} options  { refreshIntervalMs, minNotional }
+     * @return {MarketRegistry}
+     */
+    createMarketRegistry(options = {}) {
+        return new market_registry_1.MarketRegistry(this, options);
+    }
+    /**
+     * 创建带白名单、每日限额和审计日志的提现流程
+     * @param  {Object} options  { allowlist, dailyLimits, auditFile, confirm, pollIntervalMs, pollTimeoutMs }
+     * @return {WithdrawalManager}
+     */
+    createWithdrawalManager(options = {}) {
+        return new withdrawal_1.WithdrawalManager(this, options);
+    }
+    /**
+     * 生成私有流订阅请求的签名，每次调用都使用新的时间戳
+     * https://docs.backpack.exchange/#tag/Streams/Private
+     * @return {string[]} [公钥, 签名, 时间戳, 有效时间窗口]
+     */
+    subscriptionSignature(window = this.config.window) {
+        window = validateWindow(window);
+        const timestamp = this.now();
+        const signature = getMessageSignature({}, this.config.privateKey, timestamp, "subscribe", window);
+        return [this.config.publicKey, signature, timestamp.toString(), window.toString()];
+    }
+    /**
+     * https://docs.backpack.exchange/#tag/Streams/Private
+     * 创建自动重连的私有账户流，重连时重新签名并恢复订阅
+     * @param  {Object} options  见 StreamConnection
+     * @return {AccountStream}
+     */
+    createAccountStream(options = {}) {
+        return new account_stream_1.AccountStream(this, {
+            url: this.config.wsUrl,
+            socketFactory: (url) => this.transport.createSocket(url),
+            ...options,
+        });
+    }
     /**
       * https://docs.backpack.exchange/#tag/Streams/Private
+      * 只订阅一次、不会重连的原始连接，新代码请使用 createAccountStream()
       * @return {Object} Websocket     Websocket connecting to order update stream
       */
     subscribeOrderUpdate() {
-        const privateStream = new ws_1.default('wss://ws.backpack.exchange');
-        const timestamp = Date.now();
-        const window = 5000;
-        const signature = getMessageSignature({}, this.config.privateKey, timestamp, "subscribe", window);
+        const privateStream = this.transport.createSocket(this.config.wsUrl);
         const subscriptionData = {
             method: 'SUBSCRIBE',
             params: ["account.orderUpdate"],
-            "signature": [this.config.publicKey, signature, timestamp.toString(), window.toString()]
+            "signature": this.subscriptionSignature()
         };
         privateStream.onopen = (_) => {
             console.log('Connected to BPX Websocket');
@@ -455,4 +762,32 @@ class BackpackClient {
         return privateStream;
     }
 }
-exports.BackpackClient = BackpackClient; 
\ No newline at end of file
+// 为openapi.json中的每个接口生成方法(operationId转为PascalCase，如get_mark_prices -> GetMarkPrices)，
+// 上面手写的方法优先；非幂等的POST/PATCH请求与ExecuteOrder一样不自动重试
+for (const operation of instructions.operations) {
+    if (operation.methodName in BackpackClient.prototype) {
+        continue;
+    }
+    const retrysLeft = operation.method == "POST" || operation.method == "PATCH" ? 0 : undefined;
+    Object.defineProperty(BackpackClient.prototype, operation.methodName, {
+        value: async function (params, requestOptions) {
+            return this.api(operation.instruction, params, retrysLeft, requestOptions);
+        },
+        writable: true,
+        configurable: true,
+    });
+}
+exports.BackpackClient = BackpackClient;
+exports.MarketStream = ws_stream_1.MarketStream;
+exports.LocalOrderBook = local_order_book_1.LocalOrderBook;
+exports.MarketRegistry = market_registry_1.MarketRegistry;
+exports.WithdrawalManager = withdrawal_1.WithdrawalManager;
+exports.AccountStream = account_stream_1.AccountStream;
+exports.errors = errors_1;
+exports.RequestScheduler = rate_limiter_1.RequestScheduler;
+exports.Decimal = decimal_1.Decimal;
+exports.transport = transport_1;
+exports.keystore = keystore_1;
+exports.ed25519Keys = ed25519_keys_1;
+exports.SchemaValidator = schema_validator_1.SchemaValidator;
+exports.paginate = pagination_1.paginate; 
\ No newline at end of file
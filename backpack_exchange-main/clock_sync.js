@@ -0,0 +1,89 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ClockSync = exports.isTimestampError = void 0;
+const errors_1 = require("./errors");
+// 交易所拒绝时间戳时返回 INVALID_CLIENT_REQUEST，信息为 "Request has expired" 或 "Invalid timestamp"。
+// 同一个错误码也用于其他参数错误(例如 "Invalid window")，只按这两条信息判断
+const TIMESTAMP_ERROR_CODE = "INVALID_CLIENT_REQUEST";
+const TIMESTAMP_ERROR_MESSAGES = ["request has expired", "invalid timestamp"];
+/**
+ * 判断错误是否由于签名时间戳超出有效窗口
+ * @param  {Error}   error
+ * @return {boolean}
+ */
+const isTimestampError = (error) => {
+    if (!(error instanceof errors_1.BackpackApiError) || error.code !== TIMESTAMP_ERROR_CODE) {
+        return false;
+    }
+    const message = String(error.body?.message ?? "").trim().toLowerCase();
+    return TIMESTAMP_ERROR_MESSAGES.some((expected) => message.startsWith(expected));
+};
+exports.isTimestampError = isTimestampError;
+/**
+ * 跟踪本地时钟与交易所时钟的偏差
+ * 通过 Time() 接口取得服务器时间，以请求往返的中点估算偏差，并按间隔定期重新同步。
+ *
+ * @param {Function} fetchServerTime  返回服务器毫秒时间戳的异步函数
+ * @param {Object}   options
+ * @param {number}   options.intervalMs  定期同步的间隔，0表示只在需要时同步
+ */
+class ClockSync {
+    constructor(fetchServerTime, options = {}) {
+        this.fetchServerTime = fetchServerTime;
+        this.intervalMs = options.intervalMs ?? 10 * 60 * 1000;
+        this.offset = 0;
+        this.lastSyncTime = 0;
+        this.syncing = null;
+        this.timer = null;
+    }
+    /**
+     * 按交易所时钟校正后的当前时间
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+    isSynced() {
+        return this.lastSyncTime > 0;
+    }
+    /**
+     * 立即同步一次，并发调用共用同一次请求
+     * @return {Promise<number>} 偏差毫秒数
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = (async () => {
+                const sentAt = Date.now();
+                const serverTime = Number(await this.fetchServerTime());
+                const receivedAt = Date.now();
+                if (!Number.isFinite(serverTime)) {
+                    throw new Error(`无法解析服务器时间: ${serverTime}`);
+                }
+                this.offset = serverTime - (sentAt + receivedAt) / 2;
+                this.lastSyncTime = receivedAt;
+                return this.offset;
+            })().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+    /**
+     * 开始定期同步，定时器不会阻止进程退出
+     */
+    start() {
+        if (this.timer || this.intervalMs <= 0) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sync().catch((error) => console.warn("BPX time sync error", error.toString()));
+        }, this.intervalMs);
+        this.timer.unref?.();
+    }
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+exports.ClockSync = ClockSync;
@@ -0,0 +1,164 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Decimal = void 0;
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+const pow10 = (n) => 10n ** BigInt(n);
+/**
+ * 十进制定点数，内部用 BigInt 保存，价格和数量的加减乘、按步长取整都不会产生浮点误差
+ * 值为 units * 10^-scale
+ *
+ * @example
+ * Decimal.from("0.1").plus("0.2").toString()          // "0.3"
+ * Decimal.from("123.456789").floorToStep("0.01")       // 123.45
+ */
+class Decimal {
+    constructor(units, scale) {
+        this.units = units;
+        this.scale = scale;
+    }
+    /**
+     * @param  {string|number|bigint|Decimal} value
+     * @return {Decimal}
+     */
+    static from(value) {
+        if (value instanceof Decimal) {
+            return value;
+        }
+        if (typeof value === "bigint") {
+            return new Decimal(value, 0);
+        }
+        if (typeof value === "number" && !Number.isFinite(value)) {
+            throw new Error(`无法转换为Decimal: ${value}`);
+        }
+        const text = String(value).trim();
+        const match = text.match(DECIMAL_PATTERN);
+        if (!match || (match[2] === "" && (match[3] ?? "") === "")) {
+            throw new Error(`无法转换为Decimal: ${value}`);
+        }
+        const [, sign, intPart, fracPart = "", exponent = "0"] = match;
+        let units = BigInt(`${intPart}${fracPart}` || "0");
+        let scale = fracPart.length - Number(exponent);
+        if (scale < 0) {
+            units *= pow10(-scale);
+            scale = 0;
+        }
+        return new Decimal(sign === "-" ? -units : units, scale).normalize();
+    }
+    /**
+     * 判断字符串是否是普通十进制数(不含指数)，用于解析接口返回的数值字符串
+     */
+    static isDecimalString(value) {
+        return typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value);
+    }
+    // 去掉末尾多余的0
+    normalize() {
+        let { units, scale } = this;
+        while (scale > 0 && units % 10n === 0n) {
+            units /= 10n;
+            scale--;
+        }
+        return new Decimal(units, scale);
+    }
+    // 对齐两个数的小数位数
+    static align(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        return [a.units * pow10(scale - a.scale), b.units * pow10(scale - b.scale), scale];
+    }
+    plus(other) {
+        const [a, b, scale] = Decimal.align(this, Decimal.from(other));
+        return new Decimal(a + b, scale).normalize();
+    }
+    minus(other) {
+        const [a, b, scale] = Decimal.align(this, Decimal.from(other));
+        return new Decimal(a - b, scale).normalize();
+    }
+    times(other) {
+        const o = Decimal.from(other);
+        return new Decimal(this.units * o.units, this.scale + o.scale).normalize();
+    }
+    /**
+     * 除法，结果向零截断到 scale 位小数
+     * @param {*}      other
+     * @param {number} scale 结果保留的小数位数
+     */
+    div(other, scale = 18) {
+        const o = Decimal.from(other);
+        if (o.units === 0n) {
+            throw new Error("Decimal除数不能为0");
+        }
+        // this / o = (tu / ou) * 10^(os - ts)，放大到目标小数位后整数相除
+        const shift = scale + o.scale - this.scale;
+        const numerator = shift >= 0 ? this.units * pow10(shift) : this.units / pow10(-shift);
+        return new Decimal(numerator / o.units, scale).normalize();
+    }
+    /**
+     * 向下取整到 step 的整数倍，用于价格tickSize和数量stepSize
+     * @param {*} step
+     */
+    floorToStep(step) {
+        const s = Decimal.from(step);
+        if (s.units <= 0n) {
+            throw new Error(`步长必须大于0: ${step}`);
+        }
+        const [a, b, scale] = Decimal.align(this, s);
+        let count = a / b;
+        if (a < 0n && a % b !== 0n) {
+            count -= 1n;
+        }
+        return new Decimal(count * b, scale).normalize();
+    }
+    /**
+     * 向下取整到 decimals 位小数
+     */
+    floorToDecimals(decimals) {
+        return this.floorToStep(new Decimal(1n, decimals));
+    }
+    cmp(other) {
+        const [a, b] = Decimal.align(this, Decimal.from(other));
+        return a === b ? 0 : a < b ? -1 : 1;
+    }
+    eq(other) {
+        return this.cmp(other) === 0;
+    }
+    lt(other) {
+        return this.cmp(other) < 0;
+    }
+    gt(other) {
+        return this.cmp(other) > 0;
+    }
+    isZero() {
+        return this.units === 0n;
+    }
+    /**
+     * 小数位数，例如 "0.001" -> 3
+     */
+    decimalPlaces() {
+        return this.scale;
+    }
+    toString() {
+        const negative = this.units < 0n;
+        const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, "0");
+        const intPart = digits.slice(0, digits.length - this.scale);
+        const fracPart = digits.slice(digits.length - this.scale);
+        return `${negative ? "-" : ""}${intPart}${fracPart ? "." + fracPart : ""}`;
+    }
+    /**
+     * 固定小数位输出，多余的位数向下截断
+     */
+    toFixed(decimals) {
+        const truncated = this.floorToDecimals(decimals);
+        const [intPart, fracPart = ""] = truncated.toString().split(".");
+        return decimals > 0 ? `${intPart}.${fracPart.padEnd(decimals, "0")}` : intPart;
+    }
+    toNumber() {
+        return Number(this.toString());
+    }
+    // 参与 + - * / 或比较运算时按普通数字处理，兼容旧代码
+    valueOf() {
+        return this.toNumber();
+    }
+    toJSON() {
+        return this.toString();
+    }
+}
+exports.Decimal = Decimal;
@@ -0,0 +1,141 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.generateKeyPair = exports.encodePublicKey = exports.parsePublicKey = exports.parsePrivateKey = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+// ED25519的PKCS8/SPKI DER前缀，后面接32字节的私钥种子或公钥
+const PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+const SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+const KEY_LENGTH = 32;
+const HEX_PATTERN = /^(0x)?[0-9a-fA-F]+$/;
+// 标准或URL安全的base64
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+// 字符串密钥解码为字节：PEM交给调用方处理，其余按十六进制或base64解码
+const decode = (text, label) => {
+    const compact = text.replace(/\s+/g, "");
+    if (!compact) {
+        throw new Error(`${label}不能为空`);
+    }
+    // 32或64字节的十六进制，与base64的长度(44、88)不会重叠
+    if (HEX_PATTERN.test(compact) && [KEY_LENGTH * 2, KEY_LENGTH * 4].includes(compact.replace(/^0x/, "").length)) {
+        return Buffer.from(compact.replace(/^0x/, ""), "hex");
+    }
+    if (!BASE64_PATTERN.test(compact)) {
+        throw new Error(`${label}格式错误：应为base64、十六进制或PEM`);
+    }
+    return Buffer.from(compact.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+};
+const toBytes = (value, label) => {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return Buffer.from(value);
+    }
+    if (typeof value !== "string") {
+        throw new Error(`${label}不能为空且必须是字符串`);
+    }
+    return decode(value, label);
+};
+const isPem = (value) => typeof value === "string" && value.includes("-----BEGIN");
+const requireEd25519 = (key, label) => {
+    if (key.asymmetricKeyType !== "ed25519") {
+        throw new Error(`${label}不是ED25519密钥: ${key.asymmetricKeyType}`);
+    }
+    return key;
+};
+// SPKI DER去掉前缀后的32字节原始公钥
+const rawPublicKey = (key) => key.export({ format: "der", type: "spki" }).subarray(SPKI_PREFIX.length);
+/**
+ * 解析ED25519私钥，支持：
+ * - 32字节种子：base64(任意开头字符，含URL安全的base64)或64位十六进制
+ * - 64字节secret key(种子+公钥，tweetnacl/Solana格式)：base64或128位十六进制，会校验后32字节
+ * - PKCS8：PEM，或base64编码的DER
+ * - 已创建的 KeyObject
+ * @param  {string|Buffer|KeyObject} value
+ * @return {KeyObject}
+ */
+const parsePrivateKey = (value) => {
+    try {
+        if (value instanceof crypto_1.default.KeyObject) {
+            if (value.type !== "private") {
+                throw new Error("需要私钥");
+            }
+            return requireEd25519(value, "私钥");
+        }
+        if (isPem(value)) {
+            return requireEd25519(crypto_1.default.createPrivateKey(value.trim()), "私钥");
+        }
+        const bytes = toBytes(value, "私钥");
+        if (bytes.length === PKCS8_PREFIX.length + KEY_LENGTH && bytes.subarray(0, PKCS8_PREFIX.length).equals(PKCS8_PREFIX)) {
+            return crypto_1.default.createPrivateKey({ key: bytes, format: "der", type: "pkcs8" });
+        }
+        if (bytes.length !== KEY_LENGTH && bytes.length !== KEY_LENGTH * 2) {
+            throw new Error(`私钥长度应为32或64字节，实际为${bytes.length}字节`);
+        }
+        const key = crypto_1.default.createPrivateKey({
+            key: Buffer.concat([PKCS8_PREFIX, bytes.subarray(0, KEY_LENGTH)]),
+            format: "der",
+            type: "pkcs8",
+        });
+        // 64字节格式的后半部分是公钥，不一致说明密钥被截断或拼错
+        if (bytes.length === KEY_LENGTH * 2 && !bytes.subarray(KEY_LENGTH).equals(rawPublicKey(crypto_1.default.createPublicKey(key)))) {
+            throw new Error("64字节私钥的后32字节与私钥推导出的公钥不一致");
+        }
+        return key;
+    }
+    catch (error) {
+        throw new Error(`私钥处理错误: ${error.message}`);
+    }
+};
+exports.parsePrivateKey = parsePrivateKey;
+/**
+ * 解析ED25519公钥，支持32字节原始公钥(base64或十六进制)、SPKI(PEM或base64编码的DER)和 KeyObject
+ * @param  {string|Buffer|KeyObject} value
+ * @return {KeyObject}
+ */
+const parsePublicKey = (value) => {
+    try {
+        if (value instanceof crypto_1.default.KeyObject) {
+            return requireEd25519(value.type === "public" ? value : crypto_1.default.createPublicKey(value), "公钥");
+        }
+        if (isPem(value)) {
+            return requireEd25519(crypto_1.default.createPublicKey(value.trim()), "公钥");
+        }
+        const bytes = toBytes(value, "公钥");
+        if (bytes.length === SPKI_PREFIX.length + KEY_LENGTH && bytes.subarray(0, SPKI_PREFIX.length).equals(SPKI_PREFIX)) {
+            return crypto_1.default.createPublicKey({ key: bytes, format: "der", type: "spki" });
+        }
+        if (bytes.length !== KEY_LENGTH) {
+            throw new Error(`公钥长度应为32字节，实际为${bytes.length}字节`);
+        }
+        return crypto_1.default.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, bytes]), format: "der", type: "spki" });
+    }
+    catch (error) {
+        throw new Error(`公钥处理错误: ${error.message}`);
+    }
+};
+exports.parsePublicKey = parsePublicKey;
+/**
+ * 交易所使用的公钥格式：32字节原始公钥的标准base64，即 X-API-Key 请求头的值
+ * @param  {string|Buffer|KeyObject} value 公钥或私钥(私钥时返回对应的公钥)
+ * @return {string}
+ */
+const encodePublicKey = (value) => {
+    const key = value instanceof crypto_1.default.KeyObject && value.type === "private"
+        ? crypto_1.default.createPublicKey(value)
+        : (0, exports.parsePublicKey)(value);
+    return rawPublicKey(key).toString("base64");
+};
+exports.encodePublicKey = encodePublicKey;
+/**
+ * 生成新的ED25519密钥对
+ * @return {Object} { privateKey, publicKey }，均为交易所使用的base64格式(私钥为32字节种子)
+ */
+const generateKeyPair = () => {
+    const { privateKey, publicKey } = crypto_1.default.generateKeyPairSync("ed25519");
+    return {
+        privateKey: privateKey.export({ format: "der", type: "pkcs8" }).subarray(PKCS8_PREFIX.length).toString("base64"),
+        publicKey: rawPublicKey(publicKey).toString("base64"),
+    };
+};
+exports.generateKeyPair = generateKeyPair;
@@ -0,0 +1,213 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createApiError = exports.isRetryable = exports.CODE_CLASSES = exports.WithdrawalRejectedError = exports.SchemaValidationError = exports.NetworkError = exports.ServerError = exports.MaintenanceError = exports.UnauthorizedError = exports.OrderNotFoundError = exports.NotFoundError = exports.RateLimitedError = exports.InvalidQuantityError = exports.InvalidPriceError = exports.InsufficientFundsError = exports.InvalidRequestError = exports.BackpackApiError = void 0;
+/**
+ * Backpack API错误基类
+ * @param {string} message
+ * @param {Object} details
+ * @param {number} details.status       HTTP状态码，网络错误时为undefined
+ * @param {string} details.code         Backpack错误码，例如 INSUFFICIENT_FUNDS
+ * @param {string} details.instruction  请求的指令，例如 orderExecute
+ * @param {Object} details.params       请求参数
+ * @param {*}      details.body         响应体
+ * @param {Error}  details.cause        原始错误
+ */
+class BackpackApiError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status;
+        this.code = details.code;
+        this.instruction = details.instruction;
+        this.params = details.params;
+        this.body = details.body;
+        this.cause = details.cause;
+        // 与got的错误保持相同的结构，方便沿用 error.response.body 的日志代码
+        this.response = details.status ? { statusCode: details.status, body: details.body } : undefined;
+    }
+    /**
+     * 同样的请求重试是否可能成功
+     */
+    get retryable() {
+        return false;
+    }
+}
+exports.BackpackApiError = BackpackApiError;
+// 参数或请求本身有误，重试不会成功
+class InvalidRequestError extends BackpackApiError {
+}
+exports.InvalidRequestError = InvalidRequestError;
+class InsufficientFundsError extends BackpackApiError {
+}
+exports.InsufficientFundsError = InsufficientFundsError;
+class InvalidPriceError extends InvalidRequestError {
+}
+exports.InvalidPriceError = InvalidPriceError;
+class InvalidQuantityError extends InvalidRequestError {
+}
+exports.InvalidQuantityError = InvalidQuantityError;
+class RateLimitedError extends BackpackApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        // Retry-After 响应头，单位毫秒
+        this.retryAfterMs = details.retryAfterMs;
+    }
+    get retryable() {
+        return true;
+    }
+}
+exports.RateLimitedError = RateLimitedError;
+class NotFoundError extends BackpackApiError {
+}
+exports.NotFoundError = NotFoundError;
+class OrderNotFoundError extends NotFoundError {
+}
+exports.OrderNotFoundError = OrderNotFoundError;
+// 密钥、签名或权限错误
+class UnauthorizedError extends BackpackApiError {
+}
+exports.UnauthorizedError = UnauthorizedError;
+class MaintenanceError extends BackpackApiError {
+    get retryable() {
+        return true;
+    }
+}
+exports.MaintenanceError = MaintenanceError;
+class ServerError extends BackpackApiError {
+    get retryable() {
+        return true;
+    }
+}
+exports.ServerError = ServerError;
+// 没有收到响应(超时、连接断开)，请求可能已经被交易所处理
+class NetworkError extends BackpackApiError {
+    get retryable() {
+        return true;
+    }
+}
+exports.NetworkError = NetworkError;
+/**
+ * 严格模式下请求参数或响应字段与openapi.json不符
+ * @param {string}   message
+ * @param {Object}   details      同BackpackApiError，另有
+ * @param {string}   details.direction  'request' 或 'response'
+ * @param {string[]} details.issues     发现的问题，例如 "未知字段 id"
+ */
+class SchemaValidationError extends BackpackApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.direction = details.direction;
+        this.issues = details.issues ?? [];
+    }
+}
+exports.SchemaValidationError = SchemaValidationError;
+/**
+ * 提现在发送前被拒绝：不在地址白名单、超过每日限额或可提现数量、没有二次验证码或确认
+ * 请求没有发送给交易所，不应重试
+ * @param {string}   message
+ * @param {Object}   details
+ * @param {string[]} details.reasons  拒绝原因
+ * @param {Object}   details.request  提现请求
+ */
+class WithdrawalRejectedError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.reasons = details.reasons ?? [];
+        this.request = details.request;
+    }
+}
+exports.WithdrawalRejectedError = WithdrawalRejectedError;
+// 错误码 -> 错误类，覆盖openapi.json中 ApiErrorCode 的全部取值
+const CODE_CLASSES = {
+    INSUFFICIENT_FUNDS: InsufficientFundsError,
+    INSUFFICIENT_MARGIN: InsufficientFundsError,
+    // 借贷池中可借的数量不足
+    INSUFFICIENT_SUPPLY: InsufficientFundsError,
+    INVALID_PRICE: InvalidPriceError,
+    INVALID_QUANTITY: InvalidQuantityError,
+    INVALID_CLIENT_REQUEST: InvalidRequestError,
+    INVALID_ORDER: InvalidRequestError,
+    INVALID_MARKET: InvalidRequestError,
+    INVALID_SOURCE: InvalidRequestError,
+    INVALID_ASSET: InvalidRequestError,
+    INVALID_SYMBOL: InvalidRequestError,
+    INVALID_POSITION_ID: InvalidRequestError,
+    ORDER_LIMIT: InvalidRequestError,
+    POSITION_LIMIT: InvalidRequestError,
+    BORROW_LIMIT: InvalidRequestError,
+    LEND_LIMIT: InvalidRequestError,
+    MAX_LEVERAGE_REACHED: InvalidRequestError,
+    BORROW_REQUIRES_LEND_REDEEM: InvalidRequestError,
+    LEND_REQUIRES_BORROW_REPAY: InvalidRequestError,
+    ACCOUNT_LIQUIDATING: InvalidRequestError,
+    PRECONDITION_FAILED: InvalidRequestError,
+    NOT_IMPLEMENTED: InvalidRequestError,
+    RESOURCE_NOT_FOUND: NotFoundError,
+    TOO_MANY_REQUESTS: RateLimitedError,
+    UNAUTHORIZED: UnauthorizedError,
+    FORBIDDEN: UnauthorizedError,
+    INVALID_SIGNATURE: UnauthorizedError,
+    MAINTENANCE: MaintenanceError,
+    // 交易对暂停交易，与维护一样稍后可以恢复
+    TRADING_PAUSED: MaintenanceError,
+    SERVER_ERROR: ServerError,
+    TIMEOUT: ServerError,
+};
+exports.CODE_CLASSES = CODE_CLASSES;
+// 没有错误码时按HTTP状态码分类
+const classForStatus = (status) => {
+    if (status === 429) {
+        return RateLimitedError;
+    }
+    if (status === 401 || status === 403) {
+        return UnauthorizedError;
+    }
+    if (status === 404) {
+        return NotFoundError;
+    }
+    if (status === 503) {
+        return MaintenanceError;
+    }
+    if (status >= 500) {
+        return ServerError;
+    }
+    return InvalidRequestError;
+};
+/**
+ * 判断错误是否值得重试；非API错误(例如未知异常)保持原来的重试行为
+ * @param  {Error}   error
+ * @return {boolean}
+ */
+const isRetryable = (error) => !(error instanceof BackpackApiError) || error.retryable;
+exports.isRetryable = isRetryable;
+/**
+ * 根据HTTP响应生成对应的错误对象
+ * @param  {Object} response
+ * @param  {number} response.status
+ * @param  {*}      response.body         已解析的JSON或原始文本
+ * @param  {Object} response.headers
+ * @param  {string} instruction
+ * @param  {Object} params
+ * @return {BackpackApiError}
+ */
+const createApiError = ({ status, body, headers = {} }, instruction, params) => {
+    const code = body && typeof body === "object" ? body.code : undefined;
+    const message = body && typeof body === "object"
+        ? body.message ?? JSON.stringify(body)
+        : String(body ?? "");
+    let ErrorClass = CODE_CLASSES[code] ?? classForStatus(status);
+    if (ErrorClass === NotFoundError && /^order/.test(instruction)) {
+        ErrorClass = OrderNotFoundError;
+    }
+    const retryAfter = Number(headers["retry-after"]);
+    return new ErrorClass(`${instruction} 请求失败 status=${status} code=${code ?? "-"}: ${message}`, {
+        status,
+        code,
+        instruction,
+        params,
+        body,
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined,
+    });
+};
+exports.createApiError = createApiError;
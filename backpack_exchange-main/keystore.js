@@ -0,0 +1,191 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.loadCredentials = exports.readSecret = exports.writeKeystore = exports.readKeystore = exports.decryptKeystore = exports.encryptKeystore = exports.Credentials = exports.ENV = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const readline_1 = __importDefault(require("readline"));
+const util_1 = __importDefault(require("util"));
+// 读取密钥使用的环境变量
+exports.ENV = {
+    privateKey: "BACKPACK_PRIVATE_KEY",
+    publicKey: "BACKPACK_PUBLIC_KEY",
+    keystore: "BACKPACK_KEYSTORE",
+    passphrase: "BACKPACK_KEYSTORE_PASSPHRASE",
+    allowPlaintextKeys: "BACKPACK_ALLOW_PLAINTEXT_KEYS",
+};
+const KEYSTORE_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+// scrypt参数，N=2^15约需32MB内存、100毫秒
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const REDACTED = "<redacted>";
+const mask = (value) => (value ? `${value.slice(0, 6)}…` : value);
+/**
+ * API密钥对。私钥为不可枚举属性，JSON.stringify、console.log 和 util.inspect 都不会输出私钥
+ * @param {string} privateKey
+ * @param {string} publicKey
+ * @param {string} source     密钥来源，例如 env、keystore:/path/to/file、config
+ */
+class Credentials {
+    constructor(privateKey, publicKey, source) {
+        Object.defineProperty(this, "privateKey", { value: privateKey, enumerable: false });
+        this.publicKey = publicKey;
+        this.source = source;
+    }
+    toJSON() {
+        return { publicKey: mask(this.publicKey), privateKey: REDACTED, source: this.source };
+    }
+    toString() {
+        return `Credentials(publicKey=${mask(this.publicKey)}, source=${this.source})`;
+    }
+    [util_1.default.inspect.custom]() {
+        return this.toString();
+    }
+}
+exports.Credentials = Credentials;
+const deriveKey = (passphrase, salt, params) => crypto_1.default.scryptSync(String(passphrase).normalize("NFKC"), salt, 32, { ...params, maxmem: 256 * params.N * params.r });
+/**
+ * 用口令加密密钥对
+ * @param  {Object} keys        { privateKey, publicKey }
+ * @param  {string} passphrase
+ * @return {Object}             可直接写入JSON文件的密钥文件内容，公钥以明文保存以便识别账户
+ */
+const encryptKeystore = (keys, passphrase) => {
+    if (!passphrase) {
+        throw new Error("密钥文件口令不能为空");
+    }
+    const salt = crypto_1.default.randomBytes(16);
+    const iv = crypto_1.default.randomBytes(12);
+    const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    const cipher = crypto_1.default.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ privateKey: keys.privateKey }), "utf8"), cipher.final()]);
+    return {
+        version: KEYSTORE_VERSION,
+        publicKey: keys.publicKey,
+        kdf: { name: "scrypt", ...SCRYPT_PARAMS, salt: salt.toString("base64") },
+        cipher: { name: CIPHER, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64") },
+        ciphertext: ciphertext.toString("base64"),
+    };
+};
+exports.encryptKeystore = encryptKeystore;
+/**
+ * 解密密钥文件，口令错误或文件被改动时报错
+ * @param  {Object} keystore   encryptKeystore 的结果
+ * @param  {string} passphrase
+ * @param  {string} source     记录在Credentials中的来源
+ * @return {Credentials}
+ */
+const decryptKeystore = (keystore, passphrase, source = "keystore") => {
+    if (!keystore || keystore.version !== KEYSTORE_VERSION || !keystore.kdf || !keystore.cipher) {
+        throw new Error(`不支持的密钥文件格式: ${source}`);
+    }
+    const { N, r, p } = keystore.kdf;
+    const key = deriveKey(passphrase ?? "", Buffer.from(keystore.kdf.salt, "base64"), { N, r, p });
+    const decipher = crypto_1.default.createDecipheriv(keystore.cipher.name, key, Buffer.from(keystore.cipher.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(keystore.cipher.tag, "base64"));
+    let plaintext;
+    try {
+        plaintext = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, "base64")), decipher.final()]);
+    }
+    catch (_e) {
+        throw new Error(`密钥文件解密失败，口令错误或文件已损坏: ${source}`);
+    }
+    return new Credentials(JSON.parse(plaintext.toString("utf8")).privateKey, keystore.publicKey, source);
+};
+exports.decryptKeystore = decryptKeystore;
+/**
+ * 读取并解密密钥文件
+ * @param  {string} file
+ * @param  {string} passphrase
+ * @return {Credentials}
+ */
+const readKeystore = (file, passphrase) => {
+    if (!fs_1.default.existsSync(file)) {
+        throw new Error(`密钥文件不存在: ${file}`);
+    }
+    return (0, exports.decryptKeystore)(JSON.parse(fs_1.default.readFileSync(file, "utf8")), passphrase, `keystore:${file}`);
+};
+exports.readKeystore = readKeystore;
+/**
+ * 加密密钥对并写入文件，文件权限为仅当前用户可读写
+ */
+const writeKeystore = (file, keys, passphrase) => {
+    const keystore = (0, exports.encryptKeystore)(keys, passphrase);
+    fs_1.default.mkdirSync(path_1.default.dirname(file), { recursive: true });
+    fs_1.default.writeFileSync(file, JSON.stringify(keystore, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+    return keystore;
+};
+exports.writeKeystore = writeKeystore;
+/**
+ * 从终端读取口令，输入内容不回显
+ * @param  {string}    prompt
+ * @param  {Interface} rl     已有的readline接口；不传时临时创建一个
+ * @return {Promise<string>}
+ */
+const readSecret = (prompt, rl) => new Promise((resolve) => {
+    const ownInterface = !rl;
+    const iface = rl ?? readline_1.default.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    const write = iface._writeToOutput;
+    process.stdout.write(prompt);
+    iface._writeToOutput = () => { };
+    iface.question("", (answer) => {
+        iface._writeToOutput = write;
+        process.stdout.write("\n");
+        if (ownInterface) {
+            iface.close();
+        }
+        resolve(answer);
+    });
+});
+exports.readSecret = readSecret;
+/**
+ * 按以下顺序查找API密钥：
+ * 1. 环境变量 BACKPACK_PRIVATE_KEY / BACKPACK_PUBLIC_KEY
+ * 2. 加密密钥文件：apiConfig.keystoreFile 或环境变量 BACKPACK_KEYSTORE；口令取环境变量
+ *    BACKPACK_KEYSTORE_PASSPHRASE，没有时调用 askPassphrase
+ * 3. 配置文件中的 api.privateKey / api.publicKey，仅在 api.allowPlaintextKeys 为 true
+ *    或环境变量 BACKPACK_ALLOW_PLAINTEXT_KEYS=1 时使用
+ * 配置文件中写有私钥但没有明确允许时直接报错，避免私钥随配置文件被分享出去
+ *
+ * @param  {Object}   options
+ * @param  {Object}   options.apiConfig      配置文件中的 api 部分
+ * @param  {string}   options.baseDir        keystoreFile 为相对路径时的基准目录
+ * @param  {Object}   options.env            环境变量，默认 process.env
+ * @param  {Function} options.askPassphrase  (file) => Promise<string>，没有口令环境变量时询问口令
+ * @return {Promise<Credentials>}
+ */
+const loadCredentials = async (options = {}) => {
+    const apiConfig = options.apiConfig || {};
+    const env = options.env || process.env;
+    const allowPlaintext = apiConfig.allowPlaintextKeys === true || env[exports.ENV.allowPlaintextKeys] === "1";
+    if (apiConfig.privateKey && !allowPlaintext) {
+        throw new Error("配置文件中包含明文私钥。请改用加密密钥文件(node create_keystore.js)或环境变量 " +
+            `${exports.ENV.privateKey}/${exports.ENV.publicKey}；确实需要使用时设置 api.allowPlaintextKeys 为 true`);
+    }
+    if (env[exports.ENV.privateKey] || env[exports.ENV.publicKey]) {
+        if (!env[exports.ENV.privateKey] || !env[exports.ENV.publicKey]) {
+            throw new Error(`环境变量 ${exports.ENV.privateKey} 和 ${exports.ENV.publicKey} 必须同时设置`);
+        }
+        return new Credentials(env[exports.ENV.privateKey], env[exports.ENV.publicKey], "env");
+    }
+    const keystoreFile = env[exports.ENV.keystore] || apiConfig.keystoreFile;
+    if (keystoreFile) {
+        const file = path_1.default.resolve(options.baseDir || process.cwd(), keystoreFile);
+        let passphrase = env[exports.ENV.passphrase];
+        if (passphrase === undefined) {
+            if (!options.askPassphrase) {
+                throw new Error(`读取密钥文件 ${file} 需要口令，请设置环境变量 ${exports.ENV.passphrase}`);
+            }
+            passphrase = await options.askPassphrase(file);
+        }
+        return (0, exports.readKeystore)(file, passphrase);
+    }
+    if (apiConfig.privateKey && apiConfig.publicKey) {
+        return new Credentials(apiConfig.privateKey, apiConfig.publicKey, "config");
+    }
+    throw new Error(`没有找到API密钥：请设置 api.keystoreFile，或环境变量 ${exports.ENV.keystore} / ${exports.ENV.privateKey}`);
+};
+exports.loadCredentials = loadCredentials;
@@ -0,0 +1,246 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.LocalOrderBook = void 0;
+const events_1 = require("events");
+const RESYNC_DELAY_MS = 1000;
+// 把 [[price, quantity], ...] 写入价格档位Map，数量为0表示删除该档位
+const applyLevels = (levels, updates) => {
+    for (const [rawPrice, rawQuantity] of updates || []) {
+        const price = Number(rawPrice);
+        const quantity = Number(rawQuantity);
+        if (quantity === 0) {
+            levels.delete(price);
+        }
+        else {
+            levels.set(price, quantity);
+        }
+    }
+};
+/**
+ * 本地维护的订单簿
+ * 先通过 Depth() 获取快照，再应用 depth.<symbol> 增量推送。
+ * 推送的 U(首个更新ID) 必须紧接上一次的 u(最后更新ID)，出现缺口或断线重连时自动重新同步。
+ *
+ * 事件: synced, resync, update, error
+ * @param {BackpackClient} client
+ * @param {string}         symbol   交易对，例如 SOL_USDC
+ * @param {Object}         options
+ * @param {MarketStream}   options.stream  复用已有的行情流，不传则自行创建
+ */
+class LocalOrderBook extends events_1.EventEmitter {
+    constructor(client, symbol, options = {}) {
+        super();
+        this.client = client;
+        this.symbol = symbol;
+        this.ownsStream = !options.stream;
+        this.stream = options.stream ?? null;
+        this.bids = new Map();
+        this.asks = new Map();
+        this.lastUpdateId = null;
+        this.synced = false;
+        this.buffer = [];
+        this.resyncing = null;
+        this.stopped = true;
+        this.onDepth = (event) => {
+            if (event.symbol === this.symbol) {
+                this.handleDepth(event);
+            }
+        };
+        this.onOpen = () => this.resync("行情流已重连");
+        this.onClose = () => {
+            this.synced = false;
+        };
+    }
+    /**
+     * 订阅增量推送并拉取快照
+     */
+    async start() {
+        this.stopped = false;
+        if (!this.stream) {
+            this.stream = this.client.createMarketStream();
+        }
+        this.stream.on("depth", this.onDepth);
+        this.stream.on("open", this.onOpen);
+        this.stream.on("close", this.onClose);
+        this.stream.subscribeDepth(this.symbol);
+        await this.resync("初始化");
+        return this;
+    }
+    stop() {
+        this.stopped = true;
+        this.synced = false;
+        if (!this.stream) {
+            return;
+        }
+        this.stream.off("depth", this.onDepth);
+        this.stream.off("open", this.onOpen);
+        this.stream.off("close", this.onClose);
+        if (this.ownsStream) {
+            this.stream.close();
+            this.stream = null;
+        }
+        else {
+            this.stream.unsubscribe(`depth.${this.symbol}`);
+        }
+    }
+    isSynced() {
+        return this.synced;
+    }
+    /**
+     * 用REST快照覆盖本地订单簿
+     * @param {Object} depth Depth() 的返回值 { asks, bids, lastUpdateId }
+     */
+    applySnapshot(depth) {
+        this.bids = new Map();
+        this.asks = new Map();
+        applyLevels(this.bids, depth.bids);
+        applyLevels(this.asks, depth.asks);
+        this.lastUpdateId = Number(depth.lastUpdateId);
+    }
+    /**
+     * 丢弃本地数据，重新拉取快照并应用缓存的增量推送
+     * @param {string} reason
+     */
+    resync(reason) {
+        if (this.resyncing || this.stopped) {
+            return this.resyncing;
+        }
+        this.synced = false;
+        this.buffer = [];
+        this.emit("resync", reason);
+        this.resyncing = (async () => {
+            while (!this.stopped) {
+                try {
+                    const depth = await this.client.Depth({ symbol: this.symbol });
+                    this.applySnapshot(depth);
+                    const buffered = this.buffer;
+                    this.buffer = [];
+                    this.synced = true;
+                    for (const event of buffered) {
+                        if (!this.applyDiff(event)) {
+                            this.synced = false;
+                            this.buffer = [];
+                            break;
+                        }
+                    }
+                    if (this.synced) {
+                        this.emit("synced", this.lastUpdateId);
+                        return;
+                    }
+                }
+                catch (error) {
+                    this.emitError(new Error(`${this.symbol} 订单簿快照获取失败: ${error.message}`));
+                }
+                await new Promise((resolve) => setTimeout(resolve, RESYNC_DELAY_MS));
+            }
+        })().finally(() => {
+            this.resyncing = null;
+        });
+        return this.resyncing;
+    }
+    handleDepth(event) {
+        if (!this.synced) {
+            this.buffer.push(event);
+            return;
+        }
+        if (!this.applyDiff(event)) {
+            this.resync(`更新ID不连续: 本地=${this.lastUpdateId}, 推送=${event.firstUpdateId}-${event.lastUpdateId}`);
+            return;
+        }
+        this.emit("update", event);
+    }
+    /**
+     * 应用一条增量推送
+     * @return {boolean} false 表示更新ID出现缺口，需要重新同步
+     */
+    applyDiff(event) {
+        const first = Number(event.firstUpdateId);
+        const last = Number(event.lastUpdateId);
+        if (last <= this.lastUpdateId) {
+            // 快照已包含该推送
+            return true;
+        }
+        if (first > this.lastUpdateId + 1) {
+            return false;
+        }
+        applyLevels(this.bids, event.bids);
+        applyLevels(this.asks, event.asks);
+        this.lastUpdateId = last;
+        return true;
+    }
+    /**
+     * 按价格排序的档位，买盘从高到低，卖盘从低到高
+     * @param  {string} side 'bid' 或 'ask'
+     * @return {Array}       [{ price, quantity }]
+     */
+    levels(side) {
+        const map = side === "bid" ? this.bids : this.asks;
+        const sorted = [...map.entries()].sort((a, b) => (side === "bid" ? b[0] - a[0] : a[0] - b[0]));
+        return sorted.map(([price, quantity]) => ({ price, quantity }));
+    }
+    bestBid() {
+        return this.levels("bid")[0] ?? null;
+    }
+    bestAsk() {
+        return this.levels("ask")[0] ?? null;
+    }
+    midPrice() {
+        const bid = this.bestBid();
+        const ask = this.bestAsk();
+        return bid && ask ? (bid.price + ask.price) / 2 : null;
+    }
+    spread() {
+        const bid = this.bestBid();
+        const ask = this.bestAsk();
+        return bid && ask ? ask.price - bid.price : null;
+    }
+    /**
+     * 价格不差于 price 的档位累计数量
+     * @param  {string} side  'bid' 或 'ask'
+     * @param  {number} price
+     * @return {number}
+     */
+    cumulativeSize(side, price) {
+        return this.levels(side)
+            .filter((level) => (side === "bid" ? level.price >= price : level.price <= price))
+            .reduce((sum, level) => sum + level.quantity, 0);
+    }
+    /**
+     * 按订单方向吃掉 quantity 数量时经过的档位
+     * 'Ask'(卖出) 消耗买盘，'Bid'(买入) 消耗卖盘
+     * @return {Object|null} { averagePrice, worstPrice }，深度不足时返回null
+     */
+    sweep(orderSide, quantity) {
+        let remaining = quantity;
+        let notional = 0;
+        let worstPrice = null;
+        for (const level of this.levels(orderSide === "Ask" ? "bid" : "ask")) {
+            const take = Math.min(remaining, level.quantity);
+            notional += take * level.price;
+            remaining -= take;
+            worstPrice = level.price;
+            if (remaining <= 0) {
+                return { averagePrice: notional / quantity, worstPrice };
+            }
+        }
+        return null;
+    }
+    /**
+     * 成交 quantity 数量的成交量加权均价，深度不足时返回null
+     * @param  {string} orderSide 'Bid' 或 'Ask'
+     * @param  {number} quantity
+     * @return {number|null}
+     */
+    vwap(orderSide, quantity) {
+        return this.sweep(orderSide, quantity)?.averagePrice ?? null;
+    }
+    emitError(error) {
+        if (this.listenerCount("error") > 0) {
+            this.emit("error", error);
+        }
+        else {
+            console.log(error.message);
+        }
+    }
+}
+exports.LocalOrderBook = LocalOrderBook;
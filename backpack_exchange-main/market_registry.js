@@ -0,0 +1,158 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MarketRegistry = exports.DEFAULT_REFRESH_INTERVAL_MS = void 0;
+const events_1 = require("events");
+const decimal_1 = require("./decimal");
+exports.DEFAULT_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+// Markets() 返回的一个交易对转为取整用的规则
+const toMarketInfo = (market, minNotional) => {
+    const priceFilter = market.filters.price;
+    const quantityFilter = market.filters.quantity;
+    return {
+        symbol: market.symbol,
+        baseSymbol: market.baseSymbol,
+        quoteSymbol: market.quoteSymbol,
+        marketType: market.marketType,
+        orderBookState: market.orderBookState,
+        tickSize: decimal_1.Decimal.from(priceFilter.tickSize),
+        minPrice: priceFilter.minPrice !== undefined && priceFilter.minPrice !== null ? decimal_1.Decimal.from(priceFilter.minPrice) : null,
+        stepSize: decimal_1.Decimal.from(quantityFilter.stepSize),
+        minQuantity: decimal_1.Decimal.from(quantityFilter.minQuantity),
+        minNotional: decimal_1.Decimal.from(minNotional),
+    };
+};
+/**
+ * 交易对规则缓存，由 Markets() 的 filters 生成并定期刷新
+ * 价格和数量的取整、下单前的最小数量检查都从这里取 tickSize、stepSize、minQuantity
+ *
+ * @example
+ * const markets = client.createMarketRegistry({ minNotional: 10 });
+ * await markets.start();
+ * markets.formatPrice("BTC_USDC", 60123.456);     // "60123.4"
+ * markets.formatQuantity("BTC_USDC", 0.0012345);  // "0.00123"
+ *
+ * @param {BackpackClient} client
+ * @param {Object}  options
+ * @param {number}  options.refreshIntervalMs  刷新间隔，默认1小时
+ * @param {number}  options.minNotional        最小下单金额(计价币)，交易所的filters中没有该项，默认0
+ */
+class MarketRegistry extends events_1.EventEmitter {
+    constructor(client, options = {}) {
+        super();
+        this.client = client;
+        this.refreshIntervalMs = options.refreshIntervalMs ?? exports.DEFAULT_REFRESH_INTERVAL_MS;
+        this.minNotional = options.minNotional ?? 0;
+        this.markets = new Map();
+        this.updatedAt = null;
+        this.timer = null;
+    }
+    /**
+     * 立即加载一次，然后按 refreshIntervalMs 定期刷新
+     */
+    async start() {
+        await this.refresh();
+        if (!this.timer && this.refreshIntervalMs > 0) {
+            this.timer = setInterval(() => {
+                this.refresh().catch((error) => this.emit("error", error));
+            }, this.refreshIntervalMs);
+            this.timer.unref?.();
+        }
+        return this;
+    }
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    /**
+     * 重新读取所有交易对，失败时保留上一次的数据
+     */
+    async refresh() {
+        const markets = await this.client.Markets();
+        const next = new Map();
+        for (const market of markets || []) {
+            if (market && market.filters && market.filters.price && market.filters.quantity) {
+                next.set(market.symbol, toMarketInfo(market, this.minNotional));
+            }
+        }
+        this.markets = next;
+        this.updatedAt = Date.now();
+        this.emit("refresh", this.markets);
+        return this.markets;
+    }
+    has(symbol) {
+        return this.markets.has(symbol);
+    }
+    /**
+     * @param  {string} symbol
+     * @return {Object} { tickSize, stepSize, minQuantity, minNotional, ... }，数值均为Decimal
+     */
+    get(symbol) {
+        const market = this.markets.get(symbol);
+        if (!market) {
+            throw new Error(this.updatedAt === null ? "交易对规则尚未加载，请先调用 start()" : `未知交易对: ${symbol}`);
+        }
+        return market;
+    }
+    /**
+     * 交易对不在缓存中时(例如新上线的交易对)重新加载一次
+     */
+    async ensure(symbol) {
+        if (!this.markets.has(symbol)) {
+            await this.refresh();
+        }
+        return this.get(symbol);
+    }
+    /**
+     * 价格向下取整到tickSize
+     * @return {Decimal}
+     */
+    roundPrice(symbol, price) {
+        return decimal_1.Decimal.from(price).floorToStep(this.get(symbol).tickSize);
+    }
+    /**
+     * 数量向下取整到stepSize
+     * @return {Decimal}
+     */
+    roundQuantity(symbol, quantity) {
+        return decimal_1.Decimal.from(quantity).floorToStep(this.get(symbol).stepSize);
+    }
+    /**
+     * 下单参数使用的价格字符串，小数位数与tickSize一致
+     */
+    formatPrice(symbol, price) {
+        const { tickSize } = this.get(symbol);
+        return this.roundPrice(symbol, price).toFixed(tickSize.normalize().decimalPlaces());
+    }
+    /**
+     * 下单参数使用的数量字符串，小数位数与stepSize一致
+     */
+    formatQuantity(symbol, quantity) {
+        const { stepSize } = this.get(symbol);
+        return this.roundQuantity(symbol, quantity).toFixed(stepSize.normalize().decimalPlaces());
+    }
+    /**
+     * 检查订单是否满足交易对的最小数量和最小金额
+     * @return {string[]} 不满足的原因，为空表示可以下单
+     */
+    checkOrder(symbol, price, quantity) {
+        const market = this.get(symbol);
+        const problems = [];
+        const qty = decimal_1.Decimal.from(quantity);
+        if (qty.lt(market.minQuantity)) {
+            problems.push(`数量 ${qty} 小于最小数量 ${market.minQuantity}`);
+        }
+        if (price !== undefined && price !== null && !market.minNotional.isZero()) {
+            const notional = qty.times(price);
+            if (notional.lt(market.minNotional)) {
+                problems.push(`金额 ${notional} 小于最小下单金额 ${market.minNotional}`);
+            }
+        }
+        if (price !== undefined && price !== null && market.minPrice && decimal_1.Decimal.from(price).lt(market.minPrice)) {
+            problems.push(`价格 ${price} 低于最低价格 ${market.minPrice}`);
+        }
+        return problems;
+    }
+}
+exports.MarketRegistry = MarketRegistry;
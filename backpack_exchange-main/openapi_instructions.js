@@ -0,0 +1,91 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.buildInstructions = exports.loadSpec = exports.DEFAULT_SPEC_PATH = void 0;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+exports.DEFAULT_SPEC_PATH = path_1.default.join(__dirname, "..", "openapi.json");
+// 公共接口在文档中没有instruction，沿用旧版客户端使用的名称
+const LEGACY_PUBLIC_NAMES = {
+    get_recent_trades: "trades",
+    get_historical_trades: "tradesHistory",
+};
+// 文档描述中漏写了签名指令的私有接口，按交易所实际使用的指令补上
+const MISSING_INSTRUCTIONS = {
+    get_borrow_lend_position_history: "borrowPositionHistoryQueryAll",
+};
+// /wapi/ 下的接口都需要签名，即使文档没有写出签名指令
+const PRIVATE_PATH_PREFIX = "/wapi/";
+// 签名指令写在接口描述中，例如 **Instruction:** `orderExecute`
+const INSTRUCTION_PATTERN = /\*\*Instruction:\*\*\s*`(\w+)`/;
+const toCamelCase = (snake) => snake.replace(/_([a-z0-9])/g, (_m, c) => c.toUpperCase());
+const toPascalCase = (snake) => {
+    const camel = toCamelCase(snake);
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+};
+/**
+ * 读取openapi.json
+ * @param  {string} specPath 文档路径，默认使用仓库自带的openapi.json
+ * @return {Object}          解析后的OpenAPI文档
+ */
+const loadSpec = (specPath = exports.DEFAULT_SPEC_PATH) => {
+    try {
+        return JSON.parse(fs_1.default.readFileSync(specPath, "utf8"));
+    }
+    catch (error) {
+        throw new Error(`OpenAPI文档读取失败 ${specPath}: ${error.message}`);
+    }
+};
+exports.loadSpec = loadSpec;
+/**
+ * 根据OpenAPI文档生成指令表
+ * 带有 **Instruction:** 的接口和 /wapi/ 下的接口需要签名，放入private；其余接口放入public，
+ * 名称取operationId去掉get_前缀后的驼峰形式(get_mark_prices -> markPrices)。
+ * 需要签名却找不到签名指令的接口直接报错，避免被当作公共接口发出未签名的请求
+ * @param  {Object} spec    OpenAPI文档
+ * @param  {string} baseUrl 以/结尾的REST地址
+ * @return {Object}         { public: Map, private: Map, operations: Array }
+ */
+const buildInstructions = (spec, baseUrl) => {
+    const result = {
+        public: new Map(),
+        private: new Map(),
+        operations: [],
+    };
+    for (const [apiPath, pathItem] of Object.entries(spec.paths || {})) {
+        for (const [httpMethod, operation] of Object.entries(pathItem)) {
+            if (!operation || !operation.operationId) {
+                continue;
+            }
+            const operationId = operation.operationId;
+            const match = (operation.description || "").match(INSTRUCTION_PATTERN);
+            const signedInstruction = match ? match[1] : MISSING_INSTRUCTIONS[operationId];
+            const isPrivate = Boolean(signedInstruction) || apiPath.startsWith(PRIVATE_PATH_PREFIX);
+            if (isPrivate && !signedInstruction) {
+                throw new Error(`需要签名的接口 ${httpMethod.toUpperCase()} ${apiPath} (${operationId}) 没有签名指令，请在MISSING_INSTRUCTIONS中补充`);
+            }
+            const instruction = isPrivate
+                ? signedInstruction
+                : LEGACY_PUBLIC_NAMES[operationId] ?? toCamelCase(operationId.replace(/^get_/, ""));
+            const entry = {
+                url: `${baseUrl}${apiPath.replace(/^\//, "")}`,
+                method: httpMethod.toUpperCase(),
+                path: apiPath,
+                operationId,
+            };
+            (isPrivate ? result.private : result.public).set(instruction, entry);
+            result.operations.push({
+                instruction,
+                operationId,
+                methodName: toPascalCase(operationId),
+                method: entry.method,
+                summary: operation.summary,
+                isPrivate,
+            });
+        }
+    }
+    return result;
+};
+exports.buildInstructions = buildInstructions;
@@ -0,0 +1,136 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.paginate = exports.timeWindows = exports.toMillis = exports.HISTORY_ENDPOINTS = exports.DEFAULT_WINDOW_MS = exports.MAX_PAGE_SIZE = void 0;
+// 历史接口单页最多返回1000条
+exports.MAX_PAGE_SIZE = 1000;
+// 时间范围超过该长度时拆成多个窗口分别查询
+exports.DEFAULT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+/**
+ * 支持分页的历史接口
+ * timeField      记录中的时间字段
+ * serverTimeRange 接口是否接受 from/to 参数；不接受时在本地按时间过滤，
+ *                并且只有确认记录按时间倒序返回时，才在整页都早于from后停止翻页
+ * marketType     接口是否接受 marketType 参数
+ */
+exports.HISTORY_ENDPOINTS = {
+    orderHistoryQueryAll: { timeField: "createdAt", serverTimeRange: false, marketType: true },
+    fillHistoryQueryAll: { timeField: "timestamp", serverTimeRange: true, marketType: true },
+    depositQueryAll: { timeField: "createdAt", serverTimeRange: true, marketType: false },
+    withdrawalQueryAll: { timeField: "createdAt", serverTimeRange: true, marketType: false },
+};
+/**
+ * 把历史记录中的时间转为毫秒
+ * 订单历史等返回不带时区的UTC时间字符串，也可能是毫秒时间戳或Date
+ * @param  {string|number|Date} value
+ * @return {number|null}
+ */
+const toMillis = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === "string" && !/^\d+$/.test(value)) {
+        const text = /(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`;
+        const millis = Date.parse(text);
+        return Number.isNaN(millis) ? null : millis;
+    }
+    return Number(value);
+};
+exports.toMillis = toMillis;
+// [from, to] 拆成不超过windowMs的窗口，从最新的窗口开始，与接口返回的顺序(最新的在前)一致
+const timeWindows = (from, to, windowMs) => {
+    if (from === null && to === null) {
+        return [{ from: null, to: null }];
+    }
+    const end = to ?? Date.now();
+    if (from === null || !(windowMs > 0)) {
+        return [{ from, to: end }];
+    }
+    const windows = [];
+    for (let windowEnd = end; windowEnd >= from; windowEnd -= windowMs) {
+        windows.push({ from: Math.max(from, windowEnd - windowMs + 1), to: windowEnd });
+    }
+    return windows;
+};
+exports.timeWindows = timeWindows;
+/**
+ * 按 limit/offset 逐页读取历史接口，逐条产出记录
+ *
+ * @example
+ * for await (const fill of paginate((params) => client.FillHistory(params), "fillHistoryQueryAll",
+ *     { symbol: "SOL_USDC" }, { from: Date.now() - 86400000 })) {
+ *     console.log(fill.tradeId);
+ * }
+ *
+ * @param {Function}        fetchPage   (params) => Promise<Array>，发送一页请求
+ * @param {string}          instruction HISTORY_ENDPOINTS 中的指令
+ * @param {Object}          params      接口的其他参数，例如 { symbol }
+ * @param {Object}          options
+ * @param {number|Date}     options.from       起始时间(含)
+ * @param {number|Date}     options.to         结束时间(含)
+ * @param {string|string[]} options.marketType 市场类型，例如 SPOT 或 ["SPOT", "PERP"]
+ * @param {number}          options.pageSize   每页条数，默认1000
+ * @param {number}          options.windowMs   时间窗口长度，默认7天
+ */
+async function* paginate(fetchPage, instruction, params = {}, options = {}) {
+    const endpoint = exports.HISTORY_ENDPOINTS[instruction];
+    if (!endpoint) {
+        throw new Error(`${instruction} 不是支持分页的历史接口`);
+    }
+    const pageSize = Math.min(options.pageSize ?? exports.MAX_PAGE_SIZE, exports.MAX_PAGE_SIZE);
+    const from = toMillis(options.from);
+    const to = toMillis(options.to);
+    const marketType = options.marketType === undefined ? undefined : [].concat(options.marketType);
+    if (marketType !== undefined && !endpoint.marketType) {
+        throw new Error(`${instruction} 不支持按 marketType 筛选`);
+    }
+    // 不接受from/to的接口只能整体翻页，在本地过滤
+    const windows = endpoint.serverTimeRange
+        ? timeWindows(from, to, options.windowMs ?? exports.DEFAULT_WINDOW_MS)
+        : [{ from: null, to: null }];
+    for (const window of windows) {
+        // 目前为止各页是否都按时间倒序(页内时间不增加，且不晚于上一页的最早时间)，顺序不确定时不提前停止
+        let newestFirst = true;
+        let previousMinTime = null;
+        for (let offset = 0;; offset += pageSize) {
+            const pageParams = { ...params, limit: pageSize, offset };
+            if (marketType !== undefined) {
+                pageParams.marketType = marketType;
+            }
+            if (window.from !== null) {
+                pageParams.from = window.from;
+            }
+            if (window.to !== null) {
+                pageParams.to = window.to;
+            }
+            const page = (await fetchPage(pageParams)) || [];
+            let olderThanFrom = 0;
+            let minTime = previousMinTime;
+            for (const item of page) {
+                const time = toMillis(item[endpoint.timeField]);
+                if (time === null || (minTime !== null && time > minTime)) {
+                    newestFirst = false;
+                }
+                if (time !== null && (minTime === null || time < minTime)) {
+                    minTime = time;
+                }
+                if (time !== null && from !== null && time < from) {
+                    olderThanFrom++;
+                    continue;
+                }
+                if (time !== null && to !== null && time > to) {
+                    continue;
+                }
+                yield item;
+            }
+            // 最后一页；或者记录确实按时间倒序，整页都早于from，后面的页不会再有需要的记录
+            if (page.length < pageSize || (newestFirst && page.length > 0 && olderThanFrom === page.length)) {
+                break;
+            }
+            previousMinTime = minTime;
+        }
+    }
+}
+exports.paginate = paginate;
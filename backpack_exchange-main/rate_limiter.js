@@ -0,0 +1,142 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.RequestScheduler = exports.priorityForMethod = exports.PRIORITY = exports.DEFAULT_RATE_LIMITS = void 0;
+const errors_1 = require("./errors");
+// 默认请求预算：capacity为突发上限，refillPerSecond为每秒恢复的请求数
+exports.DEFAULT_RATE_LIMITS = {
+    public: { capacity: 20, refillPerSecond: 10 },
+    private: { capacity: 10, refillPerSecond: 5 },
+};
+// 数值越小越先发送：撤单优先，其次查询，最后是下单等会改变状态的请求
+exports.PRIORITY = {
+    cancel: 0,
+    query: 1,
+    order: 2,
+};
+/**
+ * 根据HTTP方法判断请求的优先级
+ * @param  {string} method GET/POST/DELETE/PATCH
+ * @return {number}
+ */
+const priorityForMethod = (method) => {
+    if (method == "DELETE") {
+        return exports.PRIORITY.cancel;
+    }
+    if (method == "GET") {
+        return exports.PRIORITY.query;
+    }
+    return exports.PRIORITY.order;
+};
+exports.priorityForMethod = priorityForMethod;
+/**
+ * 令牌桶请求调度器
+ * 公共和私有请求各有一个令牌桶；令牌不足时请求按优先级排队。
+ * 收到429时暂停对应的桶直到Retry-After结束，然后把请求放回队列重新发送，不计入api()的重试次数。
+ * 超过maxRateLimitRetries后错误带上retriesExhausted，api()和调用方不再重试，429的重试只在这里计算一次。
+ *
+ * @param {Object} limits              { public: { capacity, refillPerSecond }, private: {...} }
+ * @param {Object} options
+ * @param {number} options.maxRateLimitRetries  单个请求因429重新排队的最多次数
+ */
+class RequestScheduler {
+    constructor(limits = {}, options = {}) {
+        this.maxRateLimitRetries = options.maxRateLimitRetries ?? 5;
+        this.buckets = new Map();
+        for (const name of Object.keys(exports.DEFAULT_RATE_LIMITS)) {
+            const limit = { ...exports.DEFAULT_RATE_LIMITS[name], ...(limits[name] || {}) };
+            this.buckets.set(name, {
+                capacity: limit.capacity,
+                refillPerSecond: limit.refillPerSecond,
+                tokens: limit.capacity,
+                refilledAt: Date.now(),
+                pausedUntil: 0,
+                queue: [],
+                timer: null,
+            });
+        }
+        this.sequence = 0;
+    }
+    /**
+     * 排队执行一个请求
+     * @param  {string}   bucketName  public 或 private
+     * @param  {number}   priority    见 PRIORITY
+     * @param  {Function} task        返回Promise的请求函数
+     * @return {Promise}
+     */
+    schedule(bucketName, priority, task) {
+        return new Promise((resolve, reject) => {
+            this.enqueue(bucketName, { priority, sequence: this.sequence++, task, resolve, reject, rateLimited: 0 });
+        });
+    }
+    /**
+     * 暂停一个桶，期间不发送任何请求
+     * @param {string} bucketName
+     * @param {number} ms
+     */
+    pause(bucketName, ms) {
+        const bucket = this.buckets.get(bucketName);
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+        bucket.tokens = 0;
+    }
+    /**
+     * 当前排队中的请求数
+     */
+    pending(bucketName) {
+        return this.buckets.get(bucketName).queue.length;
+    }
+    enqueue(bucketName, job) {
+        const bucket = this.buckets.get(bucketName);
+        bucket.queue.push(job);
+        bucket.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+        this.drain(bucketName);
+    }
+    refill(bucket) {
+        const now = Date.now();
+        const elapsed = (now - bucket.refilledAt) / 1000;
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSecond);
+        bucket.refilledAt = now;
+    }
+    drain(bucketName) {
+        const bucket = this.buckets.get(bucketName);
+        if (bucket.timer) {
+            return;
+        }
+        while (bucket.queue.length > 0) {
+            const now = Date.now();
+            this.refill(bucket);
+            let waitMs = 0;
+            if (bucket.pausedUntil > now) {
+                waitMs = bucket.pausedUntil - now;
+            }
+            else if (bucket.tokens < 1) {
+                waitMs = Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000);
+            }
+            if (waitMs > 0) {
+                bucket.timer = setTimeout(() => {
+                    bucket.timer = null;
+                    this.drain(bucketName);
+                }, waitMs);
+                return;
+            }
+            bucket.tokens -= 1;
+            this.run(bucketName, bucket.queue.shift());
+        }
+    }
+    run(bucketName, job) {
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, (error) => {
+                if (error instanceof errors_1.RateLimitedError && job.rateLimited < this.maxRateLimitRetries) {
+                    job.rateLimited++;
+                    this.pause(bucketName, error.retryAfterMs ?? 1000);
+                    this.enqueue(bucketName, job);
+                    return;
+                }
+                if (error instanceof errors_1.RateLimitedError) {
+                    error.retriesExhausted = true;
+                }
+                job.reject(error);
+            });
+    }
+}
+exports.RequestScheduler = RequestScheduler;
@@ -0,0 +1,194 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SchemaValidator = void 0;
+// 数组元素的路径统一写成 []，同一个字段的问题在列表响应中只报告一次
+const childPath = (parent, key) => (parent ? `${parent}.${key}` : key);
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value) && value.constructor === Object;
+/**
+ * 按openapi.json中的schema检查请求参数和响应字段
+ * 只检查字段名：未知字段、缺少必填字段，以及请求参数的枚举值；数值和字符串的格式不检查
+ *
+ * @example
+ * const validator = new SchemaValidator(loadSpec());
+ * validator.validateRequest("cancel_order", { symbol: "SOL_USDC", id: "1" });
+ * // ["未知字段 id"]
+ *
+ * @param {Object} spec OpenAPI文档
+ */
+class SchemaValidator {
+    constructor(spec) {
+        this.spec = spec;
+        this.operations = new Map();
+        for (const pathItem of Object.values(spec.paths || {})) {
+            for (const operation of Object.values(pathItem)) {
+                if (operation && operation.operationId) {
+                    this.operations.set(operation.operationId, operation);
+                }
+            }
+        }
+    }
+    /**
+     * 检查请求参数：GET请求对照query参数，其余请求对照requestBody
+     * @param  {string} operationId
+     * @param  {Object} params
+     * @return {string[]} 发现的问题，为空表示通过
+     */
+    validateRequest(operationId, params = {}) {
+        const operation = this.operations.get(operationId);
+        if (!operation) {
+            return [];
+        }
+        const bodySchema = this.jsonSchema(operation.requestBody);
+        if (bodySchema) {
+            return this.check(bodySchema, params, "", { enums: true });
+        }
+        // query参数组成一个对象schema，请求头(X-API-KEY等)由客户端自己添加
+        const schema = { type: "object", properties: {}, required: [], additionalProperties: false };
+        for (const parameter of operation.parameters || []) {
+            if (parameter.in !== "query") {
+                continue;
+            }
+            schema.properties[parameter.name] = parameter.schema || {};
+            if (parameter.required) {
+                schema.required.push(parameter.name);
+            }
+        }
+        return this.check(schema, params, "", { enums: true });
+    }
+    /**
+     * 检查响应体，接口有多个成功响应(例如下单的200和202)时取问题最少的一个
+     * @param  {string} operationId
+     * @param  {*}      body 已解析的JSON
+     * @return {string[]}
+     */
+    validateResponse(operationId, body) {
+        const operation = this.operations.get(operationId);
+        if (!operation || body === null || typeof body !== "object") {
+            return [];
+        }
+        let best = null;
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+            const schema = /^2/.test(status) ? this.jsonSchema(response) : undefined;
+            if (!schema) {
+                continue;
+            }
+            const issues = this.check(schema, body, "", { enums: false });
+            if (!best || issues.length < best.length) {
+                best = issues;
+            }
+        }
+        return best ?? [];
+    }
+    // requestBody或response中的JSON schema
+    jsonSchema(container) {
+        const content = container && container.content;
+        if (!content) {
+            return undefined;
+        }
+        const key = Object.keys(content).find((type) => type.startsWith("application/json"));
+        return key ? content[key].schema : undefined;
+    }
+    resolve(schema) {
+        let current = schema || {};
+        while (current.$ref) {
+            const name = current.$ref.replace(/^#\/components\/schemas\//, "");
+            current = (this.spec.components && this.spec.components.schemas || {})[name];
+            if (!current) {
+                throw new Error(`OpenAPI文档中找不到schema: ${name}`);
+            }
+        }
+        return current;
+    }
+    // 展开$ref和allOf，合并成一个schema
+    flatten(schema) {
+        const resolved = this.resolve(schema);
+        if (!resolved.allOf) {
+            return resolved;
+        }
+        const merged = { ...resolved, allOf: undefined, properties: { ...resolved.properties }, required: [...(resolved.required || [])] };
+        for (const part of resolved.allOf.map((item) => this.flatten(item))) {
+            merged.type = merged.type ?? part.type;
+            merged.enum = merged.enum ?? part.enum;
+            merged.items = merged.items ?? part.items;
+            merged.anyOf = merged.anyOf ?? part.anyOf;
+            merged.discriminator = merged.discriminator ?? part.discriminator;
+            merged.additionalProperties = merged.additionalProperties ?? part.additionalProperties;
+            Object.assign(merged.properties, part.properties);
+            merged.required.push(...(part.required || []));
+        }
+        return merged;
+    }
+    // anyOf/oneOf：有discriminator时按字段值选择，否则取问题最少的一个
+    chooseVariant(schema, value, path, options) {
+        const variants = schema.anyOf || schema.oneOf;
+        const discriminator = schema.discriminator;
+        if (discriminator && isPlainObject(value)) {
+            const ref = (discriminator.mapping || {})[value[discriminator.propertyName]];
+            if (ref) {
+                return this.check({ $ref: ref }, value, path, { ...options, enums: false });
+            }
+        }
+        let best = null;
+        for (const variant of variants) {
+            const issues = this.check(variant, value, path, options);
+            if (!best || issues.length < best.length) {
+                best = issues;
+            }
+        }
+        return best ?? [];
+    }
+    check(schema, value, path, options) {
+        const flat = this.flatten(schema);
+        if (value === null || value === undefined) {
+            return [];
+        }
+        if (flat.anyOf || flat.oneOf) {
+            return this.chooseVariant(flat, value, path, options);
+        }
+        if (flat.enum && options.enums && !flat.enum.includes(typeof value === "string" ? value : String(value))) {
+            return [`${path || "参数"} 的值 ${JSON.stringify(value)} 不是 ${flat.enum.join("/")} 之一`];
+        }
+        if (flat.type === "array" || flat.items) {
+            if (!Array.isArray(value)) {
+                return [`${path || "响应"} 应为数组`];
+            }
+            const issues = new Set();
+            for (const item of value) {
+                this.check(flat.items, item, `${path}[]`, options).forEach((issue) => issues.add(issue));
+            }
+            return [...issues];
+        }
+        const properties = flat.properties || {};
+        const hasFields = Object.keys(properties).length > 0 || flat.additionalProperties !== undefined;
+        if (flat.type !== "object" && !hasFields) {
+            return [];
+        }
+        if (!isPlainObject(value)) {
+            return [`${path || "响应"} 应为对象`];
+        }
+        // 没有列出字段的object是任意对象
+        if (!hasFields) {
+            return [];
+        }
+        const issues = [];
+        for (const name of new Set(flat.required || [])) {
+            if (!(name in value)) {
+                issues.push(`缺少必填字段 ${childPath(path, name)}`);
+            }
+        }
+        for (const [name, fieldValue] of Object.entries(value)) {
+            const fieldPath = childPath(path, name);
+            if (properties[name]) {
+                issues.push(...this.check(properties[name], fieldValue, fieldPath, options));
+            }
+            else if (isPlainObject(flat.additionalProperties)) {
+                issues.push(...this.check(flat.additionalProperties, fieldValue, fieldPath, options));
+            }
+            else if (flat.additionalProperties !== true) {
+                issues.push(`未知字段 ${fieldPath}`);
+            }
+        }
+        return issues;
+    }
+}
+exports.SchemaValidator = SchemaValidator;
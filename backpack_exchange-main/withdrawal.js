@@ -0,0 +1,288 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.WithdrawalManager = exports.confirmationPhrase = exports.DEFAULT_POLL_TIMEOUT_MS = exports.DEFAULT_POLL_INTERVAL_MS = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+const events_1 = require("events");
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const decimal_1 = require("./decimal");
+const errors_1 = require("./errors");
+exports.DEFAULT_POLL_INTERVAL_MS = 10 * 1000;
+exports.DEFAULT_POLL_TIMEOUT_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 查找刚提交的提现时，向前多查一段时间以容忍本地与交易所的时钟偏差
+const LOOKBACK_MS = 5 * 60 * 1000;
+const PENDING_STATUS = "pending";
+const SUCCESS_STATUS = "confirmed";
+const ZERO = decimal_1.Decimal.from(0);
+// EVM地址不区分大小写，其余链(Solana、Bitcoin等)的地址区分大小写
+const normalizeAddress = (address) => (/^0x[0-9a-fA-F]{40}$/.test(address) ? address.toLowerCase() : address);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * 没有二次验证码时需要手动输入的确认内容
+ * @param  {Object} request { symbol, quantity }
+ * @return {string}         例如 "WITHDRAW 25 USDC"
+ */
+const confirmationPhrase = (request) => `WITHDRAW ${request.quantity} ${request.symbol}`;
+exports.confirmationPhrase = confirmationPhrase;
+/**
+ * 带安全检查的提现：
+ * 1. 地址必须在对应区块链的白名单中
+ * 2. 最近24小时的提现(按交易所的提现记录计算)加上本次不超过该资产的每日限额，未配置限额的资产不允许提现
+ * 3. 不超过 GetMaxWithdrawalQuantity 返回的可提现数量
+ * 4. 提供二次验证码(twoFactorToken)，或通过 confirm 回调输入 confirmationPhrase 的内容
+ * 提交后轮询提现记录直到状态不再是 pending。每个请求和结果都追加写入审计日志(每行一个JSON)
+ *
+ * @example
+ * const withdrawals = client.createWithdrawalManager({
+ *     allowlist: { Solana: ["5Xy...abc"] },
+ *     dailyLimits: { USDC: "1000" },
+ *     auditFile: "logs/withdrawal_audit.log",
+ * });
+ * const result = await withdrawals.withdraw(
+ *     { symbol: "USDC", blockchain: "Solana", address: "5Xy...abc", quantity: "25" },
+ *     { twoFactorToken: "123456" });
+ *
+ * @param {BackpackClient} client
+ * @param {Object}   options
+ * @param {Object}   options.allowlist        { 区块链: [地址, ...] }，区块链名称与 Blockchain 枚举一致，例如 Solana、Ethereum
+ * @param {Object}   options.dailyLimits      { 资产: 24小时内最多提现数量 }
+ * @param {string}   options.auditFile        审计日志文件
+ * @param {Function} options.confirm          (summary, phrase) => Promise<string>，返回用户输入的确认内容
+ * @param {number}   options.pollIntervalMs   状态轮询间隔，默认10秒
+ * @param {number}   options.pollTimeoutMs    最多等待多久，默认30分钟
+ */
+class WithdrawalManager extends events_1.EventEmitter {
+    constructor(client, options = {}) {
+        super();
+        this.client = client;
+        this.allowlist = new Map();
+        for (const [blockchain, addresses] of Object.entries(options.allowlist || {})) {
+            this.allowlist.set(blockchain, new Set([].concat(addresses).map(normalizeAddress)));
+        }
+        this.dailyLimits = new Map(Object.entries(options.dailyLimits || {}).map(([symbol, limit]) => [symbol, decimal_1.Decimal.from(limit)]));
+        this.auditFile = options.auditFile;
+        this.confirm = options.confirm;
+        this.pollIntervalMs = options.pollIntervalMs ?? exports.DEFAULT_POLL_INTERVAL_MS;
+        this.pollTimeoutMs = options.pollTimeoutMs ?? exports.DEFAULT_POLL_TIMEOUT_MS;
+    }
+    /**
+     * 写入一条审计记录，同时发出 audit 事件；写入失败时抛出，避免在没有记录的情况下提现
+     * @param {string} event  request / rejected / submitted / failed / status / completed / timeout
+     * @param {Object} data
+     */
+    audit(event, data = {}) {
+        const entry = { time: new Date().toISOString(), event, ...data };
+        if (this.auditFile) {
+            fs_1.default.mkdirSync(path_1.default.dirname(this.auditFile), { recursive: true });
+            fs_1.default.appendFileSync(this.auditFile, JSON.stringify(entry) + "\n", "utf8");
+        }
+        this.emit("audit", entry);
+        return entry;
+    }
+    /**
+     * 最近24小时内该资产的提现数量，包括在其他地方发起的提现
+     * @param  {string} symbol
+     * @return {Promise<Decimal>}
+     */
+    async usedToday(symbol) {
+        let used = ZERO;
+        for await (const withdrawal of this.client.iterateWithdrawals({}, { from: Date.now() - DAY_MS })) {
+            if (withdrawal.symbol === symbol) {
+                used = used.plus(decimal_1.Decimal.from(withdrawal.quantity));
+            }
+        }
+        return used;
+    }
+    /**
+     * 检查提现请求，不发送提现
+     * @param  {Object} request { symbol, blockchain, address, quantity, autoBorrow, autoLendRedeem }
+     * @return {Promise<Object>} { reasons, usedToday, dailyLimit, maxQuantity }，reasons为空表示可以提现
+     */
+    async check(request) {
+        const reasons = [];
+        for (const field of ["symbol", "blockchain", "address", "quantity"]) {
+            if (request[field] === undefined || request[field] === null || request[field] === "") {
+                reasons.push(`缺少 ${field}`);
+            }
+        }
+        if (reasons.length > 0) {
+            return { reasons };
+        }
+        let quantity;
+        try {
+            quantity = decimal_1.Decimal.from(request.quantity);
+        }
+        catch (_e) {
+            return { reasons: [`无效的提现数量 ${request.quantity}`] };
+        }
+        if (!quantity.gt(ZERO)) {
+            reasons.push(`提现数量必须大于0: ${request.quantity}`);
+        }
+        const addresses = this.allowlist.get(request.blockchain);
+        if (!addresses || !addresses.has(normalizeAddress(request.address))) {
+            reasons.push(`地址 ${request.address} 不在 ${request.blockchain} 的白名单中`);
+        }
+        const dailyLimit = this.dailyLimits.get(request.symbol);
+        let usedToday;
+        if (!dailyLimit) {
+            reasons.push(`${request.symbol} 没有配置每日提现限额`);
+        }
+        else {
+            usedToday = await this.usedToday(request.symbol);
+            if (usedToday.plus(quantity).gt(dailyLimit)) {
+                reasons.push(`超过每日限额：24小时内已提现 ${usedToday}，本次 ${quantity}，限额 ${dailyLimit}`);
+            }
+        }
+        const maxParams = { symbol: request.symbol };
+        if (request.autoBorrow !== undefined) {
+            maxParams.autoBorrow = request.autoBorrow;
+        }
+        if (request.autoLendRedeem !== undefined) {
+            maxParams.autoLendRedeem = request.autoLendRedeem;
+        }
+        const max = await this.client.GetMaxWithdrawalQuantity(maxParams);
+        const maxQuantity = decimal_1.Decimal.from(max.maxWithdrawalQuantity);
+        if (quantity.gt(maxQuantity)) {
+            reasons.push(`超过可提现数量 ${maxQuantity}`);
+        }
+        return { reasons, usedToday, dailyLimit, maxQuantity };
+    }
+    /**
+     * 检查、确认并提交提现，然后等待提现完成
+     * @param  {Object}   request                 { symbol, blockchain, address, quantity, autoBorrow, autoLendRedeem, clientId }
+     * @param  {Object}   options
+     * @param  {string}   options.twoFactorToken  二次验证码，提供时不需要手动确认
+     * @param  {Function} options.confirm         覆盖构造时的 confirm 回调
+     * @param  {boolean}  options.wait            是否等待提现完成，默认true；为false时返回刚提交的提现
+     * @return {Promise<Object>} 提现记录(Withdrawal)
+     */
+    async withdraw(request, options = {}) {
+        const payload = {
+            symbol: request.symbol,
+            blockchain: request.blockchain,
+            address: request.address,
+            quantity: request.quantity === undefined ? undefined : String(request.quantity),
+            clientId: request.clientId ?? `wd-${crypto_1.default.randomUUID()}`,
+        };
+        if (request.autoBorrow !== undefined) {
+            payload.autoBorrow = request.autoBorrow;
+        }
+        if (request.autoLendRedeem !== undefined) {
+            payload.autoLendRedeem = request.autoLendRedeem;
+        }
+        // 审计日志中只记录请求内容，不记录二次验证码
+        this.audit("request", { request: payload });
+        const reject = (reasons) => {
+            this.audit("rejected", { clientId: payload.clientId, reasons });
+            throw new errors_1.WithdrawalRejectedError(`提现被拒绝: ${reasons.join("；")}`, { reasons, request: payload });
+        };
+        let checked;
+        try {
+            checked = await this.check(payload);
+        }
+        catch (error) {
+            this.audit("failed", { clientId: payload.clientId, stage: "check", error: error.message });
+            throw error;
+        }
+        if (checked.reasons.length > 0) {
+            reject(checked.reasons);
+        }
+        if (options.twoFactorToken) {
+            payload.twoFactorToken = String(options.twoFactorToken);
+        }
+        else {
+            const confirm = options.confirm ?? this.confirm;
+            if (!confirm) {
+                reject(["需要二次验证码(twoFactorToken)或手动确认"]);
+            }
+            const phrase = (0, exports.confirmationPhrase)(payload);
+            const summary = `提现 ${payload.quantity} ${payload.symbol} 到 ${payload.blockchain} 地址 ${payload.address}` +
+                `（24小时内已提现 ${checked.usedToday}，限额 ${checked.dailyLimit}）`;
+            const typed = await confirm(summary, phrase);
+            if (String(typed ?? "").trim() !== phrase) {
+                reject(["确认内容不一致"]);
+            }
+        }
+        const submittedAt = Date.now();
+        let withdrawal;
+        try {
+            withdrawal = await this.client.Withdraw(payload);
+        }
+        catch (error) {
+            // 超时或服务端错误时提现可能已被受理，按clientId确认后再决定是否报错
+            withdrawal = (0, errors_1.isRetryable)(error) ? await this.findByClientId(payload.clientId, submittedAt).catch(() => null) : null;
+            if (!withdrawal) {
+                this.audit("failed", { clientId: payload.clientId, stage: "submit", error: error.message, code: error.code });
+                throw error;
+            }
+        }
+        this.audit("submitted", {
+            clientId: payload.clientId,
+            id: withdrawal.id,
+            status: withdrawal.status,
+            authorization: payload.twoFactorToken ? "twoFactorToken" : "confirmation",
+        });
+        if (options.wait === false) {
+            return withdrawal;
+        }
+        return this.waitForCompletion(withdrawal, submittedAt);
+    }
+    // 在最近的提现记录中查找
+    async findWithdrawal(match, since) {
+        for await (const withdrawal of this.client.iterateWithdrawals({}, { from: since - LOOKBACK_MS })) {
+            if (match(withdrawal)) {
+                return withdrawal;
+            }
+        }
+        return null;
+    }
+    findByClientId(clientId, since = Date.now()) {
+        return this.findWithdrawal((withdrawal) => withdrawal.clientId === clientId, since);
+    }
+    /**
+     * 轮询提现记录直到状态不再是 pending，状态变化时发出 status 事件
+     * @param  {Object} withdrawal  Withdraw() 返回的提现
+     * @param  {number} since       提交时间(毫秒)
+     * @return {Promise<Object>}    最终的提现记录；超时时抛出错误
+     */
+    async waitForCompletion(withdrawal, since = Date.now()) {
+        const deadline = Date.now() + this.pollTimeoutMs;
+        let current = withdrawal;
+        let lastStatus = withdrawal.status;
+        while (current.status === PENDING_STATUS || current.status === undefined) {
+            if (Date.now() >= deadline) {
+                this.audit("timeout", { id: withdrawal.id, clientId: withdrawal.clientId, status: lastStatus });
+                throw new Error(`提现 ${withdrawal.id} 在 ${this.pollTimeoutMs / 1000} 秒内没有完成，当前状态 ${lastStatus}`);
+            }
+            await sleep(this.pollIntervalMs);
+            try {
+                current = (await this.findWithdrawal((item) => String(item.id) === String(withdrawal.id), since)) ?? current;
+            }
+            catch (error) {
+                // 查询失败不影响提现本身，下次继续查询
+                if (this.listenerCount("error") > 0) {
+                    this.emit("error", error);
+                }
+                continue;
+            }
+            if (current.status !== lastStatus) {
+                lastStatus = current.status;
+                this.audit("status", { id: current.id, status: current.status });
+                this.emit("status", current);
+            }
+        }
+        this.audit("completed", {
+            id: current.id,
+            clientId: current.clientId,
+            status: current.status,
+            success: current.status === SUCCESS_STATUS,
+            transactionHash: current.transactionHash ?? current.identifier,
+        });
+        return current;
+    }
+}
+exports.WithdrawalManager = WithdrawalManager;
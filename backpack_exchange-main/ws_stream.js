@@ -0,0 +1,298 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MarketStream = exports.StreamConnection = exports.DEFAULT_WS_URL = void 0;
+const events_1 = require("events");
+const ws_1 = __importDefault(require("ws"));
+const BACKOFF_EXPONENT = 1.5;
+exports.DEFAULT_WS_URL = "wss://ws.backpack.exchange";
+/**
+ * 自动重连的WebSocket连接
+ * 负责心跳检测、断线后按退避时间重连，并在重连后重新订阅所有流。
+ * 子类可覆盖 subscribeMessage() 来改变订阅请求(例如私有流需要签名)，
+ * 覆盖 handleStreamMessage() 来解析推送数据。
+ *
+ * 事件: open, reconnecting, close, error, message
+ * @param {Object} options
+ * @param {string} options.url                 WebSocket地址
+ * @param {number} options.pingIntervalMs      发送ping的间隔
+ * @param {number} options.heartbeatTimeoutMs  超过该时间没有任何数据则断开重连
+ * @param {number} options.reconnectBaseMs     重连退避的基础时间
+ * @param {number} options.reconnectMaxMs      重连退避的最长时间
+ * @param {Function} options.socketFactory     url => WebSocket，用于录制/回放，默认直接创建ws连接
+ */
+class StreamConnection extends events_1.EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.url = options.url ?? exports.DEFAULT_WS_URL;
+        this.pingIntervalMs = options.pingIntervalMs ?? 30000;
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? 60000;
+        this.reconnectBaseMs = options.reconnectBaseMs ?? 1000;
+        this.reconnectMaxMs = options.reconnectMaxMs ?? 30000;
+        this.socketFactory = options.socketFactory ?? ((url) => new ws_1.default(url));
+        this.subscriptions = new Set();
+        this.socket = null;
+        this.closed = false;
+        this.reconnectAttempts = 0;
+        this.lastActivity = 0;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+    }
+    /**
+     * 建立连接，已连接或正在连接时不做任何事
+     */
+    connect() {
+        if (this.socket || this.reconnectTimer) {
+            return this;
+        }
+        this.closed = false;
+        const socket = this.socketFactory(this.url);
+        this.socket = socket;
+        socket.on("open", () => {
+            this.reconnectAttempts = 0;
+            this.touch();
+            this.startHeartbeat();
+            if (this.subscriptions.size > 0) {
+                this.send(this.subscribeMessage([...this.subscriptions]));
+            }
+            this.emit("open");
+        });
+        socket.on("message", (raw) => this.handleRaw(raw));
+        socket.on("ping", () => this.touch());
+        socket.on("pong", () => this.touch());
+        socket.on("error", (error) => this.emitError(error));
+        socket.on("close", (code, reason) => {
+            this.stopHeartbeat();
+            this.socket = null;
+            this.emit("close", code, reason?.toString());
+            if (!this.closed) {
+                this.scheduleReconnect();
+            }
+        });
+        return this;
+    }
+    /**
+     * 订阅一个或多个流，断线重连后会自动重新订阅
+     * @param {string|string[]} streams 流名称，例如 depth.SOL_USDC
+     */
+    subscribe(streams) {
+        const list = [].concat(streams).filter((s) => !this.subscriptions.has(s));
+        list.forEach((s) => this.subscriptions.add(s));
+        if (this.isOpen() && list.length > 0) {
+            this.send(this.subscribeMessage(list));
+        }
+        else {
+            this.connect();
+        }
+        return this;
+    }
+    /**
+     * 取消订阅
+     * @param {string|string[]} streams 流名称
+     */
+    unsubscribe(streams) {
+        const list = [].concat(streams).filter((s) => this.subscriptions.has(s));
+        list.forEach((s) => this.subscriptions.delete(s));
+        if (this.isOpen() && list.length > 0) {
+            this.send({ method: "UNSUBSCRIBE", params: list });
+        }
+        return this;
+    }
+    /**
+     * 主动关闭连接，不再重连
+     */
+    close() {
+        this.closed = true;
+        this.stopHeartbeat();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+    isOpen() {
+        return Boolean(this.socket) && this.socket.readyState === ws_1.default.OPEN;
+    }
+    /**
+     * 生成订阅请求，子类可覆盖
+     * @param  {string[]} streams
+     * @return {Object}
+     */
+    subscribeMessage(streams) {
+        return { method: "SUBSCRIBE", params: streams };
+    }
+    /**
+     * 处理 { stream, data } 格式的推送，子类覆盖
+     */
+    handleStreamMessage(_stream, _data) { }
+    send(payload) {
+        if (this.isOpen()) {
+            this.socket.send(JSON.stringify(payload));
+        }
+    }
+    handleRaw(raw) {
+        this.touch();
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        }
+        catch (error) {
+            this.emitError(new Error(`无法解析WebSocket消息: ${raw}`));
+            return;
+        }
+        this.emit("message", message);
+        if (message && message.stream && message.data) {
+            this.handleStreamMessage(message.stream, message.data);
+        }
+        else if (message && message.error) {
+            this.emitError(new Error(`WebSocket订阅错误: ${JSON.stringify(message.error)}`));
+        }
+    }
+    touch() {
+        this.lastActivity = Date.now();
+    }
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.socket) {
+                return;
+            }
+            if (Date.now() - this.lastActivity > this.heartbeatTimeoutMs) {
+                // 心跳超时，强制断开，由close事件触发重连
+                this.socket.terminate();
+                return;
+            }
+            this.socket.ping();
+        }, this.pingIntervalMs);
+    }
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+    scheduleReconnect() {
+        this.reconnectAttempts++;
+        const delay = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * Math.pow(this.reconnectAttempts, BACKOFF_EXPONENT));
+        this.emit("reconnecting", { attempt: this.reconnectAttempts, delay });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closed) {
+                this.connect();
+            }
+        }, delay);
+    }
+    emitError(error) {
+        // 没有监听error时EventEmitter会直接抛出，这里退化为打印日志
+        if (this.listenerCount("error") > 0) {
+            this.emit("error", error);
+        }
+        else {
+            console.log(`Websocket Error ${error}`);
+        }
+    }
+}
+exports.StreamConnection = StreamConnection;
+// 公共行情流的推送字段转换
+const marketParsers = {
+    bookTicker: (d) => ({
+        symbol: d.s,
+        bestAskPrice: d.a,
+        bestAskQuantity: d.A,
+        bestBidPrice: d.b,
+        bestBidQuantity: d.B,
+        updateId: d.u,
+        eventTime: d.E,
+        timestamp: d.T,
+    }),
+    depth: (d) => ({
+        symbol: d.s,
+        asks: d.a,
+        bids: d.b,
+        firstUpdateId: d.U,
+        lastUpdateId: d.u,
+        eventTime: d.E,
+        timestamp: d.T,
+    }),
+    trade: (d) => ({
+        symbol: d.s,
+        price: d.p,
+        quantity: d.q,
+        buyerOrderId: d.b,
+        sellerOrderId: d.a,
+        tradeId: d.t,
+        isBuyerMaker: d.m,
+        eventTime: d.E,
+        timestamp: d.T,
+    }),
+    kline: (d) => ({
+        symbol: d.s,
+        startTime: d.t,
+        closeTime: d.T,
+        open: d.o,
+        close: d.c,
+        high: d.h,
+        low: d.l,
+        volume: d.v,
+        trades: d.n,
+        isClosed: d.X,
+        eventTime: d.E,
+    }),
+    ticker: (d) => ({
+        symbol: d.s,
+        firstPrice: d.o,
+        lastPrice: d.c,
+        high: d.h,
+        low: d.l,
+        volume: d.v,
+        quoteVolume: d.V,
+        trades: d.n,
+        eventTime: d.E,
+    }),
+};
+/**
+ * 公共行情流
+ * https://docs.backpack.exchange/#tag/Streams/Public
+ *
+ * 事件: bookTicker, depth, trade, kline, ticker，参数为 (event, stream)，
+ * 以及 StreamConnection 的连接事件
+ *
+ * @example
+ * const stream = new MarketStream();
+ * stream.on("ticker", (ticker) => console.log(ticker.lastPrice));
+ * stream.subscribeTicker("SOL_USDC");
+ */
+class MarketStream extends StreamConnection {
+    subscribeBookTicker(symbol) {
+        return this.subscribe(`bookTicker.${symbol}`);
+    }
+    subscribeDepth(symbol) {
+        return this.subscribe(`depth.${symbol}`);
+    }
+    subscribeTrades(symbol) {
+        return this.subscribe(`trade.${symbol}`);
+    }
+    subscribeKline(interval, symbol) {
+        return this.subscribe(`kline.${interval}.${symbol}`);
+    }
+    subscribeTicker(symbol) {
+        return this.subscribe(`ticker.${symbol}`);
+    }
+    handleStreamMessage(stream, data) {
+        const type = stream.split(".")[0];
+        const parser = marketParsers[type];
+        if (!parser) {
+            return;
+        }
+        const event = parser(data);
+        if (type === "kline") {
+            event.interval = stream.split(".")[1];
+        }
+        this.emit(type, event, stream);
+    }
+}
+exports.MarketStream = MarketStream;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { BackpackClient } = require('./backpack_exchange-main/backpack_client');
+const { writeKeystore, readSecret, ENV } = require('./backpack_exchange-main/keystore');
+const { generateKeyPair } = require('./backpack_exchange-main/ed25519_keys');
+
+const DEFAULT_KEYSTORE_PATH = path.join(__dirname, 'backpack_keystore.json');
+const CONFIG_PATH = path.join(__dirname, 'backpack_trading_config.json');
+
+// 要加密的密钥：--generate 时生成新密钥对；否则优先使用环境变量，其次是旧配置文件中的明文密钥(迁移)，都没有时在终端输入
+async function readKeys(generate) {
+    if (generate) {
+        console.log('生成新的ED25519密钥对');
+        return generateKeyPair();
+    }
+    if (process.env[ENV.privateKey] && process.env[ENV.publicKey]) {
+        console.log(`使用环境变量 ${ENV.privateKey} / ${ENV.publicKey} 中的密钥`);
+        return { privateKey: process.env[ENV.privateKey], publicKey: process.env[ENV.publicKey] };
+    }
+    if (fs.existsSync(CONFIG_PATH)) {
+        const api = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).api || {};
+        if (api.privateKey && api.publicKey) {
+            console.log(`使用 ${CONFIG_PATH} 中的明文密钥，加密后请从配置文件中删除 api.privateKey`);
+            return { privateKey: api.privateKey, publicKey: api.publicKey };
+        }
+    }
+    // 私钥支持base64/十六进制的32字节种子、64字节secret key和PKCS8 PEM
+    const publicKey = (await readSecret('请输入API公钥: ')).trim();
+    const privateKey = (await readSecret('请输入API私钥: ')).trim();
+    return { privateKey, publicKey };
+}
+
+// 口令：环境变量 BACKPACK_KEYSTORE_PASSPHRASE，或在终端输入两次
+async function readPassphrase() {
+    if (process.env[ENV.passphrase]) {
+        return process.env[ENV.passphrase];
+    }
+    const passphrase = await readSecret('请设置密钥文件口令: ');
+    const confirm = await readSecret('请再次输入口令: ');
+    if (passphrase !== confirm) {
+        throw new Error('两次输入的口令不一致');
+    }
+    return passphrase;
+}
+
+// 用法: node create_keystore.js [--generate] [密钥文件]
+//   --generate  生成新的密钥对并加密保存，输出需要在交易所登记的公钥
+async function main() {
+    const args = process.argv.slice(2);
+    const generate = args.includes('--generate');
+    const fileArg = args.find(arg => !arg.startsWith('--'));
+    const file = fileArg ? path.resolve(fileArg) : DEFAULT_KEYSTORE_PATH;
+    if (fs.existsSync(file)) {
+        throw new Error(`密钥文件已存在，请先删除或指定其他路径: ${file}`);
+    }
+    const keys = await readKeys(generate);
+    // 构造客户端时会检查私钥和公钥是否匹配，不会发送请求；公钥统一转为交易所使用的base64格式
+    const client = new BackpackClient(keys.privateKey, keys.publicKey, { timeSync: false });
+    const keystore = writeKeystore(file, { privateKey: keys.privateKey, publicKey: client.config.publicKey }, await readPassphrase());
+    console.log(`密钥文件已保存: ${file}`);
+    if (generate) {
+        console.log(`请在交易所的API密钥设置中登记以下公钥: ${keystore.publicKey}`);
+    }
+    console.log(`在配置文件中设置 "api": { "keystoreFile": "${path.relative(__dirname, file)}" }，` +
+        `运行时通过环境变量 ${ENV.passphrase} 或终端输入口令解锁`);
+}
+
+main().catch(error => {
+    console.error(`创建密钥文件失败: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,941 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MatchingEngine = exports.MockApiError = exports.HOUSE_ACCOUNT = void 0;
+const events_1 = require("events");
+const decimal_1 = require("../backpack_exchange-main/decimal");
+const Decimal = decimal_1.Decimal;
+// 做市账户：按价格路径提供流动性，不检查也不结算余额
+exports.HOUSE_ACCOUNT = "house";
+const ZERO = Decimal.from(0);
+// 价格样本和成交记录保留的条数，足够生成几天的K线
+const MAX_HISTORY = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/**
+ * 模拟交易所返回的错误，status和code与Backpack一致
+ */
+class MockApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+exports.MockApiError = MockApiError;
+const min = (a, b) => (a.lt(b) ? a : b);
+// 向上取整到步长的整数倍
+const ceilToStep = (value, step) => {
+    const floored = value.floorToStep(step);
+    return floored.eq(value) ? floored : floored.plus(step);
+};
+const parseDecimal = (value, code, name) => {
+    try {
+        return Decimal.from(value);
+    }
+    catch (_e) {
+        throw new MockApiError(400, code, `${name} 格式错误: ${value}`);
+    }
+};
+/**
+ * 内存中的限价订单簿撮合引擎
+ * 价格优先、时间优先；挂单冻结余额，成交时按挂单价结算，不收手续费。
+ * 做市账户(HOUSE_ACCOUNT)的挂单由 setMarketPrice() 按价格路径重新铺设，
+ * 价格穿过用户挂单时与之成交，从而模拟行情涨跌带来的成交。
+ *
+ * 事件: orderUpdate(accountId, update), depth(event), trade(trade), ticker(symbol)
+ * @param {Object}   options
+ * @param {Object[]} options.markets  [{ symbol, baseSymbol, quoteSymbol, tickSize, stepSize, minQuantity, liquidity }]
+ *                                    liquidity: { levels, stepPercent, quantity } 做市挂单的档数、档距(%)和每档数量
+ * @param {number}   options.withdrawalConfirmMs  提现从 pending 变为 confirmed 所需的时间，默认5000
+ */
+class MatchingEngine extends events_1.EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.markets = new Map();
+        this.books = new Map();
+        this.accounts = new Map();
+        this.orders = new Map();
+        this.fills = [];
+        this.nextOrderId = 112000000000000n;
+        this.nextTradeId = 1;
+        this.withdrawalList = [];
+        this.nextWithdrawalId = 1;
+        this.withdrawalConfirmMs = options.withdrawalConfirmMs ?? 5000;
+        for (const market of options.markets || []) {
+            this.addMarket(market);
+        }
+    }
+    addMarket(market) {
+        const symbol = market.symbol;
+        const [baseSymbol, quoteSymbol] = symbol.split("_");
+        this.markets.set(symbol, {
+            symbol,
+            baseSymbol: market.baseSymbol ?? baseSymbol,
+            quoteSymbol: market.quoteSymbol ?? quoteSymbol,
+            tickSize: Decimal.from(market.tickSize ?? "0.01"),
+            stepSize: Decimal.from(market.stepSize ?? "0.01"),
+            minQuantity: Decimal.from(market.minQuantity ?? market.stepSize ?? "0.01"),
+            liquidity: {
+                levels: market.liquidity?.levels ?? 10,
+                stepPercent: Decimal.from(market.liquidity?.stepPercent ?? "0.05"),
+                quantity: Decimal.from(market.liquidity?.quantity ?? "100"),
+            },
+        });
+        this.books.set(symbol, {
+            bids: [],
+            asks: [],
+            updateId: 0,
+            changed: { bids: new Set(), asks: new Set() },
+            lastPrice: null,
+            prices: [],
+            trades: [],
+        });
+    }
+    market(symbol) {
+        const market = this.markets.get(symbol);
+        if (!market) {
+            throw new MockApiError(400, "INVALID_MARKET", `未知交易对: ${symbol}`);
+        }
+        return market;
+    }
+    /**
+     * 创建账户或增加余额
+     * @param {string} accountId
+     * @param {Object} balances  { USDC: "1000" }
+     */
+    deposit(accountId, balances = {}) {
+        const account = this.account(accountId);
+        for (const [asset, amount] of Object.entries(balances)) {
+            const balance = this.balance(account, asset);
+            balance.available = balance.available.plus(amount);
+        }
+    }
+    hasAccount(accountId) {
+        return this.accounts.has(accountId);
+    }
+    account(accountId) {
+        if (!this.accounts.has(accountId)) {
+            this.accounts.set(accountId, new Map());
+        }
+        return this.accounts.get(accountId);
+    }
+    balance(account, asset) {
+        if (!account.has(asset)) {
+            account.set(asset, { available: ZERO, locked: ZERO });
+        }
+        return account.get(asset);
+    }
+    /**
+     * Balance() 的返回格式 { asset: { available, locked, staked } }
+     */
+    balances(accountId) {
+        const result = {};
+        for (const [asset, balance] of this.account(accountId)) {
+            result[asset] = {
+                available: balance.available.toString(),
+                locked: balance.locked.toString(),
+                staked: "0",
+            };
+        }
+        return result;
+    }
+    /**
+     * 下单，返回 ExecuteOrder() 格式的订单
+     * @param {string} accountId
+     * @param {Object} payload    与 ExecuteOrder 的参数相同
+     */
+    executeOrder(accountId, payload) {
+        const market = this.market(payload.symbol);
+        const isHouse = accountId === exports.HOUSE_ACCOUNT;
+        if (payload.side !== "Bid" && payload.side !== "Ask") {
+            throw new MockApiError(400, "INVALID_CLIENT_REQUEST", `side 必须是 Bid 或 Ask: ${payload.side}`);
+        }
+        if (payload.orderType !== "Limit" && payload.orderType !== "Market") {
+            throw new MockApiError(400, "INVALID_CLIENT_REQUEST", `不支持的订单类型: ${payload.orderType}`);
+        }
+        const order = {
+            id: (this.nextOrderId++).toString(),
+            clientId: payload.clientId,
+            accountId,
+            symbol: market.symbol,
+            side: payload.side,
+            orderType: payload.orderType,
+            timeInForce: payload.orderType === "Market" ? "IOC" : payload.timeInForce ?? "GTC",
+            postOnly: payload.postOnly === true || payload.postOnly === "true",
+            selfTradePrevention: payload.selfTradePrevention ?? "RejectTaker",
+            price: null,
+            quantity: null,
+            quoteQuantity: null,
+            executedQuantity: ZERO,
+            executedQuoteQuantity: ZERO,
+            status: "New",
+            expiryReason: undefined,
+            createdAt: Date.now(),
+            lockedPrice: null,
+            stopLossTriggerPrice: null,
+            stopLossLimitPrice: null,
+        };
+        if (payload.quantity !== undefined) {
+            order.quantity = parseDecimal(payload.quantity, "INVALID_QUANTITY", "quantity");
+            if (!order.quantity.gt(0) || !order.quantity.floorToStep(market.stepSize).eq(order.quantity)) {
+                throw new MockApiError(400, "INVALID_QUANTITY", `数量必须是 ${market.stepSize} 的正整数倍: ${payload.quantity}`);
+            }
+            if (order.quantity.lt(market.minQuantity)) {
+                throw new MockApiError(400, "INVALID_QUANTITY", `数量低于最小下单量 ${market.minQuantity}: ${payload.quantity}`);
+            }
+        }
+        if (order.orderType === "Limit") {
+            if (payload.price === undefined || order.quantity === null) {
+                throw new MockApiError(400, "INVALID_CLIENT_REQUEST", "限价单必须指定 price 和 quantity");
+            }
+            order.price = parseDecimal(payload.price, "INVALID_PRICE", "price");
+            if (!order.price.gt(0) || !order.price.floorToStep(market.tickSize).eq(order.price)) {
+                throw new MockApiError(400, "INVALID_PRICE", `价格必须是 ${market.tickSize} 的正整数倍: ${payload.price}`);
+            }
+        }
+        else {
+            if (payload.quoteQuantity !== undefined) {
+                order.quoteQuantity = parseDecimal(payload.quoteQuantity, "INVALID_QUANTITY", "quoteQuantity");
+            }
+            if (order.quantity === null && order.quoteQuantity === null) {
+                throw new MockApiError(400, "INVALID_CLIENT_REQUEST", "市价单必须指定 quantity 或 quoteQuantity");
+            }
+        }
+        if (payload.stopLossTriggerPrice !== undefined) {
+            // 只模拟现货买单附带的止损：成交的数量由止损触发单卖出
+            if (order.side !== "Bid") {
+                throw new MockApiError(400, "INVALID_CLIENT_REQUEST", "模拟交易所只支持买单附带止损");
+            }
+            order.stopLossTriggerPrice = parseDecimal(payload.stopLossTriggerPrice, "INVALID_PRICE", "stopLossTriggerPrice");
+            if (payload.stopLossLimitPrice !== undefined) {
+                order.stopLossLimitPrice = parseDecimal(payload.stopLossLimitPrice, "INVALID_PRICE", "stopLossLimitPrice");
+            }
+            for (const price of [order.stopLossTriggerPrice, order.stopLossLimitPrice]) {
+                if (price !== null && (!price.gt(0) || !price.floorToStep(market.tickSize).eq(price))) {
+                    throw new MockApiError(400, "INVALID_PRICE", `止损价格必须是 ${market.tickSize} 的正整数倍: ${price}`);
+                }
+            }
+        }
+        if (order.postOnly && this.wouldCross(order)) {
+            throw new MockApiError(400, "INVALID_ORDER", "Order would immediately match and take.");
+        }
+        if (!isHouse) {
+            this.lockFunds(order, market);
+            this.orders.set(order.id, order);
+            this.emitOrderUpdate(order, "orderAccepted");
+        }
+        this.activate(order, market);
+        this.publishDepth(order.symbol);
+        // 做市挂单由 setMarketPrice() 铺设完后统一检查
+        if (!isHouse) {
+            this.checkTriggers(order.symbol);
+        }
+        return this.toOrder(order);
+    }
+    // 新订单或刚触发的止损单进入撮合，未成交部分按 timeInForce 挂单或过期
+    activate(order, market) {
+        if (order.timeInForce === "FOK" && this.fillableQuantity(order).lt(order.quantity)) {
+            this.finish(order, "Expired", "FillOrKill");
+        }
+        else {
+            this.match(order, market);
+            if (order.quantity === null && order.executedQuantity.gt(0)) {
+                // 按金额下的市价单，成交后剩余金额不足一个数量步长，视为全部成交
+                order.status = "Filled";
+            }
+            else if (order.status !== "Expired" && order.status !== "Filled") {
+                if (order.orderType === "Limit" && order.timeInForce === "GTC") {
+                    this.rest(order);
+                }
+                else {
+                    this.finish(order, "Expired", order.timeInForce === "FOK" ? "FillOrKill" : "ImmediateOrCancel");
+                }
+            }
+        }
+    }
+    /**
+     * 最新成交价跌到触发价时，该交易对等待触发的止损单转为普通卖单；卖出数量不足时触发失败
+     */
+    checkTriggers(symbol) {
+        // 触发的止损单成交后会再次调用，由最外层的调用统一处理
+        if (this.triggering) {
+            return;
+        }
+        this.triggering = true;
+        try {
+            const book = this.books.get(symbol);
+            let order;
+            while (book.lastPrice && (order = this.pendingTriggers(symbol).find((o) => !book.lastPrice.gt(o.triggerPrice)))) {
+                const market = this.markets.get(symbol);
+                order.triggeredAt = Date.now();
+                try {
+                    this.lockFunds(order, market);
+                }
+                catch (_e) {
+                    order.status = "TriggerFailed";
+                    this.emitOrderUpdate(order, "triggerFailed");
+                    continue;
+                }
+                order.status = "New";
+                this.emitOrderUpdate(order, "orderAccepted");
+                this.activate(order, market);
+                this.publishDepth(symbol);
+            }
+        }
+        finally {
+            this.triggering = false;
+        }
+    }
+    pendingTriggers(symbol) {
+        return [...this.orders.values()].filter((order) => order.symbol === symbol && order.status === "TriggerPending");
+    }
+    // 买单成交后把成交数量加入它的止损触发单，还没有触发单时创建
+    attachStopLoss(parent, quantity) {
+        if (parent.stopLoss && parent.stopLoss.status === "TriggerPending") {
+            parent.stopLoss.quantity = parent.stopLoss.quantity.plus(quantity);
+            return;
+        }
+        const isLimit = parent.stopLossLimitPrice !== null;
+        const order = {
+            id: (this.nextOrderId++).toString(),
+            clientId: undefined,
+            accountId: parent.accountId,
+            symbol: parent.symbol,
+            side: "Ask",
+            orderType: isLimit ? "Limit" : "Market",
+            timeInForce: isLimit ? "GTC" : "IOC",
+            postOnly: false,
+            selfTradePrevention: parent.selfTradePrevention,
+            price: isLimit ? parent.stopLossLimitPrice : null,
+            quantity,
+            quoteQuantity: null,
+            executedQuantity: ZERO,
+            executedQuoteQuantity: ZERO,
+            status: "TriggerPending",
+            expiryReason: undefined,
+            createdAt: Date.now(),
+            lockedPrice: null,
+            stopLossTriggerPrice: null,
+            stopLossLimitPrice: null,
+            triggerPrice: parent.stopLossTriggerPrice,
+        };
+        parent.stopLoss = order;
+        this.orders.set(order.id, order);
+        this.emitOrderUpdate(order, "triggerPlaced");
+    }
+    /**
+     * 撤销挂单，返回撤销后的订单
+     * @param {string} accountId
+     * @param {Object} params     { symbol, orderId | clientId }
+     */
+    cancelOrder(accountId, params) {
+        const order = this.findOpenOrder(accountId, params);
+        this.removeFromBook(order);
+        this.finish(order, "Cancelled");
+        this.publishDepth(order.symbol);
+        return this.toOrder(order);
+    }
+    /**
+     * 撤销账户在该交易对的所有挂单
+     * @param {string} orderType  RestingLimitOrder 只撤普通挂单，ConditionalOrder 只撤止损触发单，不填时全部撤销
+     */
+    cancelAll(accountId, symbol, orderType) {
+        this.market(symbol);
+        const orders = this.openOrders(accountId, symbol, true).filter((order) => !orderType ||
+            (orderType === "ConditionalOrder") === (order.status === "TriggerPending"));
+        const cancelled = orders.map((order) => {
+            this.removeFromBook(order);
+            this.finish(order, "Cancelled");
+            return this.toOrder(order);
+        });
+        this.publishDepth(symbol);
+        return cancelled;
+    }
+    /**
+     * 查询挂单，已完成的订单返回404，与交易所一致
+     */
+    getOrder(accountId, params) {
+        return this.toOrder(this.findOpenOrder(accountId, params));
+    }
+    openOrders(accountId, symbol, raw = false) {
+        const result = [];
+        for (const order of this.orders.values()) {
+            if (order.accountId === accountId &&
+                (!symbol || order.symbol === symbol) &&
+                (order.status === "New" || order.status === "PartiallyFilled" || order.status === "TriggerPending")) {
+                result.push(raw ? order : this.toOrder(order));
+            }
+        }
+        return result;
+    }
+    /**
+     * 订单历史，最新的在前，createdAt为不带时区的UTC时间字符串，支持按 orderId 筛选。
+     * 与openapi.json的Order一致，历史记录中没有clientId
+     */
+    orderHistory(accountId, params = {}) {
+        const orders = [...this.orders.values()]
+            .filter((order) => order.accountId === accountId && (!params.symbol || order.symbol === params.symbol))
+            .filter((order) => params.orderId === undefined || order.id === String(params.orderId))
+            .reverse();
+        return this.paginate(orders, params).map((order) => {
+            const { clientId: _clientId, ...result } = this.toOrder(order);
+            return {
+                ...result,
+                createdAt: new Date(order.createdAt).toISOString().replace("Z", ""),
+                expiryReason: order.expiryReason,
+            };
+        });
+    }
+    /**
+     * 成交历史，最新的在前，支持 from/to(毫秒) 时间范围和 orderId 筛选
+     */
+    fillHistory(accountId, params = {}) {
+        const from = params.from !== undefined ? Number(params.from) : -Infinity;
+        const to = params.to !== undefined ? Number(params.to) : Infinity;
+        const fills = this.fills
+            .filter((fill) => fill.accountId === accountId && (!params.symbol || fill.symbol === params.symbol))
+            .filter((fill) => params.orderId === undefined || fill.orderId === String(params.orderId))
+            .filter((fill) => {
+                const time = Date.parse(`${fill.timestamp}Z`);
+                return time >= from && time <= to;
+            })
+            .reverse();
+        return this.paginate(fills, params).map(({ accountId: _a, ...fill }) => fill);
+    }
+    /**
+     * 提现：立即扣除可用余额，状态为 pending，withdrawalConfirmMs 后变为 confirmed
+     * @param {string} accountId
+     * @param {Object} payload    与 Withdraw 的参数相同
+     */
+    withdraw(accountId, payload) {
+        const quantity = parseDecimal(payload.quantity, "INVALID_QUANTITY", "quantity");
+        if (!quantity.gt(ZERO)) {
+            throw new MockApiError(400, "INVALID_QUANTITY", `quantity 必须大于0: ${payload.quantity}`);
+        }
+        const balance = this.balance(this.account(accountId), payload.symbol);
+        if (balance.available.lt(quantity)) {
+            throw new MockApiError(400, "INSUFFICIENT_FUNDS", "Insufficient funds");
+        }
+        balance.available = balance.available.minus(quantity);
+        const withdrawal = {
+            id: this.nextWithdrawalId++,
+            accountId,
+            blockchain: payload.blockchain,
+            clientId: payload.clientId,
+            quantity,
+            symbol: payload.symbol,
+            toAddress: payload.address,
+            createdAt: Date.now(),
+        };
+        this.record(this.withdrawalList, withdrawal);
+        return this.toWithdrawal(withdrawal);
+    }
+    /**
+     * 提现记录，最新的在前，支持 from/to(毫秒) 时间范围
+     */
+    withdrawals(accountId, params = {}) {
+        const from = params.from !== undefined ? Number(params.from) : -Infinity;
+        const to = params.to !== undefined ? Number(params.to) : Infinity;
+        const list = this.withdrawalList
+            .filter((item) => item.accountId === accountId && item.createdAt >= from && item.createdAt <= to)
+            .reverse();
+        return this.paginate(list, params).map((item) => this.toWithdrawal(item));
+    }
+    /**
+     * 最大可提现数量，模拟交易所没有借贷，等于可用余额
+     */
+    maxWithdrawalQuantity(accountId, symbol) {
+        const balance = this.balance(this.account(accountId), symbol);
+        return { symbol, maxWithdrawalQuantity: balance.available.toString(), autoBorrow: false, autoLendRedeem: false };
+    }
+    toWithdrawal(withdrawal) {
+        const confirmed = Date.now() - withdrawal.createdAt >= this.withdrawalConfirmMs;
+        const result = {
+            id: withdrawal.id,
+            blockchain: withdrawal.blockchain,
+            quantity: withdrawal.quantity.toString(),
+            fee: "0",
+            symbol: withdrawal.symbol,
+            status: confirmed ? "confirmed" : "pending",
+            toAddress: withdrawal.toAddress,
+            createdAt: new Date(withdrawal.createdAt).toISOString().replace("Z", ""),
+            isInternal: false,
+        };
+        if (withdrawal.clientId !== undefined) {
+            result.clientId = withdrawal.clientId;
+        }
+        if (confirmed) {
+            result.transactionHash = `mock-tx-${withdrawal.id}`;
+        }
+        return result;
+    }
+    paginate(list, params) {
+        const offset = Number(params.offset ?? 0);
+        const limit = Number(params.limit ?? 100);
+        return list.slice(offset, offset + limit);
+    }
+    /**
+     * 把做市挂单重新铺设在 price 附近，并记录价格样本
+     * @param {string}          symbol
+     * @param {string|number}   price
+     */
+    setMarketPrice(symbol, price) {
+        const market = this.market(symbol);
+        const book = this.books.get(symbol);
+        const mid = Decimal.from(price).floorToStep(market.tickSize);
+        for (const side of ["bids", "asks"]) {
+            for (const order of book[side].filter((o) => o.accountId === exports.HOUSE_ACCOUNT)) {
+                this.removeFromBook(order);
+            }
+        }
+        book.lastPrice = mid;
+        this.record(book.prices, { time: Date.now(), price: mid });
+        const { levels, stepPercent, quantity } = market.liquidity;
+        for (let i = 1; i <= levels; i++) {
+            const offset = mid.times(stepPercent).times(i).div(100);
+            const ask = ceilToStep(mid.plus(offset), market.tickSize);
+            const bid = mid.minus(offset).floorToStep(market.tickSize);
+            this.executeOrder(exports.HOUSE_ACCOUNT, { symbol, side: "Ask", orderType: "Limit", price: ask, quantity });
+            if (bid.gt(0)) {
+                this.executeOrder(exports.HOUSE_ACCOUNT, { symbol, side: "Bid", orderType: "Limit", price: bid, quantity });
+            }
+        }
+        this.publishDepth(symbol);
+        this.checkTriggers(symbol);
+        this.emit("ticker", symbol);
+    }
+    /**
+     * Depth() 的返回格式
+     */
+    depth(symbol) {
+        this.market(symbol);
+        const book = this.books.get(symbol);
+        return {
+            asks: this.aggregate(book.asks),
+            bids: this.aggregate(book.bids).reverse(),
+            lastUpdateId: String(book.updateId),
+            timestamp: Date.now() * 1000,
+        };
+    }
+    /**
+     * 最近24小时的 Ticker() 数据
+     */
+    ticker(symbol) {
+        this.market(symbol);
+        const book = this.books.get(symbol);
+        const since = Date.now() - DAY_MS;
+        const prices = book.prices.filter((sample) => sample.time >= since).map((sample) => sample.price);
+        const trades = book.trades.filter((trade) => trade.timestamp >= since);
+        prices.push(...trades.map((trade) => trade.price));
+        const last = book.lastPrice ?? ZERO;
+        const first = prices[0] ?? last;
+        const change = last.minus(first);
+        return {
+            symbol,
+            firstPrice: first.toString(),
+            lastPrice: last.toString(),
+            priceChange: change.toString(),
+            priceChangePercent: first.isZero() ? "0" : change.div(first, 4).toString(),
+            high: prices.reduce((a, b) => (b.gt(a) ? b : a), last).toString(),
+            low: prices.reduce((a, b) => (b.lt(a) ? b : a), last).toString(),
+            volume: trades.reduce((sum, trade) => sum.plus(trade.quantity), ZERO).toString(),
+            quoteVolume: trades.reduce((sum, trade) => sum.plus(trade.quantity.times(trade.price)), ZERO).toString(),
+            trades: String(trades.length),
+        };
+    }
+    /**
+     * 最近的成交，最新的在后
+     */
+    recentTrades(symbol, limit = 100) {
+        this.market(symbol);
+        return this.books.get(symbol).trades.slice(-Number(limit)).map((trade) => this.toTrade(trade));
+    }
+    /**
+     * 由价格样本和成交生成K线
+     * @param {string} symbol
+     * @param {number} intervalMs
+     * @param {number} startTime   毫秒
+     * @param {number} endTime     毫秒
+     */
+    klines(symbol, intervalMs, startTime, endTime = Date.now()) {
+        this.market(symbol);
+        const book = this.books.get(symbol);
+        const buckets = new Map();
+        const add = (time, price, quantity) => {
+            if (time < startTime || time >= endTime) {
+                return;
+            }
+            const start = Math.floor(time / intervalMs) * intervalMs;
+            let kline = buckets.get(start);
+            if (!kline) {
+                kline = { start, open: price, high: price, low: price, close: price, volume: ZERO, quoteVolume: ZERO, trades: 0 };
+                buckets.set(start, kline);
+            }
+            kline.high = price.gt(kline.high) ? price : kline.high;
+            kline.low = price.lt(kline.low) ? price : kline.low;
+            kline.close = price;
+            if (quantity) {
+                kline.volume = kline.volume.plus(quantity);
+                kline.quoteVolume = kline.quoteVolume.plus(quantity.times(price));
+                kline.trades++;
+            }
+        };
+        const events = [
+            ...book.prices.map((sample) => [sample.time, sample.price, null]),
+            ...book.trades.map((trade) => [trade.timestamp, trade.price, trade.quantity]),
+        ].sort((a, b) => a[0] - b[0]);
+        for (const [time, price, quantity] of events) {
+            add(time, price, quantity);
+        }
+        const format = (ms) => new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+        return [...buckets.values()]
+            .sort((a, b) => a.start - b.start)
+            .map((kline) => ({
+            start: format(kline.start),
+            end: format(kline.start + intervalMs),
+            open: kline.open.toString(),
+            high: kline.high.toString(),
+            low: kline.low.toString(),
+            close: kline.close.toString(),
+            volume: kline.volume.toString(),
+            quoteVolume: kline.quoteVolume.toString(),
+            trades: String(kline.trades),
+        }));
+    }
+    remaining(order) {
+        return order.quantity === null ? null : order.quantity.minus(order.executedQuantity);
+    }
+    wouldCross(order) {
+        const book = this.books.get(order.symbol);
+        const best = (order.side === "Bid" ? book.asks : book.bids)[0];
+        if (!best) {
+            return false;
+        }
+        return order.side === "Bid" ? !best.price.gt(order.price) : !best.price.lt(order.price);
+    }
+    crosses(order, maker) {
+        if (order.price === null) {
+            return true;
+        }
+        return order.side === "Bid" ? !maker.price.gt(order.price) : !maker.price.lt(order.price);
+    }
+    // FOK订单在限价内能成交的数量
+    fillableQuantity(order) {
+        const book = this.books.get(order.symbol);
+        let total = ZERO;
+        for (const maker of order.side === "Bid" ? book.asks : book.bids) {
+            if (!this.crosses(order, maker) || maker.accountId === order.accountId) {
+                break;
+            }
+            total = total.plus(this.remaining(maker));
+        }
+        return total;
+    }
+    // 冻结限价单所需的资金；市价单在成交时直接从可用余额结算
+    lockFunds(order, market) {
+        const account = this.account(order.accountId);
+        const quote = this.balance(account, market.quoteSymbol);
+        const base = this.balance(account, market.baseSymbol);
+        if (order.orderType === "Limit") {
+            if (order.side === "Bid") {
+                const cost = order.price.times(order.quantity);
+                if (quote.available.lt(cost)) {
+                    throw new MockApiError(400, "INSUFFICIENT_FUNDS", `${market.quoteSymbol} 余额不足`);
+                }
+                quote.available = quote.available.minus(cost);
+                quote.locked = quote.locked.plus(cost);
+                order.lockedPrice = order.price;
+            }
+            else {
+                if (base.available.lt(order.quantity)) {
+                    throw new MockApiError(400, "INSUFFICIENT_FUNDS", `${market.baseSymbol} 余额不足`);
+                }
+                base.available = base.available.minus(order.quantity);
+                base.locked = base.locked.plus(order.quantity);
+            }
+            return;
+        }
+        if (order.side === "Ask" && order.quantity !== null && base.available.lt(order.quantity)) {
+            throw new MockApiError(400, "INSUFFICIENT_FUNDS", `${market.baseSymbol} 余额不足`);
+        }
+        if (order.side === "Bid" && order.quoteQuantity !== null && quote.available.lt(order.quoteQuantity)) {
+            throw new MockApiError(400, "INSUFFICIENT_FUNDS", `${market.quoteSymbol} 余额不足`);
+        }
+    }
+    // 释放订单剩余部分冻结的资金
+    unlockRemaining(order) {
+        if (order.accountId === exports.HOUSE_ACCOUNT || order.orderType !== "Limit") {
+            return;
+        }
+        const market = this.markets.get(order.symbol);
+        const account = this.account(order.accountId);
+        const left = this.remaining(order);
+        if (order.side === "Bid") {
+            const quote = this.balance(account, market.quoteSymbol);
+            const amount = left.times(order.lockedPrice);
+            quote.locked = quote.locked.minus(amount);
+            quote.available = quote.available.plus(amount);
+        }
+        else {
+            const base = this.balance(account, market.baseSymbol);
+            base.locked = base.locked.minus(left);
+            base.available = base.available.plus(left);
+        }
+    }
+    match(taker, market) {
+        const book = this.books.get(taker.symbol);
+        const makers = taker.side === "Bid" ? book.asks : book.bids;
+        while (makers.length > 0) {
+            const maker = makers[0];
+            if (!this.crosses(taker, maker)) {
+                break;
+            }
+            if (maker.accountId === taker.accountId) {
+                // 自成交保护，默认拒绝taker
+                this.finish(taker, "Expired", "SelfTradePrevention");
+                return;
+            }
+            let quantity = min(this.remaining(maker), this.remaining(taker) ?? this.remaining(maker));
+            if (taker.quoteQuantity !== null) {
+                const quoteLeft = taker.quoteQuantity.minus(taker.executedQuoteQuantity);
+                quantity = min(quantity, quoteLeft.div(maker.price).floorToStep(market.stepSize));
+            }
+            quantity = this.affordable(taker, market, quantity, maker.price);
+            if (!quantity.gt(0)) {
+                break;
+            }
+            this.fill(maker, taker, quantity, maker.price, market);
+            if (!this.remaining(maker).gt(0)) {
+                makers.shift();
+            }
+            if (this.remaining(taker)?.isZero()) {
+                break;
+            }
+        }
+    }
+    // 市价买单按可用余额限制成交数量
+    affordable(taker, market, quantity, price) {
+        if (taker.accountId === exports.HOUSE_ACCOUNT || taker.orderType !== "Market" || taker.side !== "Bid") {
+            return quantity;
+        }
+        const quote = this.balance(this.account(taker.accountId), market.quoteSymbol);
+        return min(quantity, quote.available.div(price).floorToStep(market.stepSize));
+    }
+    fill(maker, taker, quantity, price, market) {
+        const tradeId = this.nextTradeId++;
+        const timestamp = Date.now();
+        for (const order of [maker, taker]) {
+            order.executedQuantity = order.executedQuantity.plus(quantity);
+            order.executedQuoteQuantity = order.executedQuoteQuantity.plus(quantity.times(price));
+            order.status = order.quantity !== null && order.executedQuantity.eq(order.quantity) ? "Filled" : "PartiallyFilled";
+            this.settle(order, market, quantity, price);
+            if (order.accountId !== exports.HOUSE_ACCOUNT) {
+                const isMaker = order === maker;
+                this.fills.push({
+                    accountId: order.accountId,
+                    clientId: order.clientId === undefined ? undefined : String(order.clientId),
+                    fee: "0",
+                    feeSymbol: market.quoteSymbol,
+                    isMaker,
+                    orderId: order.id,
+                    price: price.toString(),
+                    quantity: quantity.toString(),
+                    side: order.side,
+                    symbol: order.symbol,
+                    timestamp: new Date(timestamp).toISOString().replace("Z", ""),
+                    tradeId: String(tradeId),
+                });
+                if (this.fills.length > MAX_HISTORY) {
+                    this.fills.shift();
+                }
+                this.emitOrderUpdate(order, "orderFill", { tradeId, quantity, price, isMaker });
+                if (order.stopLossTriggerPrice !== null) {
+                    this.attachStopLoss(order, quantity);
+                }
+            }
+        }
+        this.touch(maker);
+        const book = this.books.get(market.symbol);
+        const trade = { id: tradeId, price, quantity, timestamp, isBuyerMaker: maker.side === "Bid" };
+        book.lastPrice = price;
+        this.record(book.trades, trade);
+        this.emit("trade", { symbol: market.symbol, ...this.toTrade(trade), buyerOrderId: (maker.side === "Bid" ? maker : taker).id, sellerOrderId: (maker.side === "Ask" ? maker : taker).id });
+    }
+    // 成交结算：限价买单冻结时按挂单价，成交价更优时退还差额
+    settle(order, market, quantity, price) {
+        if (order.accountId === exports.HOUSE_ACCOUNT) {
+            return;
+        }
+        const account = this.account(order.accountId);
+        const quote = this.balance(account, market.quoteSymbol);
+        const base = this.balance(account, market.baseSymbol);
+        const cost = quantity.times(price);
+        if (order.side === "Bid") {
+            base.available = base.available.plus(quantity);
+            if (order.lockedPrice) {
+                const locked = quantity.times(order.lockedPrice);
+                quote.locked = quote.locked.minus(locked);
+                quote.available = quote.available.plus(locked.minus(cost));
+            }
+            else {
+                quote.available = quote.available.minus(cost);
+            }
+        }
+        else {
+            quote.available = quote.available.plus(cost);
+            if (order.orderType === "Limit") {
+                base.locked = base.locked.minus(quantity);
+            }
+            else {
+                base.available = base.available.minus(quantity);
+            }
+        }
+    }
+    rest(order) {
+        const book = this.books.get(order.symbol);
+        const side = order.side === "Bid" ? book.bids : book.asks;
+        // 同价位按时间排在已有挂单之后
+        const index = side.findIndex((o) => order.side === "Bid" ? o.price.lt(order.price) : o.price.gt(order.price));
+        side.splice(index < 0 ? side.length : index, 0, order);
+        this.touch(order);
+    }
+    removeFromBook(order) {
+        const book = this.books.get(order.symbol);
+        const side = order.side === "Bid" ? book.bids : book.asks;
+        const index = side.indexOf(order);
+        if (index >= 0) {
+            side.splice(index, 1);
+            this.touch(order);
+        }
+    }
+    finish(order, status, expiryReason) {
+        // 未触发的止损单没有冻结资金
+        if (order.status !== "TriggerPending") {
+            this.unlockRemaining(order);
+        }
+        order.status = order.status === "Filled" ? "Filled" : status;
+        order.expiryReason = status === "Expired" ? expiryReason : undefined;
+        if (order.accountId !== exports.HOUSE_ACCOUNT && order.status !== "Filled") {
+            this.emitOrderUpdate(order, status === "Cancelled" ? "orderCancelled" : "orderExpired");
+        }
+    }
+    findOpenOrder(accountId, params = {}) {
+        const order = this.openOrders(accountId, params.symbol, true).find((o) => (params.orderId !== undefined && o.id === String(params.orderId)) ||
+            (params.orderId === undefined && params.clientId !== undefined && String(o.clientId) === String(params.clientId)));
+        if (!order) {
+            throw new MockApiError(404, "RESOURCE_NOT_FOUND", "Order not found");
+        }
+        return order;
+    }
+    // 记录价格档位变化，publishDepth() 时合并为一条增量推送
+    touch(order) {
+        const book = this.books.get(order.symbol);
+        (order.side === "Bid" ? book.changed.bids : book.changed.asks).add(order.price.toString());
+    }
+    publishDepth(symbol) {
+        const book = this.books.get(symbol);
+        if (book.changed.bids.size === 0 && book.changed.asks.size === 0) {
+            return;
+        }
+        const level = (orders, price) => [
+            price,
+            orders.filter((o) => o.price.toString() === price).reduce((sum, o) => sum.plus(this.remaining(o)), ZERO).toString(),
+        ];
+        const event = {
+            symbol,
+            asks: [...book.changed.asks].map((price) => level(book.asks, price)),
+            bids: [...book.changed.bids].map((price) => level(book.bids, price)),
+            firstUpdateId: book.updateId + 1,
+            lastUpdateId: book.updateId + 1,
+        };
+        book.updateId++;
+        book.changed = { bids: new Set(), asks: new Set() };
+        this.emit("depth", event);
+    }
+    // 按价格合并档位，顺序与订单簿相同(卖盘从低到高，买盘从高到低)
+    aggregate(orders) {
+        const levels = new Map();
+        for (const order of orders) {
+            const price = order.price.toString();
+            levels.set(price, (levels.get(price) ?? ZERO).plus(this.remaining(order)));
+        }
+        return [...levels.entries()].map(([price, quantity]) => [price, quantity.toString()]);
+    }
+    record(list, item) {
+        list.push(item);
+        if (list.length > MAX_HISTORY) {
+            list.shift();
+        }
+    }
+    emitOrderUpdate(order, type, fill) {
+        const now = Date.now();
+        this.emit("orderUpdate", order.accountId, {
+            e: type,
+            E: now * 1000,
+            s: order.symbol,
+            c: order.clientId,
+            S: order.side,
+            o: order.orderType,
+            f: order.timeInForce,
+            q: order.quantity?.toString(),
+            Q: order.quoteQuantity?.toString(),
+            p: order.price?.toString(),
+            X: order.status,
+            R: order.expiryReason,
+            i: order.id,
+            t: fill?.tradeId,
+            l: fill?.quantity.toString(),
+            z: order.executedQuantity.toString(),
+            Z: order.executedQuoteQuantity.toString(),
+            L: fill?.price.toString(),
+            m: fill?.isMaker,
+            n: fill ? "0" : undefined,
+            N: fill ? this.markets.get(order.symbol).quoteSymbol : undefined,
+            V: order.selfTradePrevention,
+            T: now * 1000,
+        });
+    }
+    // 与openapi.json的OrderType一致：市价单没有price/postOnly，限价单没有quoteQuantity
+    toOrder(order) {
+        const result = {
+            id: order.id,
+            clientId: order.clientId,
+            createdAt: order.createdAt,
+            executedQuantity: order.executedQuantity.toString(),
+            executedQuoteQuantity: order.executedQuoteQuantity.toString(),
+            orderType: order.orderType,
+            quantity: order.quantity?.toString(),
+            selfTradePrevention: order.selfTradePrevention,
+            side: order.side,
+            status: order.status,
+            symbol: order.symbol,
+            timeInForce: order.timeInForce,
+        };
+        if (order.orderType === "Market") {
+            result.quoteQuantity = order.quoteQuantity?.toString();
+        }
+        else {
+            result.postOnly = order.postOnly;
+            result.price = order.price?.toString();
+        }
+        if (order.stopLossTriggerPrice) {
+            result.stopLossTriggerPrice = order.stopLossTriggerPrice.toString();
+            result.stopLossLimitPrice = order.stopLossLimitPrice?.toString();
+        }
+        if (order.triggerPrice) {
+            result.triggerPrice = order.triggerPrice.toString();
+            result.triggerQuantity = order.quantity.toString();
+        }
+        return result;
+    }
+    toTrade(trade) {
+        return {
+            id: trade.id,
+            price: trade.price.toString(),
+            quantity: trade.quantity.toString(),
+            quoteQuantity: trade.quantity.times(trade.price).toString(),
+            timestamp: trade.timestamp,
+            isBuyerMaker: trade.isBuyerMaker,
+        };
+    }
+}
+exports.MatchingEngine = MatchingEngine;
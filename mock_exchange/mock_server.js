@@ -0,0 +1,388 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MockExchangeServer = exports.KLINE_INTERVALS = void 0;
+const events_1 = require("events");
+const http_1 = __importDefault(require("http"));
+const crypto_1 = __importDefault(require("crypto"));
+const qs_1 = __importDefault(require("qs"));
+const ws_1 = __importDefault(require("ws"));
+const openapi_instructions_1 = require("../backpack_exchange-main/openapi_instructions");
+const matching_engine_1 = require("./matching_engine");
+const price_path_1 = require("./price_path");
+const MAX_WINDOW_MS = 60000;
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+exports.KLINE_INTERVALS = {
+    "1m": 60, "3m": 180, "5m": 300, "15m": 900, "30m": 1800,
+    "1h": 3600, "2h": 7200, "4h": 14400, "6h": 21600, "8h": 28800, "12h": 43200,
+    "1d": 86400, "3d": 259200, "1w": 604800,
+};
+// 与客户端签名相同的待签名串
+// https://docs.backpack.exchange/#section/Authentication/Signing-requests
+const signedMessage = (instruction, params, timestamp, window) => {
+    const message = qs_1.default.stringify(params, { sort: (a, b) => a.localeCompare(b), arrayFormat: "repeat" });
+    return `instruction=${instruction}&${message ? message + "&" : ""}timestamp=${timestamp}&window=${window}`;
+};
+const required = (params, ...names) => {
+    for (const name of names) {
+        if (params[name] === undefined || params[name] === "") {
+            throw new matching_engine_1.MockApiError(400, "INVALID_CLIENT_REQUEST", `缺少参数 ${name}`);
+        }
+    }
+};
+/**
+ * 本地模拟的Backpack交易所
+ * REST接口与 api.backpack.exchange 相同(路由由openapi.json生成)，WebSocket与 ws.backpack.exchange 相同，
+ * 两者共用一个端口。私有接口和私有流校验ED25519签名及时间窗口，账户以公钥(X-API-Key)区分。
+ * 每个交易对按价格路径定时移动做市挂单，穿过用户挂单时成交。
+ *
+ * @example
+ * const server = new MockExchangeServer({ markets: [{ symbol: "SOL_USDC", pricePath: { start: 100 } }] });
+ * const { restUrl, wsUrl } = await server.start();
+ * const client = new BackpackClient(privateKey, publicKey, { baseUrl: restUrl, wsUrl });
+ *
+ * @param {Object}   options
+ * @param {number}   options.port              监听端口，0为随机端口
+ * @param {string}   options.host              默认127.0.0.1
+ * @param {Object[]} options.markets           交易对配置，见 MatchingEngine；pricePath 见 PricePath
+ * @param {Object}   options.accounts          { 公钥: { USDC: "1000" } } 初始余额
+ * @param {Object}   options.defaultBalances   未配置的公钥第一次请求时的初始余额
+ * @param {boolean}  options.autoCreateAccounts 是否接受未配置的公钥，默认true
+ * @param {number}   options.tickMs            按价格路径更新价格的间隔，0表示不自动更新
+ * @param {number}   options.withdrawalConfirmSeconds 提现从 pending 变为 confirmed 所需的秒数，默认5
+ */
+class MockExchangeServer extends events_1.EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.port = options.port ?? 0;
+        this.host = options.host ?? "127.0.0.1";
+        this.tickMs = options.tickMs ?? 1000;
+        this.defaultBalances = options.defaultBalances ?? { USDC: "10000" };
+        this.autoCreateAccounts = options.autoCreateAccounts ?? true;
+        this.engine = new matching_engine_1.MatchingEngine({
+            markets: options.markets,
+            withdrawalConfirmMs: (options.withdrawalConfirmSeconds ?? 5) * 1000,
+        });
+        this.pricePaths = new Map();
+        for (const market of options.markets || []) {
+            if (market.pricePath) {
+                this.pricePaths.set(market.symbol, new price_path_1.PricePath(market.pricePath));
+            }
+        }
+        for (const [publicKey, balances] of Object.entries(options.accounts || {})) {
+            this.engine.deposit(publicKey, balances);
+        }
+        const instructions = (0, openapi_instructions_1.buildInstructions)((0, openapi_instructions_1.loadSpec)(), "/");
+        this.routes = new Map();
+        for (const [isPrivate, map] of [[false, instructions.public], [true, instructions.private]]) {
+            for (const [instruction, endpoint] of map) {
+                this.routes.set(`${endpoint.method} ${endpoint.path}`, { instruction, isPrivate });
+            }
+        }
+        this.handlers = this.createHandlers();
+        this.server = null;
+        this.wss = null;
+        this.timer = null;
+        this.startedAt = 0;
+        this.bindEngineEvents();
+    }
+    /**
+     * 开始监听并按价格路径铺设初始挂单
+     * @return {Promise<Object>} { restUrl, wsUrl }
+     */
+    async start() {
+        this.server = http_1.default.createServer((req, res) => this.handleHttp(req, res));
+        this.wss = new ws_1.default.Server({ server: this.server });
+        this.wss.on("connection", (socket) => this.handleSocket(socket));
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.startedAt = Date.now();
+        this.tick();
+        if (this.tickMs > 0) {
+            this.timer = setInterval(() => this.tick(), this.tickMs);
+        }
+        const { port } = this.server.address();
+        this.port = port;
+        return { restUrl: `http://${this.host}:${port}/`, wsUrl: `ws://${this.host}:${port}` };
+    }
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.wss) {
+            for (const socket of this.wss.clients) {
+                socket.terminate();
+            }
+            this.wss.close();
+        }
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(() => resolve()));
+        }
+    }
+    // 按价格路径更新所有交易对的价格
+    tick() {
+        const elapsed = Date.now() - this.startedAt;
+        for (const [symbol, path] of this.pricePaths) {
+            this.engine.setMarketPrice(symbol, path.priceAt(elapsed).toFixed(8));
+        }
+    }
+    async handleHttp(req, res) {
+        let status = 200;
+        let body;
+        try {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const route = this.routes.get(`${req.method} ${url.pathname}`);
+            if (!route) {
+                throw new matching_engine_1.MockApiError(404, "RESOURCE_NOT_FOUND", `模拟交易所未实现 ${req.method} ${url.pathname}`);
+            }
+            const raw = await new Promise((resolve, reject) => {
+                let data = "";
+                req.on("data", (chunk) => (data += chunk));
+                req.on("end", () => resolve(data));
+                req.on("error", reject);
+            });
+            let params;
+            try {
+                params = req.method === "GET" ? qs_1.default.parse(url.search.slice(1)) : JSON.parse(raw || "{}");
+            }
+            catch (_e) {
+                throw new matching_engine_1.MockApiError(400, "INVALID_CLIENT_REQUEST", "请求体不是有效的JSON");
+            }
+            const accountId = route.isPrivate ? this.authenticate(route.instruction, params, req.headers) : null;
+            const handler = this.handlers[route.instruction];
+            if (!handler) {
+                throw new matching_engine_1.MockApiError(404, "RESOURCE_NOT_FOUND", `模拟交易所未实现 ${route.instruction}`);
+            }
+            body = handler(params, accountId);
+        }
+        catch (error) {
+            if (error instanceof matching_engine_1.MockApiError) {
+                status = error.status;
+                body = { code: error.code, message: error.message };
+            }
+            else {
+                status = 500;
+                body = { code: "SERVER_ERROR", message: error.message };
+            }
+        }
+        if (typeof body === "string" || typeof body === "number") {
+            res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end(String(body));
+        }
+        else {
+            res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+            res.end(JSON.stringify(body ?? null));
+        }
+    }
+    /**
+     * 校验签名和时间窗口，返回账户ID(公钥)
+     */
+    authenticate(instruction, params, headers) {
+        const publicKey = headers["x-api-key"];
+        const signature = headers["x-signature"];
+        const timestamp = headers["x-timestamp"];
+        const window = headers["x-window"] ?? "5000";
+        if (!publicKey || !signature || !timestamp) {
+            throw new matching_engine_1.MockApiError(401, "UNAUTHORIZED", "缺少 X-API-Key / X-Signature / X-Timestamp 请求头");
+        }
+        this.verify(instruction, params, publicKey, signature, timestamp, window);
+        return publicKey;
+    }
+    verify(instruction, params, publicKey, signature, timestamp, window) {
+        const windowMs = Number(window);
+        if (!Number.isInteger(windowMs) || windowMs <= 0 || windowMs > MAX_WINDOW_MS) {
+            throw new matching_engine_1.MockApiError(400, "INVALID_CLIENT_REQUEST", `Invalid window: ${window}`);
+        }
+        if (Math.abs(Date.now() - Number(timestamp)) > windowMs) {
+            throw new matching_engine_1.MockApiError(400, "INVALID_CLIENT_REQUEST", "Request has expired");
+        }
+        const raw = Buffer.from(publicKey, "base64");
+        if (raw.length !== 32) {
+            throw new matching_engine_1.MockApiError(401, "UNAUTHORIZED", "Invalid API key");
+        }
+        const key = crypto_1.default.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: "der", type: "spki" });
+        const message = Buffer.from(signedMessage(instruction, params, timestamp, window));
+        if (!crypto_1.default.verify(null, message, key, Buffer.from(signature, "base64"))) {
+            throw new matching_engine_1.MockApiError(401, "INVALID_SIGNATURE", "Invalid signature");
+        }
+        if (!this.engine.hasAccount(publicKey)) {
+            if (!this.autoCreateAccounts) {
+                throw new matching_engine_1.MockApiError(401, "UNAUTHORIZED", "Unknown API key");
+            }
+            this.engine.deposit(publicKey, this.defaultBalances);
+        }
+    }
+    // instruction -> (params, accountId) => 响应体
+    createHandlers() {
+        const engine = this.engine;
+        return {
+            status: () => ({ status: "Ok", message: null }),
+            ping: () => "pong",
+            time: () => Date.now(),
+            markets: () => [...engine.markets.values()].map((market) => this.toMarket(market)),
+            market: (p) => {
+                required(p, "symbol");
+                return this.toMarket(engine.market(p.symbol));
+            },
+            ticker: (p) => {
+                required(p, "symbol");
+                return engine.ticker(p.symbol);
+            },
+            tickers: () => [...engine.markets.keys()].map((symbol) => engine.ticker(symbol)),
+            depth: (p) => {
+                required(p, "symbol");
+                return engine.depth(p.symbol);
+            },
+            klines: (p) => {
+                required(p, "symbol", "interval", "startTime");
+                const seconds = exports.KLINE_INTERVALS[p.interval];
+                if (!seconds) {
+                    throw new matching_engine_1.MockApiError(400, "INVALID_CLIENT_REQUEST", `不支持的K线周期: ${p.interval}`);
+                }
+                return engine.klines(p.symbol, seconds * 1000, Number(p.startTime) * 1000, p.endTime ? Number(p.endTime) * 1000 : undefined);
+            },
+            trades: (p) => {
+                required(p, "symbol");
+                return engine.recentTrades(p.symbol, p.limit);
+            },
+            tradesHistory: (p) => {
+                required(p, "symbol");
+                return engine.recentTrades(p.symbol, p.limit);
+            },
+            balanceQuery: (_p, account) => engine.balances(account),
+            orderExecute: (p, account) => engine.executeOrder(account, p),
+            orderCancel: (p, account) => {
+                required(p, "symbol");
+                return engine.cancelOrder(account, p);
+            },
+            orderCancelAll: (p, account) => {
+                required(p, "symbol");
+                return engine.cancelAll(account, p.symbol, p.orderType);
+            },
+            orderQuery: (p, account) => {
+                required(p, "symbol");
+                return engine.getOrder(account, p);
+            },
+            orderQueryAll: (p, account) => engine.openOrders(account, p.symbol),
+            orderHistoryQueryAll: (p, account) => engine.orderHistory(account, p),
+            fillHistoryQueryAll: (p, account) => engine.fillHistory(account, p),
+            depositQueryAll: () => [],
+            withdrawalQueryAll: (p, account) => engine.withdrawals(account, p),
+            withdraw: (p, account) => {
+                required(p, "symbol", "blockchain", "address", "quantity");
+                return engine.withdraw(account, p);
+            },
+            maxWithdrawalQuantity: (p, account) => {
+                required(p, "symbol");
+                return engine.maxWithdrawalQuantity(account, p.symbol);
+            },
+        };
+    }
+    toMarket(market) {
+        return {
+            symbol: market.symbol,
+            baseSymbol: market.baseSymbol,
+            quoteSymbol: market.quoteSymbol,
+            marketType: "SPOT",
+            filters: {
+                price: { minPrice: market.tickSize.toString(), maxPrice: null, tickSize: market.tickSize.toString() },
+                quantity: { minQuantity: market.minQuantity.toString(), maxQuantity: null, stepSize: market.stepSize.toString() },
+            },
+            orderBookState: "Open",
+            createdAt: new Date(this.startedAt || Date.now()).toISOString().replace("Z", ""),
+        };
+    }
+    handleSocket(socket) {
+        socket.subscriptions = new Set();
+        socket.accountId = null;
+        socket.on("message", (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            }
+            catch (_e) {
+                socket.send(JSON.stringify({ id: null, error: { code: 4000, message: "Invalid JSON" } }));
+                return;
+            }
+            const streams = [].concat(message.params || []);
+            if (message.method === "UNSUBSCRIBE") {
+                streams.forEach((stream) => socket.subscriptions.delete(stream));
+                return;
+            }
+            if (message.method !== "SUBSCRIBE") {
+                socket.send(JSON.stringify({ id: message.id ?? null, error: { code: 4000, message: `Unknown method ${message.method}` } }));
+                return;
+            }
+            if (streams.some((stream) => stream.startsWith("account."))) {
+                try {
+                    const [publicKey, signature, timestamp, window] = message.signature || [];
+                    if (!publicKey || !signature || !timestamp) {
+                        throw new matching_engine_1.MockApiError(401, "UNAUTHORIZED", "Missing signature");
+                    }
+                    this.verify("subscribe", {}, publicKey, signature, timestamp, window ?? "5000");
+                    socket.accountId = publicKey;
+                }
+                catch (error) {
+                    socket.send(JSON.stringify({ id: message.id ?? null, error: { code: 4006, message: error.message } }));
+                    return;
+                }
+            }
+            streams.forEach((stream) => socket.subscriptions.add(stream));
+        });
+    }
+    publish(stream, data, accountId) {
+        if (!this.wss) {
+            return;
+        }
+        const payload = JSON.stringify({ stream, data });
+        for (const socket of this.wss.clients) {
+            if (socket.readyState === ws_1.default.OPEN &&
+                socket.subscriptions.has(stream) &&
+                (accountId === undefined || socket.accountId === accountId)) {
+                socket.send(payload);
+            }
+        }
+    }
+    bindEngineEvents() {
+        const micros = () => Date.now() * 1000;
+        this.engine.on("depth", (event) => {
+            this.publish(`depth.${event.symbol}`, {
+                e: "depth", E: micros(), s: event.symbol, a: event.asks, b: event.bids,
+                U: event.firstUpdateId, u: event.lastUpdateId, T: micros(),
+            });
+        });
+        this.engine.on("trade", (trade) => {
+            this.publish(`trade.${trade.symbol}`, {
+                e: "trade", E: micros(), s: trade.symbol, p: trade.price, q: trade.quantity,
+                b: trade.buyerOrderId, a: trade.sellerOrderId, t: trade.id, T: micros(), m: trade.isBuyerMaker,
+            });
+        });
+        this.engine.on("ticker", (symbol) => {
+            const ticker = this.engine.ticker(symbol);
+            this.publish(`ticker.${symbol}`, {
+                e: "ticker", E: micros(), s: symbol, o: ticker.firstPrice, c: ticker.lastPrice, h: ticker.high,
+                l: ticker.low, v: ticker.volume, V: ticker.quoteVolume, n: Number(ticker.trades),
+            });
+            const depth = this.engine.depth(symbol);
+            const bestAsk = depth.asks[0];
+            const bestBid = depth.bids[depth.bids.length - 1];
+            if (bestAsk && bestBid) {
+                this.publish(`bookTicker.${symbol}`, {
+                    e: "bookTicker", E: micros(), s: symbol, a: bestAsk[0], A: bestAsk[1], b: bestBid[0], B: bestBid[1],
+                    u: depth.lastUpdateId, T: micros(),
+                });
+            }
+        });
+        this.engine.on("orderUpdate", (accountId, update) => {
+            this.publish("account.orderUpdate", update, accountId);
+            this.publish(`account.orderUpdate.${update.s}`, update, accountId);
+            this.emit("orderUpdate", accountId, update);
+        });
+    }
+}
+exports.MockExchangeServer = MockExchangeServer;
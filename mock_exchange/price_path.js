@@ -0,0 +1,63 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PricePath = void 0;
+/**
+ * 脚本化的价格路径，按经过的时间线性插值
+ *
+ * @example
+ * // 从100在30秒内跌到97，停留10秒，再用60秒涨到101，然后从头循环
+ * new PricePath({ start: 100, loop: true, steps: [
+ *     { to: 97, seconds: 30 },
+ *     { hold: 10 },
+ *     { to: 101, seconds: 60 },
+ * ] });
+ *
+ * @param {Object}   path
+ * @param {number}   path.start  起始价格
+ * @param {Object[]} path.steps  { to, seconds } 线性变化到to；{ hold } 保持当前价格hold秒
+ * @param {boolean}  path.loop   走完后是否从头开始，默认停在最后的价格
+ */
+class PricePath {
+    constructor(path) {
+        this.start = Number(path.start);
+        this.loop = path.loop === true;
+        if (!Number.isFinite(this.start) || this.start <= 0) {
+            throw new Error(`价格路径的起始价格无效: ${path.start}`);
+        }
+        let price = this.start;
+        this.segments = (path.steps || []).map((step) => {
+            const from = price;
+            const to = step.hold !== undefined ? price : Number(step.to);
+            const durationMs = Number(step.hold ?? step.seconds) * 1000;
+            if (!Number.isFinite(to) || to <= 0 || !(durationMs > 0)) {
+                throw new Error(`价格路径的步骤无效: ${JSON.stringify(step)}`);
+            }
+            price = to;
+            return { from, to, durationMs };
+        });
+        this.durationMs = this.segments.reduce((sum, segment) => sum + segment.durationMs, 0);
+        // 循环时最后一段回到起点，避免价格跳变
+        if (this.loop && price !== this.start && this.durationMs > 0) {
+            this.segments.push({ from: price, to: this.start, durationMs: this.segments[0].durationMs });
+            this.durationMs += this.segments[0].durationMs;
+        }
+    }
+    /**
+     * @param  {number} elapsedMs 路径开始后经过的毫秒数
+     * @return {number}
+     */
+    priceAt(elapsedMs) {
+        if (this.durationMs === 0) {
+            return this.start;
+        }
+        let t = this.loop ? elapsedMs % this.durationMs : Math.min(elapsedMs, this.durationMs);
+        for (const segment of this.segments) {
+            if (t <= segment.durationMs) {
+                return segment.from + (segment.to - segment.from) * (t / segment.durationMs);
+            }
+            t -= segment.durationMs;
+        }
+        return this.segments[this.segments.length - 1].to;
+    }
+}
+exports.PricePath = PricePath;
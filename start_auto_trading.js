@@ -1,4 +1,11 @@
 const { spawn } = require('child_process');
+const path = require('path');
+
+// 交易脚本因配置错误(例如缺少API密钥)退出时的退出码，重启也无法解决
+const CONFIG_ERROR_EXIT_CODE = 78;
+
+// --mock: 先在本进程启动模拟交易所，交易脚本使用 mock_exchange/mock_trading_config.json
+const useMockExchange = process.argv.includes('--mock');
 
 // 启动交易脚本
 function startTradingScript() {
@@ -14,7 +21,10 @@ function startTradingScript() {
     });
     
     child.on('exit', (code, signal) => {
-        if (code !== 0) {
+        if (code === CONFIG_ERROR_EXIT_CODE) {
+            console.log('交易脚本配置错误，请修改配置后重新启动');
+            process.exit(code);
+        } else if (code !== 0) {
             console.log(`交易脚本异常退出，代码: ${code}, 信号: ${signal}`);
             console.log('10秒后自动重启...');
             setTimeout(() => {
@@ -44,6 +54,15 @@ async function main() {
     console.log('=== Backpack 自动交易启动程序 ===');
     console.log(`启动时间: ${new Date().toISOString()}`);
     
+    if (useMockExchange) {
+        const { startMockExchange } = require('./start_mock_exchange');
+        await startMockExchange();
+        // 子进程继承环境变量，交易脚本据此读取模拟交易所的配置
+        process.env.BACKPACK_TRADING_CONFIG = process.env.BACKPACK_TRADING_CONFIG ||
+            path.join(__dirname, 'mock_exchange', 'mock_trading_config.json');
+        console.log(`使用模拟交易所，交易配置: ${process.env.BACKPACK_TRADING_CONFIG}`);
+    }
+    
     // 启动交易脚本
     startTradingScript();
 }
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { MockExchangeServer } = require('./mock_exchange/mock_server');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'mock_exchange', 'mock_exchange_config.json');
+
+// 读取模拟交易所配置
+function loadMockConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`模拟交易所配置文件不存在: ${configPath}`);
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+// 启动模拟交易所，返回已启动的服务
+async function startMockExchange(configPath = DEFAULT_CONFIG_PATH) {
+    const server = new MockExchangeServer(loadMockConfig(configPath));
+    const { restUrl, wsUrl } = await server.start();
+    console.log(`模拟交易所已启动: REST ${restUrl}, WebSocket ${wsUrl}`);
+    console.log(`交易对: ${[...server.engine.markets.keys()].join(', ')}`);
+    return server;
+}
+
+module.exports = { startMockExchange };
+
+// 直接运行: node start_mock_exchange.js [配置文件]
+if (require.main === module) {
+    startMockExchange(process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_CONFIG_PATH)
+        .then(server => {
+            const shutdown = () => {
+                console.log('正在关闭模拟交易所...');
+                server.stop().then(() => process.exit(0));
+            };
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+        })
+        .catch(error => {
+            console.error('模拟交易所启动失败:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,26 @@
+// 配置文件中明确列出的档位：trading.customLadder 为 [{ dropPercentage, weight }]，
+// dropPercentage 为相对当前价格的跌幅，weight 为相对金额(默认1)。不使用 maxDropPercentage 和 incrementPercentage；
+// 档数由 customLadder 决定，orderCount 必须与档数一致，以免以为改了 orderCount 就会改变挂单数量
+module.exports = {
+    description: '按 trading.customLadder 列出的跌幅和相对金额挂单',
+    levels({ currentPrice, orderCount, trading }) {
+        const table = trading.customLadder;
+        if (!Array.isArray(table) || table.length === 0) {
+            throw new Error('ladderShape 为 custom 时需要设置 trading.customLadder');
+        }
+        if (orderCount !== undefined && orderCount !== null && !Number.isNaN(orderCount) && orderCount !== table.length) {
+            throw new Error(`ladderShape 为 custom 时档数由 trading.customLadder 决定(${table.length} 档)，` +
+                `trading.orderCount(${orderCount}) 必须与之一致`);
+        }
+        return table.map(level => {
+            const dropPercentage = parseFloat(level.dropPercentage);
+            if (!(dropPercentage >= 0 && dropPercentage < 100)) {
+                throw new Error(`trading.customLadder 的 dropPercentage 必须在 0 到 100 之间: ${JSON.stringify(level)}`);
+            }
+            return {
+                price: currentPrice * (1 - dropPercentage / 100),
+                weight: level.weight === undefined ? 1 : parseFloat(level.weight)
+            };
+        });
+    }
+};
@@ -0,0 +1,15 @@
+const { evenlySpacedPrices } = require('./index');
+
+// 等间距的价格，各档金额之比为斐波那契数列 1, 1, 2, 3, 5, 8...
+module.exports = {
+    description: '等间距价格，金额按斐波那契数列递增',
+    levels({ currentPrice, maxDropPercentage, orderCount }) {
+        let previous = 0;
+        let current = 1;
+        return evenlySpacedPrices(currentPrice, maxDropPercentage, orderCount).map(price => {
+            const level = { price, weight: current };
+            [previous, current] = [current, previous + current];
+            return level;
+        });
+    }
+};
@@ -0,0 +1,11 @@
+const { evenlySpacedPrices } = require('./index');
+
+// 等间距的价格，每档金额比上一档增加 incrementPercentage%（默认形状）
+module.exports = {
+    description: '等间距价格，金额按 incrementPercentage 等比递增',
+    levels({ currentPrice, maxDropPercentage, orderCount, incrementPercentage }) {
+        const r = 1 + incrementPercentage / 100;
+        return evenlySpacedPrices(currentPrice, maxDropPercentage, orderCount)
+            .map((price, i) => ({ price, weight: Math.pow(r, i) }));
+    }
+};
@@ -0,0 +1,12 @@
+// 每档价格比上一档低相同的百分比，越往下间距越小；金额与默认形状一样按 incrementPercentage 等比递增
+module.exports = {
+    description: '价格按相同百分比递减，金额按 incrementPercentage 等比递增',
+    levels({ currentPrice, maxDropPercentage, orderCount, incrementPercentage }) {
+        const ratio = orderCount > 1 ? Math.pow(1 - maxDropPercentage / 100, 1 / (orderCount - 1)) : 1;
+        const r = 1 + incrementPercentage / 100;
+        return Array.from({ length: orderCount }, (_, i) => ({
+            price: currentPrice * Math.pow(ratio, i),
+            weight: Math.pow(r, i)
+        }));
+    }
+};
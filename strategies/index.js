@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// 买入阶梯的形状。本目录下除 index.js 以外的每个模块是一种形状，文件名即 trading.ladderShape 的取值。
+// 模块导出 { description, levels(params) }：
+//   params: { currentPrice, maxDropPercentage, orderCount, incrementPercentage, trading }，trading 为配置文件的 trading 部分
+//   返回 [{ price, weight }]：每档的挂单价格(不需要取整)和相对金额，总金额按 weight 的比例分配到各档
+const DEFAULT_LADDER_SHAPE = 'geometric';
+
+let shapes = null;
+
+// 读取本目录下的全部形状，只在第一次使用时读取
+function loadLadderShapes() {
+    if (!shapes) {
+        shapes = new Map();
+        for (const file of fs.readdirSync(__dirname).sort()) {
+            if (path.extname(file) !== '.js' || file === 'index.js') {
+                continue;
+            }
+            const shape = require(path.join(__dirname, file));
+            if (typeof shape.levels !== 'function') {
+                throw new Error(`阶梯形状模块 ${file} 没有导出 levels 函数`);
+            }
+            shapes.set(path.basename(file, '.js'), shape);
+        }
+    }
+    return shapes;
+}
+
+function getLadderShape(name = DEFAULT_LADDER_SHAPE) {
+    const shape = loadLadderShapes().get(name);
+    if (!shape) {
+        throw new Error(`未知的阶梯形状 ${name}，可用: ${[...loadLadderShapes().keys()].join(', ')}`);
+    }
+    return shape;
+}
+
+// 在 [currentPrice * (1 - maxDropPercentage%), currentPrice] 之间等间距的价格，从当前价格开始向下
+function evenlySpacedPrices(currentPrice, maxDropPercentage, orderCount) {
+    const lowestPrice = currentPrice * (1 - maxDropPercentage / 100);
+    const priceStep = orderCount > 1 ? (currentPrice - lowestPrice) / (orderCount - 1) : 0;
+    return Array.from({ length: orderCount }, (_, i) => currentPrice - priceStep * i);
+}
+
+module.exports = { DEFAULT_LADDER_SHAPE, loadLadderShapes, getLadderShape, evenlySpacedPrices };
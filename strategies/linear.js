@@ -0,0 +1,10 @@
+const { evenlySpacedPrices } = require('./index');
+
+// 等间距的价格，每档金额比上一档增加第一档金额的 incrementPercentage%
+module.exports = {
+    description: '等间距价格，金额按 incrementPercentage 线性递增',
+    levels({ currentPrice, maxDropPercentage, orderCount, incrementPercentage }) {
+        return evenlySpacedPrices(currentPrice, maxDropPercentage, orderCount)
+            .map((price, i) => ({ price, weight: 1 + i * incrementPercentage / 100 }));
+    }
+};
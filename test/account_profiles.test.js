@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PROFILE, profileNames, checkProfiles, resolveProfile, profileEnv, profileEnvName } = require('../account_profiles');
+
+const fileConfig = {
+    api: { keystoreFile: 'shared_keystore.json' },
+    trading: { tradingCoin: 'SOL', totalAmount: 100 },
+    advanced: { monitorIntervalSeconds: 30 },
+    profiles: {
+        main: { api: { keystoreFile: 'main_keystore.json' } },
+        sub1: { api: { keystoreFile: 'sub1_keystore.json' }, trading: { tradingCoin: 'ETH' }, advanced: { logDir: 'logs/eth' } },
+        old: { enabled: false }
+    }
+};
+
+test('没有 profiles 时整个配置文件是 default 账户', () => {
+    const single = { api: { privateKey: 'a', publicKey: 'b' }, trading: {} };
+    assert.deepEqual(profileNames(single), [DEFAULT_PROFILE]);
+    assert.equal(resolveProfile(single, DEFAULT_PROFILE), single);
+    assert.doesNotThrow(() => checkProfiles(single));
+});
+
+test('账户按字段覆盖顶层配置，api 不从顶层继承', () => {
+    assert.deepEqual(profileNames(fileConfig), ['main', 'sub1']);
+    const sub1 = resolveProfile(fileConfig, 'sub1');
+    assert.deepEqual(sub1.trading, { tradingCoin: 'ETH', totalAmount: 100 });
+    assert.deepEqual(sub1.advanced, { monitorIntervalSeconds: 30, logDir: 'logs/eth' });
+    assert.deepEqual(sub1.api, { keystoreFile: 'sub1_keystore.json' });
+    assert.equal(sub1.profiles, undefined);
+    assert.deepEqual(resolveProfile(fileConfig, 'old').api, {});
+    assert.throws(() => resolveProfile(fileConfig, 'missing'), /配置文件中没有账户 missing/);
+});
+
+test('有 profiles 时顶层 api 中的密钥视为配置错误', () => {
+    const withKeys = { ...fileConfig, api: { privateKey: 'a', publicKey: 'b', allowPlaintextKeys: true } };
+    assert.throws(() => checkProfiles(withKeys), /有 profiles 时不使用顶层 api 的密钥，请把 api.privateKey \/ api.publicKey 移到 profiles.<账户名>.api 中/);
+    assert.throws(() => resolveProfile(withKeys, 'main'), /顶层 api 的密钥/);
+    assert.throws(() => resolveProfile({ ...fileConfig, api: { publicKey: 'b' } }, 'main'), /请把 api.publicKey 移到/);
+    // 顶层 api 中没有密钥时仍然可以使用
+    assert.doesNotThrow(() => checkProfiles(fileConfig));
+});
+
+test('密钥环境变量带账户名前缀，口令可以共用', () => {
+    assert.equal(profileEnvName('sub-1', 'BACKPACK_PRIVATE_KEY'), 'BACKPACK_SUB_1_PRIVATE_KEY');
+    const env = profileEnv('sub1', {
+        BACKPACK_PRIVATE_KEY: 'shared',
+        BACKPACK_SUB1_PUBLIC_KEY: 'pub',
+        BACKPACK_KEYSTORE_PASSPHRASE: 'pass'
+    });
+    assert.equal(env.BACKPACK_PRIVATE_KEY, undefined);
+    assert.equal(env.BACKPACK_PUBLIC_KEY, 'pub');
+    assert.equal(env.BACKPACK_KEYSTORE_PASSPHRASE, 'pass');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal } = require('../backpack_exchange-main/decimal');
+
+test('加减乘没有浮点误差', () => {
+    assert.equal(Decimal.from('0.1').plus('0.2').toString(), '0.3');
+    assert.equal(Decimal.from('1').minus('0.9').toString(), '0.1');
+    assert.equal(Decimal.from('1.1').times('1.1').toString(), '1.21');
+    assert.equal(Decimal.from('0.3').minus('0.5').toString(), '-0.2');
+});
+
+test('解析数字、字符串、科学计数法和BigInt', () => {
+    assert.equal(Decimal.from(12.5).toString(), '12.5');
+    assert.equal(Decimal.from('  7.000 ').toString(), '7');
+    assert.equal(Decimal.from('1.5e3').toString(), '1500');
+    assert.equal(Decimal.from('25e-4').toString(), '0.0025');
+    assert.equal(Decimal.from(10n).toString(), '10');
+    assert.equal(Decimal.from('.5').toString(), '0.5');
+    const value = Decimal.from('3');
+    assert.equal(Decimal.from(value), value);
+});
+
+test('无法解析的值抛出错误', () => {
+    for (const value of ['', 'abc', '1.2.3', NaN, Infinity, '.']) {
+        assert.throws(() => Decimal.from(value), /无法转换为Decimal/);
+    }
+});
+
+test('isDecimalString 只接受普通十进制数', () => {
+    assert.equal(Decimal.isDecimalString('123.45'), true);
+    assert.equal(Decimal.isDecimalString('-0.01'), true);
+    assert.equal(Decimal.isDecimalString('1e5'), false);
+    assert.equal(Decimal.isDecimalString('12abc'), false);
+    assert.equal(Decimal.isDecimalString(12), false);
+});
+
+test('除法向零截断到指定小数位', () => {
+    assert.equal(Decimal.from('1').div('3', 4).toString(), '0.3333');
+    assert.equal(Decimal.from('-2').div('3', 2).toString(), '-0.66');
+    assert.equal(Decimal.from('10').div('4').toString(), '2.5');
+    assert.throws(() => Decimal.from('1').div('0'), /除数不能为0/);
+});
+
+test('floorToStep 按步长向下取整，负数向负无穷取整', () => {
+    assert.equal(Decimal.from('123.456789').floorToStep('0.01').toString(), '123.45');
+    assert.equal(Decimal.from('0.123').floorToStep('0.05').toString(), '0.1');
+    assert.equal(Decimal.from('-1.01').floorToStep('0.1').toString(), '-1.1');
+    assert.equal(Decimal.from('5').floorToStep('0.5').toString(), '5');
+    assert.throws(() => Decimal.from('1').floorToStep('0'), /步长必须大于0/);
+});
+
+test('toFixed 截断多余位数并补齐0', () => {
+    assert.equal(Decimal.from('1.239').toFixed(2), '1.23');
+    assert.equal(Decimal.from('1.2').toFixed(3), '1.200');
+    assert.equal(Decimal.from('9.99').toFixed(0), '9');
+});
+
+test('比较、小数位数和数字转换', () => {
+    const a = Decimal.from('1.50');
+    assert.equal(a.eq('1.5'), true);
+    assert.equal(a.lt('1.51'), true);
+    assert.equal(a.gt(1), true);
+    assert.equal(a.cmp('1.5'), 0);
+    assert.equal(Decimal.from('0').isZero(), true);
+    assert.equal(Decimal.from('0.001').decimalPlaces(), 3);
+    assert.equal(a.toNumber(), 1.5);
+    assert.equal(a * 2, 3);
+    assert.equal(JSON.stringify({ price: a }), '{"price":"1.5"}');
+});
+
+test('超过Number精度的值保持精确', () => {
+    const big = Decimal.from('9007199254740993.000000000000000001');
+    assert.equal(big.plus('1').toString(), '9007199254740994.000000000000000001');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const errors = require('../backpack_exchange-main/errors');
+const spec = require('../openapi.json');
+
+const response = (status, body, headers) => ({ status, body, headers });
+
+test('按错误码分类', () => {
+    const cases = [
+        ['INSUFFICIENT_FUNDS', errors.InsufficientFundsError],
+        ['INSUFFICIENT_MARGIN', errors.InsufficientFundsError],
+        ['INVALID_PRICE', errors.InvalidPriceError],
+        ['INVALID_QUANTITY', errors.InvalidQuantityError],
+        ['TOO_MANY_REQUESTS', errors.RateLimitedError],
+        ['INVALID_SIGNATURE', errors.UnauthorizedError],
+        ['MAINTENANCE', errors.MaintenanceError],
+        ['SERVER_ERROR', errors.ServerError]
+    ];
+    for (const [code, ErrorClass] of cases) {
+        const error = errors.createApiError(response(400, { code, message: 'x' }), 'orderExecute', {});
+        assert.equal(error.constructor, ErrorClass, code);
+        assert.equal(error.code, code);
+    }
+});
+
+test('openapi.json 中的每个错误码都有对应的错误类', () => {
+    const codes = spec.components.schemas.ApiErrorCode.enum;
+    assert.deepEqual(codes.filter(code => !errors.CODE_CLASSES[code]), []);
+    assert.deepEqual(Object.keys(errors.CODE_CLASSES).filter(code => !codes.includes(code)), []);
+    for (const code of codes) {
+        const error = errors.createApiError(response(400, { code, message: 'x' }), 'orderExecute', {});
+        assert.ok(error instanceof errors.CODE_CLASSES[code], code);
+    }
+    assert.equal(errors.CODE_CLASSES.TRADING_PAUSED, errors.MaintenanceError);
+    assert.equal(errors.CODE_CLASSES.INVALID_ORDER, errors.InvalidRequestError);
+    assert.equal(errors.CODE_CLASSES.INSUFFICIENT_SUPPLY, errors.InsufficientFundsError);
+});
+
+test('没有已知错误码时按HTTP状态码分类', () => {
+    const classify = (status) => errors.createApiError(response(status, 'text'), 'balanceQuery', {}).constructor;
+    assert.equal(classify(429), errors.RateLimitedError);
+    assert.equal(classify(401), errors.UnauthorizedError);
+    assert.equal(classify(403), errors.UnauthorizedError);
+    assert.equal(classify(404), errors.NotFoundError);
+    assert.equal(classify(503), errors.MaintenanceError);
+    assert.equal(classify(500), errors.ServerError);
+    assert.equal(classify(400), errors.InvalidRequestError);
+});
+
+test('订单接口找不到资源时返回 OrderNotFoundError', () => {
+    const error = errors.createApiError(response(404, { code: 'RESOURCE_NOT_FOUND', message: 'Order not found' }), 'orderQuery', {});
+    assert.ok(error instanceof errors.OrderNotFoundError);
+    assert.ok(error instanceof errors.NotFoundError);
+    const other = errors.createApiError(response(404, { code: 'RESOURCE_NOT_FOUND', message: 'x' }), 'depositQueryAll', {});
+    assert.equal(other.constructor, errors.NotFoundError);
+});
+
+test('错误对象保留请求和响应信息', () => {
+    const body = { code: 'INVALID_ORDER', message: 'Order would immediately match and take.' };
+    const params = { symbol: 'SOL_USDC' };
+    const error = errors.createApiError(response(400, body), 'orderExecute', params);
+    assert.equal(error.status, 400);
+    assert.equal(error.instruction, 'orderExecute');
+    assert.equal(error.params, params);
+    assert.equal(error.body, body);
+    assert.deepEqual(error.response, { statusCode: 400, body });
+    assert.match(error.message, /orderExecute 请求失败 status=400 code=INVALID_ORDER: Order would immediately match/);
+    assert.equal(error.name, 'InvalidRequestError');
+});
+
+test('Retry-After 转为毫秒', () => {
+    const error = errors.createApiError(response(429, '', { 'retry-after': '2' }), 'balanceQuery', {});
+    assert.equal(error.retryAfterMs, 2000);
+    const withoutHeader = errors.createApiError(response(429, ''), 'balanceQuery', {});
+    assert.equal(withoutHeader.retryAfterMs, undefined);
+});
+
+test('只有限流、维护、服务端和网络错误可以重试', () => {
+    assert.equal(errors.isRetryable(new errors.RateLimitedError('x')), true);
+    assert.equal(errors.isRetryable(new errors.MaintenanceError('x')), true);
+    assert.equal(errors.isRetryable(new errors.ServerError('x')), true);
+    assert.equal(errors.isRetryable(new errors.NetworkError('x')), true);
+    assert.equal(errors.isRetryable(new errors.InvalidRequestError('x')), false);
+    assert.equal(errors.isRetryable(new errors.InsufficientFundsError('x')), false);
+    assert.equal(errors.isRetryable(new errors.UnauthorizedError('x')), false);
+    assert.equal(errors.isRetryable(new errors.SchemaValidationError('x')), false);
+    // 非API错误保持原来的重试行为
+    assert.equal(errors.isRetryable(new Error('x')), true);
+});
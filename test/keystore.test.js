@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { Credentials, encryptKeystore, decryptKeystore, readKeystore, writeKeystore, loadCredentials } = require('../backpack_exchange-main/keystore');
+
+const keys = { privateKey: 'cHJpdmF0ZS1rZXktZm9yLXRlc3RzLW9ubHktMDAwMDA=', publicKey: 'cHVibGljLWtleS1mb3ItdGVzdHMtb25seS0wMDAwMDA=' };
+
+test('加密后用同一口令解密得到原来的密钥', () => {
+    const keystore = encryptKeystore(keys, 'correct horse');
+    assert.equal(keystore.publicKey, keys.publicKey);
+    assert.ok(!JSON.stringify(keystore).includes(keys.privateKey));
+    const credentials = decryptKeystore(keystore, 'correct horse', 'test');
+    assert.equal(credentials.privateKey, keys.privateKey);
+    assert.equal(credentials.publicKey, keys.publicKey);
+    assert.equal(credentials.source, 'test');
+});
+
+test('每次加密使用不同的salt和iv', () => {
+    const a = encryptKeystore(keys, 'pass');
+    const b = encryptKeystore(keys, 'pass');
+    assert.notEqual(a.kdf.salt, b.kdf.salt);
+    assert.notEqual(a.cipher.iv, b.cipher.iv);
+    assert.notEqual(a.ciphertext, b.ciphertext);
+});
+
+test('口令错误或文件被改动时解密失败', () => {
+    const keystore = encryptKeystore(keys, 'pass');
+    assert.throws(() => decryptKeystore(keystore, 'wrong', 'test'), /口令错误或文件已损坏: test/);
+    const tampered = { ...keystore, ciphertext: Buffer.from('tampered').toString('base64') };
+    assert.throws(() => decryptKeystore(tampered, 'pass', 'test'), /口令错误或文件已损坏/);
+});
+
+test('空口令和不支持的格式报错', () => {
+    assert.throws(() => encryptKeystore(keys, ''), /口令不能为空/);
+    assert.throws(() => decryptKeystore({ version: 2 }, 'pass', 'old.json'), /不支持的密钥文件格式: old.json/);
+});
+
+test('Credentials 不会在日志和JSON中输出私钥', () => {
+    const credentials = new Credentials(keys.privateKey, keys.publicKey, 'env');
+    for (const text of [JSON.stringify(credentials), String(credentials), util.inspect(credentials), `${Object.keys(credentials)}`]) {
+        assert.ok(!text.includes(keys.privateKey), text);
+    }
+    assert.equal(credentials.privateKey, keys.privateKey);
+});
+
+test('写入的密钥文件仅当前用户可读写，读取后可以解密', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+    try {
+        const file = path.join(dir, 'nested', 'key.json');
+        writeKeystore(file, keys, 'pass');
+        if (process.platform !== 'win32') {
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        }
+        const credentials = readKeystore(file, 'pass');
+        assert.equal(credentials.privateKey, keys.privateKey);
+        assert.equal(credentials.source, `keystore:${file}`);
+        assert.throws(() => readKeystore(path.join(dir, 'missing.json'), 'pass'), /密钥文件不存在/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('loadCredentials 依次使用环境变量、密钥文件和明确允许的明文密钥', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+    try {
+        writeKeystore(path.join(dir, 'key.json'), keys, 'pass');
+        const fromEnv = await loadCredentials({ env: { BACKPACK_PRIVATE_KEY: 'a', BACKPACK_PUBLIC_KEY: 'b' } });
+        assert.equal(fromEnv.source, 'env');
+        await assert.rejects(loadCredentials({ env: { BACKPACK_PRIVATE_KEY: 'a' } }), /必须同时设置/);
+
+        const fromFile = await loadCredentials({ apiConfig: { keystoreFile: 'key.json' }, baseDir: dir, env: {}, askPassphrase: async () => 'pass' });
+        assert.equal(fromFile.privateKey, keys.privateKey);
+        await assert.rejects(loadCredentials({ apiConfig: { keystoreFile: 'key.json' }, baseDir: dir, env: {} }), /需要口令/);
+
+        await assert.rejects(loadCredentials({ apiConfig: { ...keys }, env: {} }), /配置文件中包含明文私钥/);
+        const fromConfig = await loadCredentials({ apiConfig: { ...keys, allowPlaintextKeys: true }, env: {} });
+        assert.equal(fromConfig.source, 'config');
+        await assert.rejects(loadCredentials({ env: {} }), /没有找到API密钥/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { paginate, timeWindows, toMillis } = require('../backpack_exchange-main/pagination');
+
+// 按 limit/offset 返回 records 的假接口，记录每次请求的参数
+function fakeEndpoint(records) {
+    const requests = [];
+    const fetchPage = async (params) => {
+        requests.push(params);
+        return records.slice(params.offset, params.offset + params.limit);
+    };
+    return { fetchPage, requests };
+}
+
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+test('timeWindows 从最新的窗口开始拆分，首尾相接不重叠', () => {
+    assert.deepEqual(timeWindows(0, 25, 10), [
+        { from: 16, to: 25 },
+        { from: 6, to: 15 },
+        { from: 0, to: 5 }
+    ]);
+    assert.deepEqual(timeWindows(0, 19, 10), [
+        { from: 10, to: 19 },
+        { from: 0, to: 9 }
+    ]);
+});
+
+test('timeWindows 没有起始时间或窗口长度时不拆分', () => {
+    assert.deepEqual(timeWindows(null, null, 10), [{ from: null, to: null }]);
+    assert.deepEqual(timeWindows(null, 100, 10), [{ from: null, to: 100 }]);
+    assert.deepEqual(timeWindows(5, 100, 0), [{ from: 5, to: 100 }]);
+});
+
+test('timeWindows 没有结束时间时到当前时间为止', () => {
+    const before = Date.now();
+    const windows = timeWindows(before - 1000, null, 60000);
+    assert.equal(windows.length, 1);
+    assert.equal(windows[0].from, before - 1000);
+    assert.ok(windows[0].to >= before);
+});
+
+test('toMillis 把不带时区的时间字符串当作UTC', () => {
+    assert.equal(toMillis('2024-01-01T00:00:00'), Date.UTC(2024, 0, 1));
+    assert.equal(toMillis('2024-01-01T08:00:00+08:00'), Date.UTC(2024, 0, 1));
+    assert.equal(toMillis('1704067200000'), 1704067200000);
+    assert.equal(toMillis(new Date(5)), 5);
+    assert.equal(toMillis(null), null);
+    assert.equal(toMillis('not a date'), null);
+});
+
+test('支持时间参数的接口按窗口逐页请求', async () => {
+    const { fetchPage, requests } = fakeEndpoint([]);
+    await collect(paginate(fetchPage, 'fillHistoryQueryAll', { symbol: 'SOL_USDC' }, { from: 0, to: 25, windowMs: 10, pageSize: 5 }));
+    assert.deepEqual(requests.map(({ from, to }) => [from, to]), [[16, 25], [6, 15], [0, 5]]);
+    assert.equal(requests[0].symbol, 'SOL_USDC');
+});
+
+test('订单历史按时间倒序时，整页早于from后停止翻页', async () => {
+    const records = Array.from({ length: 100 }, (_, i) => ({ createdAt: 99 - i }));
+    const { fetchPage, requests } = fakeEndpoint(records);
+    const items = await collect(paginate(fetchPage, 'orderHistoryQueryAll', {}, { from: 50, pageSize: 10 }));
+    assert.equal(items.length, 50);
+    assert.equal(requests.length, 6);
+    assert.equal(requests[0].from, undefined);
+});
+
+test('订单历史不是时间倒序时翻到最后一页', async () => {
+    const records = Array.from({ length: 100 }, (_, i) => ({ createdAt: i }));
+    const { fetchPage, requests } = fakeEndpoint(records);
+    const items = await collect(paginate(fetchPage, 'orderHistoryQueryAll', {}, { from: 50, pageSize: 10 }));
+    assert.deepEqual(items.map(item => item.createdAt), records.slice(50).map(item => item.createdAt));
+    assert.equal(requests.length, 11);
+});
+
+test('本地过滤晚于to的记录', async () => {
+    const records = Array.from({ length: 10 }, (_, i) => ({ createdAt: 9 - i }));
+    const { fetchPage } = fakeEndpoint(records);
+    const items = await collect(paginate(fetchPage, 'orderHistoryQueryAll', {}, { from: 2, to: 5, pageSize: 100 }));
+    assert.deepEqual(items.map(item => item.createdAt), [5, 4, 3, 2]);
+});
+
+test('不支持的接口和 marketType 参数报错', async () => {
+    const { fetchPage } = fakeEndpoint([]);
+    await assert.rejects(collect(paginate(fetchPage, 'balanceQuery')), /不是支持分页的历史接口/);
+    await assert.rejects(collect(paginate(fetchPage, 'depositQueryAll', {}, { marketType: 'SPOT' })), /不支持按 marketType 筛选/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, PRIORITY, priorityForMethod } = require('../backpack_exchange-main/rate_limiter');
+const { RateLimitedError, InvalidRequestError } = require('../backpack_exchange-main/errors');
+
+const rateLimited = (retryAfterMs) => new RateLimitedError('429', { status: 429, retryAfterMs });
+
+test('按HTTP方法确定优先级', () => {
+    assert.equal(priorityForMethod('DELETE'), PRIORITY.cancel);
+    assert.equal(priorityForMethod('GET'), PRIORITY.query);
+    assert.equal(priorityForMethod('POST'), PRIORITY.order);
+    assert.equal(priorityForMethod('PATCH'), PRIORITY.order);
+});
+
+test('突发上限以内的请求立即发送', async () => {
+    const scheduler = new RequestScheduler({ private: { capacity: 3, refillPerSecond: 1 } });
+    const started = Date.now();
+    const results = await Promise.all([1, 2, 3].map(n => scheduler.schedule('private', PRIORITY.query, async () => n)));
+    assert.deepEqual(results, [1, 2, 3]);
+    assert.ok(Date.now() - started < 500);
+});
+
+test('令牌不足时按优先级排队，撤单先于下单', async () => {
+    const scheduler = new RequestScheduler({ private: { capacity: 1, refillPerSecond: 50 } });
+    const order = [];
+    const task = (name) => async () => {
+        order.push(name);
+    };
+    await Promise.all([
+        scheduler.schedule('private', PRIORITY.query, task('first')),
+        scheduler.schedule('private', PRIORITY.order, task('order')),
+        scheduler.schedule('private', PRIORITY.query, task('query')),
+        scheduler.schedule('private', PRIORITY.cancel, task('cancel'))
+    ]);
+    assert.deepEqual(order, ['first', 'cancel', 'query', 'order']);
+});
+
+test('公共和私有请求使用各自的令牌桶', async () => {
+    const scheduler = new RequestScheduler({ private: { capacity: 1, refillPerSecond: 1 } });
+    await scheduler.schedule('private', PRIORITY.query, async () => null);
+    const started = Date.now();
+    await scheduler.schedule('public', PRIORITY.query, async () => null);
+    assert.ok(Date.now() - started < 500);
+    assert.equal(scheduler.pending('private'), 0);
+});
+
+test('收到429后暂停并重新排队，成功后返回结果', async () => {
+    const scheduler = new RequestScheduler({}, { maxRateLimitRetries: 3 });
+    let calls = 0;
+    const started = Date.now();
+    const result = await scheduler.schedule('private', PRIORITY.query, async () => {
+        calls++;
+        if (calls < 3) {
+            throw rateLimited(50);
+        }
+        return 'ok';
+    });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+    assert.ok(Date.now() - started >= 90);
+});
+
+test('429重试次数用完后带上retriesExhausted，其他错误直接返回', async () => {
+    const scheduler = new RequestScheduler({}, { maxRateLimitRetries: 2 });
+    let calls = 0;
+    const error = await scheduler.schedule('private', PRIORITY.query, async () => {
+        calls++;
+        throw rateLimited(10);
+    }).catch(e => e);
+    assert.ok(error instanceof RateLimitedError);
+    assert.equal(error.retriesExhausted, true);
+    assert.equal(calls, 3);
+
+    let invalidCalls = 0;
+    const invalid = await scheduler.schedule('private', PRIORITY.order, async () => {
+        invalidCalls++;
+        throw new InvalidRequestError('bad');
+    }).catch(e => e);
+    assert.ok(invalid instanceof InvalidRequestError);
+    assert.equal(invalid.retriesExhausted, undefined);
+    assert.equal(invalidCalls, 1);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LADDER_SHAPE, loadLadderShapes, getLadderShape, evenlySpacedPrices } = require('../strategies');
+
+const params = { currentPrice: 100, maxDropPercentage: 10, orderCount: 5, incrementPercentage: 50, trading: {} };
+
+const prices = levels => levels.map(level => Number(level.price.toFixed(6)));
+const weights = levels => levels.map(level => Number(level.weight.toFixed(6)));
+
+test('读取目录下的全部形状，默认形状为 geometric', () => {
+    assert.deepEqual([...loadLadderShapes().keys()], ['custom', 'fibonacci', 'geometric', 'geometric_price', 'linear']);
+    assert.equal(DEFAULT_LADDER_SHAPE, 'geometric');
+    assert.equal(getLadderShape(), getLadderShape('geometric'));
+    for (const shape of loadLadderShapes().values()) {
+        assert.equal(typeof shape.description, 'string');
+    }
+});
+
+test('未知形状报错并列出可用的形状', () => {
+    assert.throws(() => getLadderShape('spiral'), /未知的阶梯形状 spiral，可用: custom, fibonacci/);
+});
+
+test('evenlySpacedPrices 从当前价格等间距向下到最大跌幅', () => {
+    assert.deepEqual(evenlySpacedPrices(100, 10, 5), [100, 97.5, 95, 92.5, 90]);
+    assert.deepEqual(evenlySpacedPrices(100, 10, 1), [100]);
+});
+
+test('geometric: 等间距价格，金额等比递增', () => {
+    const levels = getLadderShape('geometric').levels(params);
+    assert.deepEqual(prices(levels), [100, 97.5, 95, 92.5, 90]);
+    assert.deepEqual(weights(levels), [1, 1.5, 2.25, 3.375, 5.0625]);
+});
+
+test('linear: 等间距价格，金额线性递增', () => {
+    const levels = getLadderShape('linear').levels(params);
+    assert.deepEqual(prices(levels), [100, 97.5, 95, 92.5, 90]);
+    assert.deepEqual(weights(levels), [1, 1.5, 2, 2.5, 3]);
+});
+
+test('geometric_price: 价格按相同比例递减，最低一档在最大跌幅处', () => {
+    const levels = getLadderShape('geometric_price').levels(params);
+    const ratios = levels.slice(1).map((level, i) => level.price / levels[i].price);
+    for (const ratio of ratios) {
+        assert.ok(Math.abs(ratio - ratios[0]) < 1e-12);
+    }
+    assert.equal(prices(levels)[0], 100);
+    assert.equal(prices(levels)[4], 90);
+    assert.deepEqual(weights(levels), [1, 1.5, 2.25, 3.375, 5.0625]);
+    assert.deepEqual(prices(getLadderShape('geometric_price').levels({ ...params, orderCount: 1 })), [100]);
+});
+
+test('fibonacci: 金额按斐波那契数列递增', () => {
+    const levels = getLadderShape('fibonacci').levels({ ...params, orderCount: 7 });
+    assert.deepEqual(weights(levels), [1, 1, 2, 3, 5, 8, 13]);
+    assert.equal(prices(levels)[6], 90);
+});
+
+test('custom: 按 customLadder 的跌幅和相对金额挂单', () => {
+    const trading = { customLadder: [{ dropPercentage: 0.5 }, { dropPercentage: 2, weight: 2 }, { dropPercentage: '5', weight: '4' }] };
+    const levels = getLadderShape('custom').levels({ ...params, orderCount: 3, trading });
+    assert.deepEqual(prices(levels), [99.5, 98, 95]);
+    assert.deepEqual(weights(levels), [1, 2, 4]);
+});
+
+test('custom: 缺少 customLadder、跌幅无效或 orderCount 与档数不一致时报错', () => {
+    const custom = getLadderShape('custom');
+    assert.throws(() => custom.levels({ ...params, trading: {} }), /需要设置 trading.customLadder/);
+    assert.throws(() => custom.levels({ ...params, orderCount: 1, trading: { customLadder: [{ dropPercentage: 100 }] } }),
+        /dropPercentage 必须在 0 到 100 之间/);
+    assert.throws(() => custom.levels({ ...params, orderCount: 5, trading: { customLadder: [{ dropPercentage: 1 }] } }),
+        /档数由 trading.customLadder 决定\(1 档\)，trading.orderCount\(5\) 必须与之一致/);
+});
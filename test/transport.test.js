@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BackpackClient } = require('../backpack_exchange-main/backpack_client');
+const { RecordingTransport, ReplayTransport, CassetteMismatchError } = require('../backpack_exchange-main/transport');
+const mockConfig = require('../mock_exchange/mock_trading_config.json');
+
+// 对模拟交易所录制的一个短周期：行情 → 余额 → 挂买单 → 查询挂单 → 撤单 → 提现
+const CASSETTE = path.join(__dirname, 'fixtures', 'short_cycle.cassette.json');
+
+const replayClient = () => new BackpackClient(mockConfig.api.privateKey, mockConfig.api.publicKey, {
+    baseUrl: mockConfig.advanced.baseUrl,
+    wsUrl: mockConfig.advanced.wsUrl,
+    timeSync: false,
+    transport: new ReplayTransport(CASSETTE)
+});
+
+test('通过 BackpackClient 回放录制的交易周期', async () => {
+    const client = replayClient();
+    const ticker = await client.Ticker({ symbol: 'SOL_USDC' });
+    assert.equal(ticker.lastPrice, 100);
+    const balances = await client.Balance();
+    assert.equal(balances.USDC.available, 1000);
+    // 回放时忽略每次不同的 clientId
+    const order = await client.placeOrder({ symbol: 'SOL_USDC', side: 'Bid', orderType: 'Limit', price: '90.00', quantity: '0.1', timeInForce: 'GTC' });
+    assert.equal(order.id, '112000000000040');
+    assert.equal(order.status, 'New');
+    const openOrders = await client.GetOpenOrders({ symbol: 'SOL_USDC' });
+    assert.deepEqual(openOrders.map(item => item.id), [order.id]);
+    await client.CancelOrder({ symbol: 'SOL_USDC', orderId: order.id });
+    const withdrawal = await client.Withdraw({ address: '0xAbC0000000000000000000000000000000000001', blockchain: 'Ethereum', quantity: '1', symbol: 'USDC', twoFactorToken: '654321' });
+    assert.equal(withdrawal.status, 'pending');
+    assert.equal(client.transport.remaining(), 0);
+});
+
+test('磁带中没有的请求抛出 CassetteMismatchError，不会重试', async () => {
+    const client = replayClient();
+    let requests = 0;
+    const request = client.transport.request.bind(client.transport);
+    client.transport.request = (...args) => {
+        requests++;
+        return request(...args);
+    };
+    await assert.rejects(client.Ticker({ symbol: 'BTC_USDC' }), CassetteMismatchError);
+    assert.equal(requests, 1);
+    await client.Ticker({ symbol: 'SOL_USDC' });
+    // 同一条录制只能回放一次
+    await assert.rejects(client.Ticker({ symbol: 'SOL_USDC' }), CassetteMismatchError);
+    await assert.rejects(client.ExecuteOrder({ symbol: 'SOL_USDC', side: 'Bid', orderType: 'Limit', price: '91', quantity: '0.1' }), CassetteMismatchError);
+});
+
+test('录制的磁带中没有密钥、签名、二次验证码和提现地址', () => {
+    const text = fs.readFileSync(CASSETTE, 'utf8');
+    assert.ok(!text.includes(mockConfig.api.publicKey));
+    assert.ok(!text.includes(mockConfig.api.privateKey));
+    const { interactions } = JSON.parse(text);
+    for (const { request } of interactions.filter(item => item.request.headers['X-API-Key'] !== undefined)) {
+        assert.equal(request.headers['X-API-Key'], '<redacted>');
+        assert.equal(request.headers['X-Signature'], '<redacted>');
+    }
+    const withdraw = interactions.find(item => item.request.url.endsWith('/wapi/v1/capital/withdrawals') && item.request.method === 'POST');
+    assert.deepEqual(JSON.parse(withdraw.request.body), {
+        address: '<redacted>', blockchain: 'Ethereum', quantity: '1', symbol: 'USDC', twoFactorToken: '<redacted>'
+    });
+});
+
+test('RecordingTransport 替换请求头、请求体、查询参数和订阅消息中的敏感内容', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transport-test-'));
+    try {
+        const file = path.join(dir, 'cassette.json');
+        const socket = { on() {}, send() {} };
+        const inner = {
+            request: async () => ({ statusCode: 200, headers: { 'content-type': 'application/json', 'set-cookie': 'x' }, body: '{}' }),
+            createSocket: () => socket
+        };
+        const recorder = new RecordingTransport(file, inner, { flushIntervalMs: 60000 });
+        await recorder.request('https://api.example.com/wapi/v1/capital/withdrawals?address=abc&symbol=USDC', {
+            method: 'POST',
+            headers: { 'X-API-Key': 'key', 'X-Signature': 'sig' },
+            body: JSON.stringify({ address: 'abc', twoFactorToken: '123456', nested: [{ address: 'def' }], quantity: '1' })
+        });
+        recorder.createSocket('wss://ws.example.com').send(JSON.stringify({ method: 'SUBSCRIBE', params: ['account.orderUpdate'], signature: ['key', 'sig', 1, 5000] }));
+        recorder.close();
+
+        const text = fs.readFileSync(file, 'utf8');
+        for (const secret of ['key', 'sig', 'abc', 'def', '123456']) {
+            assert.ok(!text.includes(`"${secret}"`) && !text.includes(`=${secret}`), secret);
+        }
+        const { interactions, connections } = JSON.parse(text);
+        assert.deepEqual(interactions[0].request.headers, { 'X-API-Key': '<redacted>', 'X-Signature': '<redacted>' });
+        assert.equal(interactions[0].request.url, 'https://api.example.com/wapi/v1/capital/withdrawals?address=%3Credacted%3E&symbol=USDC');
+        assert.deepEqual(JSON.parse(interactions[0].request.body), {
+            address: '<redacted>', twoFactorToken: '<redacted>', nested: [{ address: '<redacted>' }], quantity: '1'
+        });
+        assert.deepEqual(interactions[0].response.headers, { 'content-type': 'application/json' });
+        assert.equal(JSON.parse(connections[0].frames[0].data).signature, '<redacted>');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('多个 RecordingTransport 共用一个进程退出监听器', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transport-test-'));
+    try {
+        const inner = { request: async () => ({ statusCode: 200, headers: {}, body: '' }) };
+        const first = new RecordingTransport(path.join(dir, 'a.json'), inner);
+        const listeners = process.listenerCount('exit');
+        const recorders = Array.from({ length: 20 }, (_, i) => new RecordingTransport(path.join(dir, `${i}.json`), inner));
+        assert.equal(process.listenerCount('exit'), listeners);
+        for (const recorder of [first, ...recorders]) {
+            recorder.close();
+        }
+        assert.equal(process.listenerCount('exit'), listeners);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
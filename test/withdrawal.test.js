@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WithdrawalManager, confirmationPhrase } = require('../backpack_exchange-main/withdrawal');
+const { WithdrawalRejectedError, ServerError, InvalidRequestError } = require('../backpack_exchange-main/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVM_ADDRESS = '0xAbCdEf0000000000000000000000000000000001';
+const SOLANA_ADDRESS = '5XyAbc111111111111111111111111111111111111';
+
+// 只实现 WithdrawalManager 用到的接口的假客户端，withdrawals 为交易所的提现记录(最新的在前)
+// submitError 返回提交时抛出的错误，accepted 为 false 时交易所没有受理这次提现
+function stubClient(options = {}) {
+    const client = {
+        withdrawals: options.withdrawals ?? [],
+        submitted: [],
+        historyQueries: [],
+        async *iterateWithdrawals(params, pageOptions) {
+            client.historyQueries.push(pageOptions);
+            yield* client.withdrawals.filter(item => item.createdAt >= pageOptions.from);
+        },
+        async GetMaxWithdrawalQuantity() {
+            return { maxWithdrawalQuantity: options.maxWithdrawalQuantity ?? '10000' };
+        },
+        async Withdraw(payload) {
+            client.submitted.push(payload);
+            const withdrawal = { id: client.submitted.length, clientId: payload.clientId, symbol: payload.symbol, quantity: payload.quantity, status: 'pending', createdAt: Date.now() };
+            if (options.accepted !== false) {
+                client.withdrawals.unshift(withdrawal);
+            }
+            if (options.submitError) {
+                throw options.submitError();
+            }
+            return withdrawal;
+        }
+    };
+    return client;
+}
+
+// 在临时目录中创建 WithdrawalManager，返回它和读取审计日志的函数
+function createManager(client, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'withdrawal-test-'));
+    const auditFile = path.join(dir, 'audit.log');
+    const manager = new WithdrawalManager(client, {
+        allowlist: { Ethereum: [EVM_ADDRESS.toLowerCase()], Solana: [SOLANA_ADDRESS] },
+        dailyLimits: { USDC: '1000' },
+        auditFile,
+        pollIntervalMs: 1,
+        ...options
+    });
+    const auditLog = () => fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+    return { manager, auditLog, cleanup };
+}
+
+const request = (overrides = {}) => ({ symbol: 'USDC', blockchain: 'Ethereum', address: EVM_ADDRESS, quantity: '25', ...overrides });
+
+test('EVM地址不区分大小写，其他链的地址必须完全一致', async () => {
+    const client = stubClient();
+    const { manager, auditLog, cleanup } = createManager(client);
+    try {
+        assert.deepEqual((await manager.check(request({ address: EVM_ADDRESS.toUpperCase().replace('0X', '0x') }))).reasons, []);
+        assert.deepEqual((await manager.check(request({ blockchain: 'Solana', address: SOLANA_ADDRESS }))).reasons, []);
+
+        const error = await manager.withdraw(request({ blockchain: 'Solana', address: SOLANA_ADDRESS.toLowerCase() }), { twoFactorToken: '123456' }).catch(e => e);
+        assert.ok(error instanceof WithdrawalRejectedError);
+        assert.deepEqual(error.reasons, [`地址 ${SOLANA_ADDRESS.toLowerCase()} 不在 Solana 的白名单中`]);
+        await assert.rejects(manager.withdraw(request({ blockchain: 'Polygon' }), { twoFactorToken: '123456' }), /不在 Polygon 的白名单中/);
+        assert.equal(client.submitted.length, 0);
+
+        const [requested, rejected] = auditLog();
+        assert.equal(requested.event, 'request');
+        assert.equal(requested.request.address, SOLANA_ADDRESS.toLowerCase());
+        assert.equal(rejected.event, 'rejected');
+        assert.equal(rejected.clientId, requested.request.clientId);
+        assert.deepEqual(rejected.reasons, error.reasons);
+    } finally {
+        cleanup();
+    }
+});
+
+test('按最近24小时的提现记录计算每日限额，未配置限额的资产不能提现', async () => {
+    const now = Date.now();
+    const client = stubClient({
+        withdrawals: [
+            { id: 3, symbol: 'USDC', quantity: '600', createdAt: now - 1000 },
+            { id: 2, symbol: 'SOL', quantity: '5', createdAt: now - 2000 },
+            { id: 1, symbol: 'USDC', quantity: '300.5', createdAt: now - DAY_MS + 60000 },
+            { id: 0, symbol: 'USDC', quantity: '5000', createdAt: now - 2 * DAY_MS }
+        ]
+    });
+    const { manager, auditLog, cleanup } = createManager(client);
+    try {
+        const checked = await manager.check(request({ quantity: '99.5' }));
+        assert.deepEqual(checked.reasons, []);
+        assert.equal(checked.usedToday.toString(), '900.5');
+        assert.ok(Math.abs(client.historyQueries[0].from - (now - DAY_MS)) < 1000);
+
+        await assert.rejects(manager.withdraw(request({ quantity: '100' }), { twoFactorToken: '123456' }),
+            /超过每日限额：24小时内已提现 900.5，本次 100，限额 1000/);
+        await assert.rejects(manager.withdraw(request({ symbol: 'SOL', quantity: '1' }), { twoFactorToken: '123456' }),
+            /SOL 没有配置每日提现限额/);
+        assert.equal(client.submitted.length, 0);
+        assert.deepEqual(auditLog().map(entry => entry.event), ['request', 'rejected', 'request', 'rejected']);
+    } finally {
+        cleanup();
+    }
+});
+
+test('超过可提现数量或数量无效时拒绝', async () => {
+    const { manager, cleanup } = createManager(stubClient({ maxWithdrawalQuantity: '10' }));
+    try {
+        assert.deepEqual((await manager.check(request({ quantity: '25' }))).reasons, ['超过可提现数量 10']);
+        assert.deepEqual((await manager.check(request({ quantity: 'abc' }))).reasons, ['无效的提现数量 abc']);
+        assert.deepEqual((await manager.check(request({ address: '' }))).reasons, ['缺少 address']);
+    } finally {
+        cleanup();
+    }
+});
+
+test('没有二次验证码时必须输入一致的确认内容', async () => {
+    const client = stubClient();
+    const { manager, auditLog, cleanup } = createManager(client);
+    try {
+        await assert.rejects(manager.withdraw(request()), /需要二次验证码\(twoFactorToken\)或手动确认/);
+        await assert.rejects(manager.withdraw(request(), { confirm: async () => 'WITHDRAW 250 USDC' }), /确认内容不一致/);
+        assert.equal(client.submitted.length, 0);
+
+        let prompt;
+        const withdrawal = await manager.withdraw(request(), {
+            wait: false,
+            confirm: async (summary, phrase) => {
+                prompt = { summary, phrase };
+                return ` ${phrase} `;
+            }
+        });
+        assert.equal(prompt.phrase, confirmationPhrase({ symbol: 'USDC', quantity: '25' }));
+        assert.equal(prompt.phrase, 'WITHDRAW 25 USDC');
+        assert.match(prompt.summary, /提现 25 USDC 到 Ethereum 地址 0xAbCdEf.*（24小时内已提现 0，限额 1000）/);
+        assert.equal(withdrawal.status, 'pending');
+        assert.equal(client.submitted[0].twoFactorToken, undefined);
+
+        const entries = auditLog();
+        assert.deepEqual(entries.map(entry => entry.event), ['request', 'rejected', 'request', 'rejected', 'request', 'submitted']);
+        assert.deepEqual(entries[1].reasons, ['需要二次验证码(twoFactorToken)或手动确认']);
+        assert.deepEqual(entries[3].reasons, ['确认内容不一致']);
+        assert.equal(entries[5].authorization, 'confirmation');
+        assert.equal(entries[5].id, withdrawal.id);
+    } finally {
+        cleanup();
+    }
+});
+
+test('审计日志不记录二次验证码，提交后轮询到完成', async () => {
+    const client = stubClient();
+    const { manager, auditLog, cleanup } = createManager(client);
+    try {
+        const statuses = [];
+        manager.on('status', withdrawal => statuses.push(withdrawal.status));
+        setTimeout(() => Object.assign(client.withdrawals[0], { status: 'confirmed', transactionHash: '0xhash' }), 20);
+        const result = await manager.withdraw(request(), { twoFactorToken: '987654' });
+        assert.equal(result.status, 'confirmed');
+        assert.equal(client.submitted[0].twoFactorToken, '987654');
+        assert.deepEqual(statuses, ['confirmed']);
+
+        const entries = auditLog();
+        assert.deepEqual(entries.map(entry => entry.event), ['request', 'submitted', 'status', 'completed']);
+        assert.equal(entries[1].authorization, 'twoFactorToken');
+        assert.equal(entries[3].success, true);
+        assert.equal(entries[3].transactionHash, '0xhash');
+        assert.equal(entries[3].clientId, client.submitted[0].clientId);
+        assert.ok(!fs.readFileSync(manager.auditFile, 'utf8').includes('987654'));
+    } finally {
+        cleanup();
+    }
+});
+
+test('提交时可重试的错误按clientId找回已受理的提现，其他错误记录失败', async () => {
+    const lost = stubClient({ submitError: () => new ServerError('502', { status: 502 }) });
+    const recovered = createManager(lost);
+    try {
+        const withdrawal = await recovered.manager.withdraw(request({ clientId: 'wd-fixed' }), { twoFactorToken: '123456', wait: false });
+        assert.equal(withdrawal.clientId, 'wd-fixed');
+        assert.equal(lost.submitted.length, 1);
+        const entries = recovered.auditLog();
+        assert.deepEqual(entries.map(entry => entry.event), ['request', 'submitted']);
+        assert.equal(entries[1].id, withdrawal.id);
+    } finally {
+        recovered.cleanup();
+    }
+
+    // 可重试的错误但提现记录中没有这个clientId，说明没有受理
+    const notFound = createManager(stubClient({ accepted: false, submitError: () => new ServerError('502', { status: 502 }) }));
+    try {
+        await assert.rejects(notFound.manager.withdraw(request(), { twoFactorToken: '123456' }), ServerError);
+        const failed = notFound.auditLog()[1];
+        assert.equal(failed.event, 'failed');
+        assert.equal(failed.stage, 'submit');
+    } finally {
+        notFound.cleanup();
+    }
+
+    // 不可重试的错误不查询提现记录
+    const invalid = stubClient({ submitError: () => new InvalidRequestError('bad address', { code: 'INVALID_ADDRESS' }) });
+    const failedManager = createManager(invalid);
+    try {
+        await assert.rejects(failedManager.manager.withdraw(request(), { twoFactorToken: '123456' }), InvalidRequestError);
+        // 只有检查每日限额时的一次查询
+        assert.equal(invalid.historyQueries.length, 1);
+        const failed = failedManager.auditLog()[1];
+        assert.deepEqual([failed.event, failed.stage, failed.code], ['failed', 'submit', 'INVALID_ADDRESS']);
+    } finally {
+        failedManager.cleanup();
+    }
+});
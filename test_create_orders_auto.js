@@ -1,16 +1,34 @@
 const { BackpackClient } = require('./backpack_exchange-main/backpack_client');
+const { BackpackApiError, InsufficientFundsError, InvalidRequestError, isRetryable } = require('./backpack_exchange-main/errors');
+const { Decimal } = require('./backpack_exchange-main/decimal');
+const { loadCredentials, readSecret } = require('./backpack_exchange-main/keystore');
+const { profileNames, checkProfiles, resolveProfile, profileEnv, profileEnvName } = require('./account_profiles');
+const { DEFAULT_LADDER_SHAPE, getLadderShape } = require('./strategies');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 当前账户。每个账户的交易周期在各自的上下文中运行，日志和下面的函数都从这里取得该账户的配置和状态
+const accountStorage = new AsyncLocalStorage();
+
+function currentAccount() {
+    const account = accountStorage.getStore();
+    if (!account) {
+        throw new Error('没有正在运行的账户');
+    }
+    return account;
+}
 
 // 日志函数
 function log(message, isError = false) {
+    const account = accountStorage.getStore();
     const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}`;
+    const logMessage = `[${timestamp}] ${account ? account.logPrefix : ''}${message}`;
     console.log(logMessage);
     
-    // 同时写入日志文件
-    const logDir = path.join(__dirname, 'logs');
+    // 同时写入日志文件，多账户时每个账户写入自己的日志目录
+    const logDir = account ? account.logDir : path.join(__dirname, 'logs');
     if (!fs.existsSync(logDir)) {
         fs.mkdirSync(logDir, { recursive: true });
     }
@@ -35,10 +53,17 @@ function log(message, isError = false) {
     }
 }
 
+// 配置文件路径，可通过环境变量 BACKPACK_TRADING_CONFIG 指定其他配置(例如连接模拟交易所)
+function configFilePath() {
+    return process.env.BACKPACK_TRADING_CONFIG
+        ? path.resolve(process.env.BACKPACK_TRADING_CONFIG)
+        : path.join(__dirname, 'backpack_trading_config.json');
+}
+
 // 读取配置文件
 function loadConfig() {
     try {
-        const configPath = path.join(__dirname, 'backpack_trading_config.json');
+        const configPath = configFilePath();
         log(`加载配置文件: ${configPath}`);
         
         if (!fs.existsSync(configPath)) {
@@ -56,63 +81,70 @@ function loadConfig() {
     }
 }
 
-// 全局用户配置
-const userConfig = loadConfig();
+// 重新读取当前账户的配置（配置文件中有 profiles 时为该账户合并后的配置）
+function loadAccountConfig() {
+    return resolveProfile(loadConfig(), currentAccount().name);
+}
 
-// 配置参数 - 现在从配置文件中读取
-const config = {
-    // API配置
-    privateKey: userConfig.api.privateKey,
-    publicKey: userConfig.api.publicKey,
-    
-    // 交易配置
-    pricePrecision: 2,        // 默认价格精度
-    priceTickSize: userConfig.advanced.priceTickSize || 0.01,  // 价格最小变动单位
-    minOrderAmount: userConfig.advanced.minOrderAmount || 10,  // 最小订单金额
-    
-    // 不同币种的数量精度配置
-    quantityPrecisions: userConfig.quantityPrecisions || {
-        'BTC': 5,     // BTC数量精度
-        'ETH': 4,     // ETH数量精度
-        'SOL': 2,     // SOL数量精度
-        'DEFAULT': 2  // 其他币种默认数量精度
-    },
-    
-    // 不同币种的价格精度配置
-    pricePrecisions: userConfig.pricePrecisions || {
-        'BTC': 0,     // BTC价格精度
-        'ETH': 2,     // ETH价格精度
-        'SOL': 2,     // SOL价格精度
-        'DEFAULT': 2  // 其他币种默认价格精度
-    },
-    
-    // 不同币种的最小交易量配置
-    minQuantities: userConfig.minQuantities || {
-        'BTC': 0.00001,   // BTC最小交易量
-        'ETH': 0.001,     // ETH最小交易量
-        'SOL': 0.01,      // SOL最小交易量
-        'DEFAULT': 0.1    // 其他币种默认最小交易量
-    },
-    
-    // 统计信息
-    stats: {
-        totalOrders: 0,
-        filledOrders: 0,
-        totalFilledAmount: 0,
-        totalFilledQuantity: 0,
-        averagePrice: 0,
-        lastUpdateTime: null
-    },
-    
-    // 已处理的订单ID集合
-    processedOrderIds: new Set(),
-    
-    // 脚本启动时间
-    scriptStartTime: new Date(),
-    
-    // 当前交易对
-    symbol: null
-};
+// 创建账户。配置、统计、API密钥、交易对规则和行情推送都属于单个账户，账户之间互不共享
+function createAccount(name, fileConfig, multiple) {
+    const userConfig = resolveProfile(fileConfig, name);
+    // 多账户时日志默认写入 logs/<账户名>/，可用 advanced.logDir 指定（相对路径以配置文件所在目录为基准）
+    const { logDir: configuredLogDir } = userConfig.advanced || {};
+    const logDir = configuredLogDir
+        ? path.resolve(path.dirname(configFilePath()), configuredLogDir)
+        : path.join(__dirname, 'logs', multiple ? name : '');
+    return {
+        name,
+        multiple,
+        logPrefix: multiple ? `[${name}] ` : '',
+        logDir,
+        
+        // 用户配置，每个交易周期开始时重新加载
+        userConfig,
+        
+        // 配置参数 - 从配置文件中读取
+        config: {
+            // 交易配置
+            // 价格和数量的精度、最小交易量由交易所的交易对规则决定，见 markets
+            minOrderAmount: userConfig.advanced.minOrderAmount || 10,  // 最小订单金额
+            
+            // 统计信息
+            stats: {
+                totalOrders: 0,
+                filledOrders: 0,
+                totalFilledAmount: 0,
+                totalFilledQuantity: 0,
+                averagePrice: 0,
+                lastUpdateTime: null
+            },
+            
+            // 已处理的订单ID集合
+            processedOrderIds: new Set(),
+            
+            // 脚本启动时间
+            scriptStartTime: new Date(),
+            
+            // 当前交易对
+            symbol: null
+        },
+        
+        // API密钥，第一次启动时从环境变量或加密密钥文件读取，重启交易周期时复用
+        credentials: null,
+        
+        // 交易对规则缓存（tickSize、stepSize、最小数量），main() 中创建并定期刷新
+        markets: null,
+        
+        // 当前交易对的本地订单簿，启动行情推送后创建
+        tradingOrderBook: null,
+        
+        // 行情推送缓存的最新成交价，按交易对保存；连接断开时清空
+        streamPrices: new Map(),
+        
+        // 当前交易周期的日志文件，main() 开始时设置
+        cycleLogFile: null
+    };
+}
 
 // 创建readline接口 - 自动模式下实际上不需要，但保留以防止错误
 const rl = readline.createInterface({
@@ -120,8 +152,51 @@ const rl = readline.createInterface({
     output: process.stdout
 });
 
+// 配置错误时的退出码，启动脚本收到后不再自动重启
+const CONFIG_ERROR_EXIT_CODE = 78;
+
+// 收到 SIGINT/SIGTERM 时的退出状态：有网格在运行时先让网格撤单后再退出，没有网格或再次收到信号时立即退出
+const shutdown = {
+    requested: false,
+    requestedAt: 0,
+    runningGrids: 0
+};
+
+function handleStopSignal(signal) {
+    // 终端的 Ctrl-C 和启动脚本转发的信号几乎同时到达，按同一次处理
+    if (shutdown.requested && Date.now() - shutdown.requestedAt < 2000) {
+        return;
+    }
+    if (shutdown.requested || shutdown.runningGrids === 0) {
+        process.exit(0);
+    }
+    shutdown.requested = true;
+    shutdown.requestedAt = Date.now();
+    log(`收到 ${signal}，撤销网格订单后退出，再次发送将立即退出...`);
+}
+
+// 读取当前账户的API密钥：环境变量、加密密钥文件，或明确允许时的配置文件明文密钥
+async function getCredentials() {
+    const account = currentAccount();
+    if (!account.credentials) {
+        account.credentials = await loadCredentials({
+            apiConfig: account.userConfig.api,
+            baseDir: path.dirname(configFilePath()),
+            // 多账户时读取带账户名前缀的环境变量，例如 BACKPACK_SUB1_PRIVATE_KEY
+            env: account.multiple ? profileEnv(account.name) : process.env,
+            // 没有设置口令环境变量时在终端询问口令
+            askPassphrase: process.stdin.isTTY
+                ? (file) => readSecret(`请输入密钥文件 ${file} 的口令: `, rl)
+                : undefined
+        });
+        log(`API密钥已加载: ${account.credentials}`);
+    }
+    return account.credentials;
+}
+
 // 读取用户输入的函数 - 自动模式下直接返回配置的值
 async function question(prompt) {
+    const { userConfig } = currentAccount();
     // 解析问题，返回对应的配置值
     if (prompt.includes('是否卖出所有非USDC资产')) {
         return userConfig.actions.sellNonUsdcAssets ? 'y' : 'n';
@@ -166,6 +241,18 @@ async function executeWithRetry(client, apiMethod, params, maxRetries = 3) {
                 log(`错误响应: ${JSON.stringify(error.response.body)}`, true);
             }
             
+            // 余额不足、参数错误等重试也不会成功的错误不再重试
+            if (!isRetryable(error)) {
+                log(`错误不可重试 (${error.name}${error.code ? `/${error.code}` : ''})，放弃重试`, true);
+                break;
+            }
+            
+            // 客户端内部已经按退避时间重试过，不再叠加重试
+            if (error.retriesExhausted) {
+                log('客户端已用完重试次数，放弃重试', true);
+                break;
+            }
+            
             // 如果还有重试机会，则等待后重试
             if (retries < maxRetries - 1) {
                 const waitMs = 1000 * Math.pow(2, retries);
@@ -176,109 +263,151 @@ async function executeWithRetry(client, apiMethod, params, maxRetries = 3) {
         }
     }
     
+    // API错误保留原始类型，方便调用方按错误类型处理
+    if (lastError instanceof BackpackApiError) {
+        throw lastError;
+    }
+    
     // 所有重试都失败了，抛出带有详细信息的错误
     throw new Error(`API请求失败，尝试了 ${maxRetries} 次: ${lastError?.message || '未知错误'}`);
 }
 
-// 调整数值精度
+// 启动行情推送，订阅交易对的ticker流，最新成交价缓存在当前账户的 streamPrices 中
+function startMarketStream(client, symbol) {
+    const { streamPrices } = currentAccount();
+    const stream = client.createMarketStream();
+    stream.on('ticker', (ticker) => {
+        streamPrices.set(ticker.symbol, parseFloat(ticker.lastPrice));
+    });
+    stream.on('open', () => log(`行情推送已连接: ${symbol}`));
+    stream.on('close', () => streamPrices.clear());
+    stream.on('reconnecting', ({ attempt, delay }) => {
+        log(`行情推送断开，${delay}ms 后第 ${attempt} 次重连`, true);
+    });
+    stream.on('error', (error) => log(`行情推送错误: ${error.message}`, true));
+    stream.subscribeTicker(symbol);
+    return stream;
+}
+
+// 获取最新成交价：优先使用行情推送，没有推送数据时回退到REST Ticker
+async function getLastPrice(client, symbol) {
+    const { streamPrices } = currentAccount();
+    if (streamPrices.has(symbol)) {
+        return streamPrices.get(symbol);
+    }
+    const ticker = await executeWithRetry(client, client.Ticker, { symbol });
+    return parseFloat(ticker.lastPrice);
+}
+
+// 计算能立即成交quantity的限价：按订单簿对手盘逐档累计，取最后吃到的价格，但不超过最新价乘以limitFactor
+// (卖出时为下限，买入时为上限)；订单簿不可用、深度不足或需要吃到更远的价格时按最新价乘以limitFactor定价，
+// IOC订单可能只部分成交
+async function getIocPrice(client, symbol, side, quantity, lastPrice, limitFactor) {
+    const { tradingOrderBook } = currentAccount();
+    const limitPrice = lastPrice * limitFactor;
+    const action = side === 'Ask' ? '卖出' : '买入';
+    let book = tradingOrderBook && tradingOrderBook.symbol === symbol && tradingOrderBook.isSynced()
+        ? tradingOrderBook
+        : null;
+    if (!book) {
+        try {
+            book = client.createOrderBook(symbol);
+            book.applySnapshot(await executeWithRetry(client, client.Depth, { symbol }));
+        } catch (error) {
+            log(`获取 ${symbol} 订单簿失败: ${error.message}`, true);
+            book = null;
+        }
+    }
+    const sweep = book ? book.sweep(side, quantity) : null;
+    if (!sweep) {
+        log(`${symbol} 订单簿深度不足，按最新价的 ${limitFactor} 倍定价，可能只部分成交`);
+        return limitPrice;
+    }
+    log(`订单簿估算: ${action} ${quantity} 均价=${sweep.averagePrice}, 最远成交价=${sweep.worstPrice}`);
+    if (side === 'Ask' ? sweep.worstPrice < limitPrice : sweep.worstPrice > limitPrice) {
+        log(`${symbol} 订单簿无法在最新价的 ${limitFactor} 倍(${limitPrice})以内${action} ${quantity}，${action}价限制为该价格，可能只部分成交`);
+        return limitPrice;
+    }
+    return sweep.worstPrice;
+}
+
+// 能立即卖出quantity的限价，不低于最新价乘以maxSlippageFactor
+async function getSellPrice(client, symbol, quantity, lastPrice, maxSlippageFactor) {
+    return getIocPrice(client, symbol, 'Ask', quantity, lastPrice, maxSlippageFactor);
+}
+
+// 能立即买入quantity的限价，不高于最新价乘以maxSlippageFactor
+async function getBuyPrice(client, symbol, quantity, lastPrice, maxSlippageFactor) {
+    return getIocPrice(client, symbol, 'Bid', quantity, lastPrice, maxSlippageFactor);
+}
+
+// 调整数值精度（十进制运算，避免 0.29 / 0.01 这类浮点误差）
 function adjustPrecision(value, precision) {
-    const multiplier = Math.pow(10, precision);
-    return Math.floor(value * multiplier) / multiplier;
+    return Decimal.from(value).floorToDecimals(precision).toNumber();
 }
 
-// 调整价格到tickSize，并根据交易对的精度要求进行处理
-function adjustPriceToTickSize(price, tradingCoin) {
-    const tickSize = config.priceTickSize;
-    // 获取该币种的价格精度
-    const precision = config.pricePrecisions[tradingCoin] || config.pricePrecisions.DEFAULT;
-    // 先向下取整到tickSize的倍数
-    const adjustedPrice = Math.floor(price / tickSize) * tickSize;
-    // 然后限制小数位数
-    return Number(adjustedPrice.toFixed(precision));
+// 价格向下取整到交易对的tickSize
+function adjustPriceToTickSize(price, symbol) {
+    return currentAccount().markets.roundPrice(symbol, price).toNumber();
 }
 
-// 调整数量到stepSize
-function adjustQuantityToStepSize(quantity, tradingCoin) {
-    const precision = config.quantityPrecisions[tradingCoin] || config.quantityPrecisions.DEFAULT;
-    const stepSize = Math.pow(10, -precision);
-    const adjustedQuantity = Math.floor(quantity / stepSize) * stepSize;
-    return Number(adjustedQuantity.toFixed(precision));
+// 数量向下取整到交易对的stepSize
+function adjustQuantityToStepSize(quantity, symbol) {
+    return currentAccount().markets.roundQuantity(symbol, quantity).toNumber();
 }
 
-// 计算递增订单
-function calculateIncrementalOrders(currentPrice, maxDropPercentage, totalAmount, orderCount, incrementPercentage, minOrderAmount, tradingCoin) {
+// 计算递增订单。各档的价格和相对金额由 strategies/ 中的阶梯形状决定(trading.ladderShape，默认 geometric)，
+// 最小订单金额的放大、按总金额缩小和精度调整对所有形状相同
+function calculateIncrementalOrders(currentPrice, maxDropPercentage, totalAmount, orderCount, incrementPercentage, minOrderAmount, symbol, shapeName = DEFAULT_LADDER_SHAPE) {
     const orders = [];
-    const quantityPrecision = config.quantityPrecisions[tradingCoin] || config.quantityPrecisions.DEFAULT;
     
-    // 计算价格区间
-    const lowestPrice = currentPrice * (1 - maxDropPercentage / 100);
-    const priceStep = (currentPrice - lowestPrice) / (orderCount - 1);
+    const levels = getLadderShape(shapeName).levels({
+        currentPrice,
+        maxDropPercentage,
+        orderCount,
+        incrementPercentage,
+        trading: currentAccount().userConfig.trading
+    });
+    if (!Array.isArray(levels) || levels.length === 0 ||
+        levels.some(level => !(level.price > 0) || !(level.weight > 0) || !Number.isFinite(level.weight))) {
+        throw new Error(`阶梯形状 ${shapeName} 返回的档位无效，价格和相对金额都必须为正数`);
+    }
     
-    // 计算基础订单金额（使用等比数列求和公式）
-    // 总金额 = 基础金额 * (1 + r + r^2 + ... + r^(n-1))
-    // 总金额 = 基础金额 * (1 - r^n) / (1 - r)
-    // 基础金额 = 总金额 * (1 - r) / (1 - r^n)
-    const r = 1 + incrementPercentage / 100; // 递增比例
+    // 验证输入
+    if (totalAmount < minOrderAmount * levels.length) {
+        throw new Error(`总投资金额太小，无法创建 ${levels.length} 个订单（每个订单最小金额: ${minOrderAmount.toFixed(2)} USDC）`);
+    }
     
-    // 确保基础订单金额不小于最小订单金额
-    const calculatedBaseAmount = totalAmount * (r - 1) / (Math.pow(r, orderCount) - 1);
-    const baseAmount = Math.max(minOrderAmount, calculatedBaseAmount);
+    // 按相对金额分配总金额：金额 = 单位金额 * weight
+    // 确保最小一档的金额不小于最小订单金额
+    const totalWeight = levels.reduce((sum, level) => sum + level.weight, 0);
+    const minWeight = Math.min(...levels.map(level => level.weight));
+    const unitAmount = Math.max(minOrderAmount / minWeight, totalAmount / totalWeight);
     
-    // 计算实际总金额
+    // 如果实际总金额超过用户输入的总金额，按比例缩小单位金额
+    const scale = Math.min(1, totalAmount / (unitAmount * totalWeight));
     let actualTotalAmount = 0;
-    for (let i = 0; i < orderCount; i++) {
-        actualTotalAmount += baseAmount * Math.pow(r, i);
-    }
     
-    // 如果实际总金额超过用户输入的总金额，按比例缩小基础金额
-    if (actualTotalAmount > totalAmount) {
-        const scale = totalAmount / actualTotalAmount;
-        actualTotalAmount = 0;
-        
-        // 创建订单
-        for (let i = 0; i < orderCount; i++) {
-            // 计算当前订单价格
-            const price = Number((currentPrice - (priceStep * i)).toFixed(config.pricePrecision));
-            
-            // 计算当前订单金额（递增并缩放）
-            const orderAmount = baseAmount * Math.pow(r, i) * scale;
-            
-            // 计算数量并调整精度
-            const quantity = adjustQuantityToStepSize(orderAmount / price, tradingCoin);
-            const actualAmount = Number((price * quantity).toFixed(2));
-            
-            // 只有当订单金额满足最小要求时才添加
-            if (actualAmount >= minOrderAmount) {
-                orders.push({
-                    price,
-                    quantity,
-                    amount: actualAmount
-                });
-                actualTotalAmount += actualAmount;
-            }
-        }
-    } else {
-        // 创建订单
-        for (let i = 0; i < orderCount; i++) {
-            // 计算当前订单价格
-            const price = Number((currentPrice - (priceStep * i)).toFixed(config.pricePrecision));
-            
-            // 计算当前订单金额（递增）
-            const orderAmount = baseAmount * Math.pow(r, i);
-            
-            // 计算数量并调整精度
-            const quantity = adjustQuantityToStepSize(orderAmount / price, tradingCoin);
-            const actualAmount = Number((price * quantity).toFixed(2));
-            
-            // 只有当订单金额满足最小要求时才添加
-            if (actualAmount >= minOrderAmount) {
-                orders.push({
-                    price,
-                    quantity,
-                    amount: actualAmount
-                });
-                actualTotalAmount += actualAmount;
-            }
+    // 创建订单
+    for (const level of levels) {
+        // 计算当前订单价格
+        const price = adjustPriceToTickSize(level.price, symbol);
+        
+        // 计算当前订单金额（按形状的相对金额并缩放）
+        const orderAmount = unitAmount * level.weight * scale;
+        
+        // 计算数量并调整精度
+        const quantity = adjustQuantityToStepSize(orderAmount / price, symbol);
+        const actualAmount = Number((price * quantity).toFixed(2));
+        
+        // 只有当订单金额满足最小要求时才添加
+        if (actualAmount >= minOrderAmount) {
+            orders.push({
+                price,
+                quantity,
+                amount: actualAmount
+            });
+            actualTotalAmount += actualAmount;
         }
     }
     
@@ -287,142 +416,51 @@ function calculateIncrementalOrders(currentPrice, maxDropPercentage, totalAmount
         throw new Error('无法生成有效订单，请检查输入参数');
     }
     
+    log(`阶梯形状: ${shapeName}（${getLadderShape(shapeName).description}）`);
     log(`计划总金额: ${totalAmount.toFixed(2)} USDC`);
     log(`实际总金额: ${actualTotalAmount.toFixed(2)} USDC`);
     
     return orders;
 }
 
-// 撤销所有未完成的订单
+// 按订单ID撤销该交易对所有未完成的买单。不使用按交易对批量撤单，以免撤掉止盈、maker 和网格的卖单
 async function cancelAllOrders(client) {
+    const { config } = currentAccount();
     try {
         log('正在获取未完成订单...');
-        // 使用client.getOpenOrders方法获取未完成订单
         const openOrders = await executeWithRetry(client, client.GetOpenOrders, { symbol: config.symbol });
         
-        if (!openOrders || openOrders.length === 0) {
-            log('没有未完成的订单需要撤销');
-            return;
-        }
-        
-        // 过滤出买入订单
-        const activeBuyOrders = openOrders.filter(order => order.side === 'Bid') || [];
+        // 过滤出买入订单，卖单和止损触发单保留
+        const activeBuyOrders = (openOrders || []).filter(order => order.side === 'Bid' && order.status !== 'TriggerPending');
         
         if (activeBuyOrders.length === 0) {
             log('没有未完成的买入订单需要撤销');
             return;
         }
         
-        log(`发现 ${activeBuyOrders.length} 个未完成买入订单，开始撤销...`);
-        log(`首个订单详情: ${JSON.stringify(activeBuyOrders[0])}`);
-        
-        // 尝试方法1: 使用CancelOpenOrders方法（这是backpack_client.js中实际存在的方法）
-        try {
-            log('尝试使用CancelOpenOrders方法撤销所有订单...');
-            await executeWithRetry(client, client.CancelOpenOrders, { symbol: config.symbol });
-            log('成功使用CancelOpenOrders撤销所有订单');
-            return;
-        } catch (error1) {
-            log(`使用CancelOpenOrders方法撤销失败: ${error1.message}，尝试下一种方法`, true);
-        }
-        
-        // 尝试方法2: 直接调用API端点而不是CancelAllOrders
-        try {
-            log('尝试使用privateMethod直接调用orderCancelAll端点...');
-            await client.privateMethod('orderCancelAll', { symbol: config.symbol });
-            log('成功通过privateMethod撤销所有订单');
-            return;
-        } catch (error2) {
-            log(`使用privateMethod撤销失败: ${error2.message}，尝试逐个撤销`, true);
-        }
+        log(`发现 ${activeBuyOrders.length} 个未完成买入订单，开始逐个撤销...`);
         
-        // 如果批量撤销方法都失败，则尝试逐个撤销
         for (const order of activeBuyOrders) {
+            if (!order.id) {
+                log(`找不到有效的订单ID，跳过: ${JSON.stringify(order)}`, true);
+                continue;
+            }
             try {
-                // 记录完整订单信息，用于调试
-                log(`处理订单: ${JSON.stringify(order)}`);
-                
-                // 尝试不同格式的订单ID
-                const orderId = order.id || order.orderId || order.order_id;
-                if (!orderId) {
-                    log('找不到有效的订单ID，跳过', true);
-                    continue;
-                }
-                
-                // 提取订单ID（数字和字符串形式）
-                const orderIdNumber = Number(orderId);
-                const orderIdString = String(orderId);
-                
-                // 记录将要使用的订单ID值
-                log(`将使用订单ID: ${orderId} (数字形式: ${orderIdNumber}, 字符串形式: ${orderIdString})`);
-                
-                // 尝试方法1: 直接使用私有方法
-                try {
-                    log(`尝试使用privateMethod直接调用orderCancel...`);
-                    await client.privateMethod('orderCancel', {
-                        symbol: config.symbol,
-                        orderId: orderIdNumber
-                    });
-                    log(`成功使用privateMethod撤销订单ID: ${orderId}`);
-                    continue;
-                } catch (error3) {
-                    log(`使用privateMethod撤销失败: ${error3.message}`, true);
-                }
-                
-                // 尝试方法2: 使用CancelOrder
-                try {
-                    log(`尝试使用CancelOrder和数字型ID撤销订单...`);
-                    await executeWithRetry(client, client.CancelOrder, {
-                        symbol: config.symbol,
-                        orderId: orderIdNumber
-                    });
-                    log(`成功使用CancelOrder撤销订单ID: ${orderId}`);
-                    continue;
-                } catch (error4) {
-                    log(`使用CancelOrder和数字型ID撤销失败: ${error4.message}`, true);
-                }
-                
-                // 尝试字符串类型ID
-                try {
-                    log(`尝试使用CancelOrder和字符串型ID撤销订单...`);
-                    await executeWithRetry(client, client.CancelOrder, {
-                        symbol: config.symbol,
-                        orderId: orderIdString
-                    });
-                    log(`成功使用CancelOrder和字符串ID撤销订单ID: ${orderId}`);
-                    continue;
-                } catch (error5) {
-                    log(`使用CancelOrder和字符串ID撤销失败: ${error5.message}`, true);
-                }
-                
-                // 尝试使用取消多个订单的API
-                try {
-                    log(`尝试使用privateMethod和orderIds数组...`);
-                    await client.privateMethod('orderCancel', {
-                        symbol: config.symbol,
-                        orderIds: [orderIdString]
-                    });
-                    log(`成功使用privateMethod和orderIds数组撤销订单ID: ${orderId}`);
-                    continue;
-                } catch (error6) {
-                    log(`使用privateMethod和orderIds数组撤销失败: ${error6.message}`, true);
-                }
-                
-                // 所有尝试都失败了
-                log(`无法撤销订单ID: ${orderId}，尝试了所有可能的方法都失败`, true);
-                
+                // 订单ID始终按字符串传递，转成数字会让较大的ID失真
+                await executeWithRetry(client, client.CancelOrder, {
+                    symbol: config.symbol,
+                    orderId: String(order.id)
+                });
+                log(`成功撤销订单ID: ${order.id}`);
             } catch (cancelError) {
-                log(`撤销订单时发生错误: ${cancelError.message}`, true);
+                log(`撤销订单ID ${order.id} 失败: ${cancelError.message}`, true);
                 if (cancelError.response?.body) {
                     log(`撤销订单错误详情: ${JSON.stringify(cancelError.response.body)}`, true);
                 }
             }
-            
-            // 添加延迟避免API限制
-            await new Promise(resolve => setTimeout(resolve, 500));
         }
         
-        log('所有订单撤销操作完成或已尝试');
+        log('所有买单撤销操作完成或已尝试');
     } catch (error) {
         log(`撤销订单时发生错误: ${error.message}`, true);
         if (error.response?.body) {
@@ -432,48 +470,37 @@ async function cancelAllOrders(client) {
     }
 }
 
-// 创建买入订单
-async function createBuyOrder(client, symbol, price, quantity, tradingCoin) {
+// 创建买入订单，stopLoss 为 { triggerPrice, limitPrice } 时附带交易所止损单，成交的数量在触发价自动卖出
+async function createBuyOrder(client, symbol, price, quantity, stopLoss = null) {
+    const { markets } = currentAccount();
     try {
-        const quantityPrecision = config.quantityPrecisions[tradingCoin] || config.quantityPrecisions.DEFAULT;
-        
-        // 调整价格的精度
-        const adjustedPrice = adjustPriceToTickSize(price, tradingCoin);
-        
         const orderParams = {
             symbol: symbol,
             side: 'Bid',           // 买入
             orderType: 'Limit',    // 限价单
-            price: adjustedPrice.toString(),  // 使用已调整的价格
-            quantity: quantity.toFixed(quantityPrecision),
+            price: markets.formatPrice(symbol, price),          // 按交易对的tickSize取整
+            quantity: markets.formatQuantity(symbol, quantity), // 按交易对的stepSize取整
             timeInForce: 'GTC'     // Good Till Cancel
         };
-        
-        // 特殊处理BTC
-        if (tradingCoin === 'BTC') {
-            log('BTC交易检测，额外调整精度...');
-            // 检查数量精度
-            const btcQuantityStr = orderParams.quantity;
-            if (btcQuantityStr.split('.')[1] && btcQuantityStr.split('.')[1].length > 5) {
-                orderParams.quantity = parseFloat(btcQuantityStr).toFixed(5);
-                log(`调整BTC数量精度为5位小数: ${orderParams.quantity}`);
+        if (stopLoss) {
+            orderParams.stopLossTriggerPrice = markets.formatPrice(symbol, stopLoss.triggerPrice);
+            // 没有限价时止损单按市价卖出
+            if (stopLoss.limitPrice) {
+                orderParams.stopLossLimitPrice = markets.formatPrice(symbol, stopLoss.limitPrice);
             }
-            
-            // 确保价格是整数
-            orderParams.price = Math.floor(parseFloat(orderParams.price)).toString();
-            log(`调整BTC价格为整数: ${orderParams.price}`);
         }
         
         log(`发送订单参数: ${JSON.stringify(orderParams)}`);
         
-        const response = await executeWithRetry(client, client.ExecuteOrder, orderParams);
+        // placeOrder带clientId，失败重试前先按clientId核对订单，避免重复挂单
+        const response = await client.placeOrder(orderParams);
         log(`API响应: ${JSON.stringify(response)}`);
         
         if (response && response.id) {
             log(`买入订单创建成功: 订单ID=${response.id}`);
             
-            // 计算并添加订单金额信息，确保有数据可以统计
-            if (!response.filledAmount && response.price && response.quantity) {
+            // 计算并添加订单金额信息，确保有数据可以统计（decimal模式下数值为Decimal对象，需按数值判断）
+            if (!parseFloat(response.filledAmount || 0) && response.price && response.quantity) {
                 response.filledAmount = (parseFloat(response.price) * parseFloat(response.quantity)).toString();
                 response.filledQuantity = response.quantity;
             }
@@ -493,8 +520,41 @@ async function createBuyOrder(client, symbol, price, quantity, tradingCoin) {
     }
 }
 
+// 创建限价卖出订单，与买入订单一样计入挂单次数和交易周期日志（卖出不计入成交统计）
+async function createSellOrder(client, symbol, price, quantity) {
+    const { config, markets, cycleLogFile } = currentAccount();
+    try {
+        const orderParams = {
+            symbol: symbol,
+            side: 'Ask',           // 卖出
+            orderType: 'Limit',    // 限价单
+            price: markets.formatPrice(symbol, price),
+            quantity: markets.formatQuantity(symbol, quantity),
+            timeInForce: 'GTC'
+        };
+        
+        log(`发送订单参数: ${JSON.stringify(orderParams)}`);
+        const response = await client.placeOrder(orderParams);
+        if (!response || !response.id) {
+            throw new Error('订单创建失败：响应中没有订单ID');
+        }
+        log(`卖出订单创建成功: 订单ID=${response.id}`);
+        
+        config.stats.totalOrders++;
+        config.stats.lastUpdateTime = new Date();
+        if (cycleLogFile) {
+            logOrderToCycle(cycleLogFile, response, config);
+        }
+        return response;
+    } catch (error) {
+        log(`创建卖出订单失败: ${error.message}`, true);
+        throw error;
+    }
+}
+
 // 更新统计信息
 function updateStats(order) {
+    const { config, cycleLogFile } = currentAccount();
     config.stats.totalOrders++;
     
     // 确保有成交信息再更新成交统计
@@ -529,17 +589,34 @@ function updateStats(order) {
     
     config.stats.lastUpdateTime = new Date();
     
-    // 更新交易周期统计
-    updateCycleStats(order, config);
-    
     // 记录订单信息到周期日志
     if (cycleLogFile) {
         logOrderToCycle(cycleLogFile, order, config);
     }
 }
 
+// 记录订单到交易周期日志
+function logOrderToCycle(file, order, config) {
+    const line = `[${new Date().toISOString()}] 订单ID=${order.id}, 方向=${order.side}, 价格=${order.price}, 数量=${order.quantity}, 状态=${order.status}, ` +
+        `累计成交=${config.stats.filledOrders}笔, 均价=${config.stats.averagePrice.toFixed(2)}`;
+    fs.appendFileSync(file, line + '\n', { encoding: 'utf8' });
+}
+
+// 订单创建时间：订单历史返回不带时区的UTC时间字符串，挂单接口返回毫秒时间戳
+function orderCreatedAt(order) {
+    const value = order.createdAt;
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'string' && !/(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+        return new Date(`${value}Z`);
+    }
+    return new Date(Number(value));
+}
+
 // 显示统计信息
 function displayStats() {
+    const { config } = currentAccount();
     log('\n=== 订单统计信息 ===');
     log(`总挂单次数: ${config.stats.totalOrders}`);
     log(`已成交订单: ${config.stats.filledOrders}`);
@@ -586,6 +663,7 @@ async function getPosition(client, symbol) {
 
 // 查询订单历史并更新统计
 async function queryOrdersAndUpdateStats(client, symbol) {
+    const { config } = currentAccount();
     try {
         log('查询当前交易周期新成交的订单...');
         
@@ -597,14 +675,15 @@ async function queryOrdersAndUpdateStats(client, symbol) {
             averagePrice: config.stats.averagePrice
         };
         
-        // 使用正确的API方法获取订单历史
+        // 逐页读取本次脚本启动后的订单历史，订单多于一页时也不会漏掉成交
         let orders = [];
         try {
-            // 直接使用privateMethod调用orderHistoryQueryAll，不尝试GetOrderHistory
-            log('使用privateMethod调用orderHistoryQueryAll获取订单历史...');
-            orders = await client.privateMethod('orderHistoryQueryAll', { symbol });
+            log('逐页查询本次交易周期的订单历史...');
+            for await (const order of client.iterateOrderHistory({ symbol }, { from: config.scriptStartTime })) {
+                orders.push(order);
+            }
         } catch (error) {
-            log(`privateMethod调用失败: ${error.message}，尝试其他方法`, true);
+            log(`查询订单历史失败: ${error.message}，尝试其他方法`, true);
             
             try {
                 log('尝试使用GetOpenOrders获取未完成订单...');
@@ -636,14 +715,8 @@ async function queryOrdersAndUpdateStats(client, symbol) {
             const isFilledOrder = order.status === 'Filled' || order.status === 'PartiallyFilled';
             
             // 检查订单创建时间是否在脚本启动后
-            let isRecentOrder = false;
-            if (order.createTime) {
-                const createTime = new Date(order.createTime);
-                isRecentOrder = createTime >= config.scriptStartTime;
-            } else if (order.timestamp) {
-                const createTime = new Date(order.timestamp);
-                isRecentOrder = createTime >= config.scriptStartTime;
-            }
+            const createTime = orderCreatedAt(order);
+            const isRecentOrder = createTime !== null && createTime >= config.scriptStartTime;
             
             // 检查是否已经处理过这个订单
             const isProcessed = config.processedOrderIds.has(order.id);
@@ -661,8 +734,8 @@ async function queryOrdersAndUpdateStats(client, symbol) {
         
         // 添加新成交的订单到统计
         for (const order of recentFilledBuyOrders) {
-            const filledAmount = parseFloat(order.filledAmount || 0);
-            const filledQuantity = parseFloat(order.filledQuantity || 0);
+            const filledAmount = parseFloat(order.executedQuoteQuantity ?? 0);
+            const filledQuantity = parseFloat(order.executedQuantity ?? 0);
             
             log(`处理新成交订单: ID=${order.id}, 成交金额=${filledAmount}, 成交数量=${filledQuantity}`);
             
@@ -705,6 +778,7 @@ async function queryOrdersAndUpdateStats(client, symbol) {
 
 // 检查止盈条件
 async function checkTakeProfit(client, symbol, tradingCoin, takeProfitPercentage) {
+    const { config } = currentAccount();
     try {
         // 首先检查是否有持仓
         const position = await getPosition(client, symbol);
@@ -714,8 +788,7 @@ async function checkTakeProfit(client, symbol, tradingCoin, takeProfitPercentage
         }
 
         // 获取当前市场价格
-        const ticker = await executeWithRetry(client, client.Ticker, { symbol: symbol });
-        const currentPrice = parseFloat(ticker.lastPrice);
+        const currentPrice = await getLastPrice(client, symbol);
         
         // 检查我们是否有实际成交订单的均价数据
         if (isNaN(config.stats.averagePrice) || config.stats.averagePrice <= 0 || config.stats.filledOrders === 0) {
@@ -754,8 +827,427 @@ async function checkTakeProfit(client, symbol, tradingCoin, takeProfitPercentage
     }
 }
 
+// K线周期对应的秒数，ATR按该周期的K线计算
+const KLINE_INTERVAL_SECONDS = {
+    '1m': 60, '3m': 180, '5m': 300, '15m': 900, '30m': 1800,
+    '1h': 3600, '2h': 7200, '4h': 14400, '6h': 21600, '12h': 43200, '1d': 86400
+};
+
+// 平均真实波幅(ATR)：最近 period 根K线真实波幅的简单平均，K线不足两根时返回null
+async function getAtr(client, symbol, interval, period) {
+    const seconds = KLINE_INTERVAL_SECONDS[interval];
+    if (!seconds) {
+        throw new Error(`不支持的K线周期: ${interval}`);
+    }
+    const startTime = Math.floor(Date.now() / 1000) - seconds * (period + 2);
+    const klines = await executeWithRetry(client, client.KLines, { symbol, interval, startTime });
+    const candles = (klines || [])
+        .filter(kline => kline.high !== undefined && kline.low !== undefined && kline.close !== undefined)
+        .map(kline => ({ high: parseFloat(kline.high), low: parseFloat(kline.low), close: parseFloat(kline.close) }));
+    if (candles.length < 2) {
+        return null;
+    }
+    const trueRanges = [];
+    for (let i = 1; i < candles.length; i++) {
+        const { high, low } = candles[i];
+        const previousClose = candles[i - 1].close;
+        trueRanges.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+    }
+    const recent = trueRanges.slice(-period);
+    return recent.reduce((sum, range) => sum + range, 0) / recent.length;
+}
+
+// 追踪止盈的回撤距离(USDC)：设置了 atrMultiple 时为 ATR 的倍数，否则为最高价的 percentage%
+// ATR 按K线周期缓存，取不到时回退为百分比
+async function getTrailingDistance(client, symbol, highWaterMark, trail) {
+    const { userConfig } = currentAccount();
+    const trailing = userConfig.trading.trailingTakeProfit || {};
+    const percentage = parseFloat(trailing.percentage ?? 1);
+    const atrMultiple = parseFloat(trailing.atrMultiple || 0);
+    if (atrMultiple > 0) {
+        const interval = trailing.atrInterval || '5m';
+        const period = parseInt(trailing.atrPeriod || 14);
+        const cacheKey = `${interval}/${period}`;
+        if (!trail.atr || trail.atr.key !== cacheKey || Date.now() - trail.atr.time > KLINE_INTERVAL_SECONDS[interval] * 1000) {
+            try {
+                trail.atr = { key: cacheKey, time: Date.now(), value: await getAtr(client, symbol, interval, period) };
+            } catch (error) {
+                log(`计算ATR失败: ${error.message}`, true);
+                trail.atr = null;
+            }
+        }
+        if (trail.atr && trail.atr.value > 0) {
+            return { distance: trail.atr.value * atrMultiple, description: `${atrMultiple} 倍ATR(${interval}, ${period})=${trail.atr.value.toFixed(4)}` };
+        }
+        log(`ATR不可用，按回撤 ${percentage}% 计算`, true);
+    }
+    return { distance: highWaterMark * percentage / 100, description: `回撤 ${percentage}%` };
+}
+
+// 追踪止盈：涨幅达到 takeProfitPercentage 后开始跟踪最高价，价格从最高价回撤到设定距离时卖出
+// trail 保存跟踪状态 { armed, highWaterMark, atr }，由监控循环持有
+async function checkTrailingTakeProfit(client, symbol, tradingCoin, takeProfitPercentage, trail) {
+    try {
+        if (!trail.armed) {
+            if (!await checkTakeProfit(client, symbol, tradingCoin, takeProfitPercentage)) {
+                return false;
+            }
+            trail.armed = true;
+            trail.highWaterMark = 0;
+            log(`***** 达到止盈目标，开始追踪最高价，回撤后卖出 *****`);
+        }
+        
+        // 持仓已经不在（例如被止损单卖出），停止追踪
+        const position = await getPosition(client, symbol);
+        if (!position || parseFloat(position.quantity) <= 0) {
+            log('当前没有持仓，停止追踪止盈');
+            trail.armed = false;
+            return false;
+        }
+        
+        const currentPrice = await getLastPrice(client, symbol);
+        if (currentPrice > trail.highWaterMark) {
+            trail.highWaterMark = currentPrice;
+        }
+        const { distance, description } = await getTrailingDistance(client, symbol, trail.highWaterMark, trail);
+        const exitPrice = trail.highWaterMark - distance;
+        log(`追踪止盈: 当前价格=${currentPrice.toFixed(2)} USDC, 最高价=${trail.highWaterMark.toFixed(2)} USDC, ` +
+            `${description}, 卖出价=${exitPrice.toFixed(2)} USDC`);
+        
+        if (currentPrice <= exitPrice) {
+            log(`***** 价格从最高价 ${trail.highWaterMark.toFixed(2)} 回撤到 ${currentPrice.toFixed(2)}，触发追踪止盈 *****`);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        log(`检查追踪止盈失败: ${error.message}`, true);
+        return false;
+    }
+}
+
+// 持有的交易币数量：可用余额加上挂在卖单中冻结的数量
+async function getHeldQuantity(client, symbol) {
+    const balances = await executeWithRetry(client, client.Balance);
+    const balance = balances && balances[symbol.split('_')[0]];
+    if (!balance) {
+        return 0;
+    }
+    return parseFloat(balance.available) + parseFloat(balance.locked);
+}
+
+// 读取并检查止盈阶梯：[{ percentage, portion }]，percentage 为相对均价的涨幅，portion 为卖出持仓的百分比，
+// 涨幅逐档递增，最后一档卖出剩余的全部持仓(不需要 portion)
+function loadTakeProfitLadder() {
+    const { userConfig } = currentAccount();
+    const levels = userConfig.trading.takeProfitLadder;
+    if (!Array.isArray(levels) || levels.length === 0) {
+        throw new Error('takeProfitMode 为 ladder 时需要设置 trading.takeProfitLadder');
+    }
+    let previousPercentage = 0;
+    let totalPortion = 0;
+    return levels.map((level, index) => {
+        const percentage = parseFloat(level.percentage);
+        if (!(percentage > previousPercentage)) {
+            throw new Error(`止盈阶梯的涨幅必须为正数且逐档递增: ${JSON.stringify(level)}`);
+        }
+        previousPercentage = percentage;
+        if (index === levels.length - 1) {
+            return { percentage, portion: null };
+        }
+        const portion = parseFloat(level.portion);
+        totalPortion += portion;
+        if (!(portion > 0) || totalPortion >= 100) {
+            throw new Error(`止盈阶梯除最后一档外的卖出比例必须为正数且合计小于100%: ${JSON.stringify(level)}`);
+        }
+        return { percentage, portion };
+    });
+}
+
+// 按均价把持仓分配到止盈阶梯的各档。数量或金额不满足下单要求的档位并入下一档，最后一档不满足时并入上一档
+function calculateTakeProfitLadder(levels, averagePrice, positionQuantity, symbol) {
+    const { markets } = currentAccount();
+    const orders = [];
+    let remaining = Decimal.from(positionQuantity);
+    let carried = 0;
+    levels.forEach((level, index) => {
+        const price = adjustPriceToTickSize(averagePrice * (1 + level.percentage / 100), symbol);
+        const quantity = level.portion === null
+            ? adjustQuantityToStepSize(remaining, symbol)
+            : Math.min(adjustQuantityToStepSize(positionQuantity * level.portion / 100 + carried, symbol), remaining.toNumber());
+        if (markets.checkOrder(symbol, price, quantity).length > 0) {
+            carried = quantity;
+            if (level.portion === null && orders.length > 0) {
+                const previous = orders[orders.length - 1];
+                previous.quantity = adjustQuantityToStepSize(Decimal.from(previous.quantity).plus(quantity), symbol);
+            }
+            return;
+        }
+        carried = 0;
+        remaining = remaining.minus(quantity);
+        orders.push({ level: index + 1, percentage: level.percentage, price, quantity });
+    });
+    return orders;
+}
+
+// 从订单历史读取已结束的止盈卖单的成交数量，计入阶梯的已卖出统计和交易周期日志
+async function settleLadderOrders(client, symbol, tradingCoin, ladder, orders) {
+    const { config, cycleLogFile } = currentAccount();
+    const ids = new Set(orders.map(order => String(order.id)));
+    const finished = new Map();
+    for await (const order of client.iterateOrderHistory({ symbol }, { from: config.scriptStartTime })) {
+        if (ids.has(String(order.id))) {
+            finished.set(String(order.id), order);
+        }
+    }
+    for (const order of orders) {
+        const result = finished.get(String(order.id));
+        const quantity = parseFloat(result?.executedQuantity ?? 0);
+        const amount = parseFloat(result?.executedQuoteQuantity ?? 0);
+        ladder.soldQuantity += quantity;
+        ladder.soldAmount += amount;
+        log(`止盈阶梯第 ${order.level} 档卖单#${order.id} ${result ? result.status : '已结束'}: 成交 ${quantity} ${tradingCoin}，金额 ${amount.toFixed(2)} USDC`);
+        if (result && cycleLogFile) {
+            logOrderToCycle(cycleLogFile, result, config);
+        }
+    }
+}
+
+// post-only 订单会立即成交而被拒绝，交易所返回 INVALID_ORDER: "Order would immediately match and take."
+function isPostOnlyCrossError(error) {
+    return error instanceof InvalidRequestError &&
+        error.code === 'INVALID_ORDER' &&
+        /would immediately match/i.test(error.body?.message ?? error.message);
+}
+
+// 按订单ID撤销止盈阶梯的卖单，撤销前已经部分成交的数量计入已卖出
+async function cancelLadderOrders(client, symbol, tradingCoin, ladder) {
+    for (const order of ladder.orders) {
+        try {
+            await executeWithRetry(client, client.CancelOrder, { symbol, orderId: String(order.id) });
+        } catch (error) {
+            log(`撤销止盈卖单#${order.id}失败: ${error.message}`, true);
+        }
+    }
+    await settleLadderOrders(client, symbol, tradingCoin, ladder, ladder.orders);
+    ladder.orders = [];
+}
+
+// 维护止盈阶梯的限价卖单：成交数量或均价变化(新的买单成交)、阶梯配置变化时撤销旧卖单，重新挂单。
+// 只卖出本交易周期买入的数量(成交数量减去已卖出的数量)，账户中原有的交易币不会被卖出。
+// ladder 保存本交易周期的阶梯状态 { orders, averagePrice, filledQuantity, levelsKey, soldQuantity, soldAmount, crossed }，由监控循环持有。
+// postOnly 时卖单只做maker，价格已经超过止盈价而被拒绝时设置 ladder.crossed，其他下单错误直接抛出。
+// 阶梯已挂出且持仓全部卖出时返回true
+async function updateTakeProfitLadder(client, symbol, tradingCoin, levels, ladder, postOnly = false) {
+    const { config, markets, cycleLogFile } = currentAccount();
+    const market = await markets.ensure(symbol);
+    const minQuantity = market.minQuantity.toNumber();
+    
+    // 已经不在挂单列表中的卖单视为结束(成交或被撤销)
+    if (ladder.orders.length > 0) {
+        const openOrders = await executeWithRetry(client, client.GetOpenOrders, { symbol });
+        const openIds = new Set((openOrders || []).map(order => String(order.id)));
+        const finished = ladder.orders.filter(order => !openIds.has(String(order.id)));
+        if (finished.length > 0) {
+            ladder.orders = ladder.orders.filter(order => openIds.has(String(order.id)));
+            await settleLadderOrders(client, symbol, tradingCoin, ladder, finished);
+            log(`止盈卖单已卖出 ${ladder.soldQuantity.toFixed(6)} ${tradingCoin}，金额 ${ladder.soldAmount.toFixed(2)} USDC，剩余 ${ladder.orders.length} 档卖单`);
+        }
+    }
+    
+    // 本交易周期买入、还没有卖出的数量。买入手续费按交易币收取时余额少于成交数量，同时按持有数量判断
+    const filledQuantity = config.stats.totalFilledQuantity;
+    const unsoldQuantity = filledQuantity - ladder.soldQuantity;
+    if (unsoldQuantity < minQuantity || await getHeldQuantity(client, symbol) < minQuantity) {
+        // 挂出过阶梯后本交易周期买入的数量全部卖出，本交易周期完成
+        return ladder.averagePrice > 0;
+    }
+    
+    const averagePrice = config.stats.averagePrice;
+    if (!(averagePrice > 0)) {
+        return false;
+    }
+    const levelsKey = JSON.stringify(levels);
+    const unchanged = ladder.orders.length > 0 &&
+        Math.abs(ladder.filledQuantity - filledQuantity) < 1e-12 &&
+        Math.abs(ladder.averagePrice - averagePrice) < 1e-9 &&
+        ladder.levelsKey === levelsKey;
+    if (unchanged) {
+        return false;
+    }
+    
+    // 撤销旧卖单，撤销前已经部分成交的数量计入已卖出
+    if (ladder.orders.length > 0) {
+        log(`成交数量、均价或止盈阶梯已变化，撤销 ${ladder.orders.length} 个旧的止盈卖单后重新挂单`);
+        await cancelLadderOrders(client, symbol, tradingCoin, ladder);
+    }
+    
+    // 按撤单后还没有卖出的成交数量重新分配，不超过可用余额
+    const position = await getPosition(client, symbol);
+    const available = Math.min(filledQuantity - ladder.soldQuantity, position ? parseFloat(position.quantity) : 0);
+    const plan = calculateTakeProfitLadder(levels, averagePrice, available, symbol);
+    if (plan.length === 0) {
+        log(`可卖出的 ${available} ${tradingCoin} 不满足最小下单要求，暂不挂止盈卖单`);
+        return false;
+    }
+    log(`\n=== 止盈卖单 (均价 ${averagePrice.toFixed(2)} USDC，本周期持仓 ${available} ${tradingCoin}) ===`);
+    for (const order of plan) {
+        try {
+            const response = await client.placeOrder({
+                symbol,
+                side: 'Ask',
+                orderType: 'Limit',
+                price: markets.formatPrice(symbol, order.price),
+                quantity: markets.formatQuantity(symbol, order.quantity),
+                timeInForce: 'GTC',
+                ...(postOnly ? { postOnly: true } : {})
+            });
+            ladder.orders.push({ ...order, id: response.id });
+            log(`第 ${order.level} 档: 涨幅 ${order.percentage}%，价格=${order.price} USDC，数量=${order.quantity} ${tradingCoin}，订单ID=${response.id}`);
+            if (cycleLogFile) {
+                logOrderToCycle(cycleLogFile, response, config);
+            }
+        } catch (error) {
+            if (postOnly) {
+                if (!isPostOnlyCrossError(error)) {
+                    throw error;
+                }
+                ladder.crossed = true;
+            }
+            log(`挂止盈阶梯第 ${order.level} 档卖单失败: ${error.message}`, true);
+        }
+    }
+    ladder.averagePrice = averagePrice;
+    ladder.filledQuantity = filledQuantity;
+    ladder.levelsKey = levelsKey;
+    return false;
+}
+
+// 持仓已经卖出后撤销本交易周期的买单附带的、还没有触发的交易所止损单。
+// 只撤销触发价与本周期止损价相同、在本周期开始后创建的卖出触发单，手动挂的止损或止盈触发单保留
+async function cancelStopLossTriggerOrders(client, symbol, triggerStopLoss) {
+    const { config } = currentAccount();
+    try {
+        const openOrders = await executeWithRetry(client, client.GetOpenOrders, { symbol });
+        const triggerPrice = Decimal.from(triggerStopLoss.triggerPrice);
+        const triggers = (openOrders || []).filter(order => {
+            const createTime = orderCreatedAt(order);
+            return order.side === 'Ask' &&
+                order.triggerPrice !== undefined && order.triggerPrice !== null &&
+                triggerPrice.eq(order.triggerPrice) &&
+                createTime !== null && createTime >= config.scriptStartTime;
+        });
+        if (triggers.length === 0) {
+            log('没有未触发的止损单需要撤销');
+            return;
+        }
+        for (const order of triggers) {
+            try {
+                await executeWithRetry(client, client.CancelOrder, { symbol, orderId: String(order.id) });
+                log(`已撤销未触发的止损单#${order.id}`);
+            } catch (error) {
+                log(`撤销止损单#${order.id}失败: ${error.message}`, true);
+            }
+        }
+    } catch (error) {
+        log(`撤销止损单失败: ${error.message}`, true);
+    }
+}
+
+// 读取并检查止损配置，未启用时返回null
+// reference: lowestOrder 以最低一档买单价格为基准，averageCost 以实际成交均价为基准
+function loadStopLossConfig() {
+    const { userConfig } = currentAccount();
+    const stopLoss = userConfig.stopLoss || {};
+    if (!stopLoss.enabled) {
+        return null;
+    }
+    const reference = stopLoss.reference || 'lowestOrder';
+    if (reference !== 'lowestOrder' && reference !== 'averageCost') {
+        throw new Error(`stopLoss.reference 只能是 lowestOrder 或 averageCost: ${reference}`);
+    }
+    const percentage = parseFloat(stopLoss.percentage);
+    if (!(percentage > 0 && percentage < 100)) {
+        throw new Error(`stopLoss.percentage 必须在 0 到 100 之间: ${stopLoss.percentage}`);
+    }
+    const limitOffsetPercentage = parseFloat(stopLoss.limitOffsetPercentage || 0);
+    if (!(limitOffsetPercentage >= 0 && limitOffsetPercentage < 100)) {
+        throw new Error(`stopLoss.limitOffsetPercentage 必须在 0 到 100 之间: ${stopLoss.limitOffsetPercentage}`);
+    }
+    return {
+        reference,
+        percentage,
+        limitOffsetPercentage,
+        // 交易所止损单的触发价在下单时就要确定，只有按最低一档买单计算时可用
+        useTriggerOrders: stopLoss.useTriggerOrders !== false && reference === 'lowestOrder',
+        restartAfterStopLoss: stopLoss.restartAfterStopLoss === true
+    };
+}
+
+// 计算止损价格；按成交均价计算且还没有成交时返回null
+function calculateStopLossPrice(stopLoss, lowestOrderPrice, symbol) {
+    const { config } = currentAccount();
+    const referencePrice = stopLoss.reference === 'averageCost' ? config.stats.averagePrice : lowestOrderPrice;
+    if (!(referencePrice > 0)) {
+        return null;
+    }
+    return adjustPriceToTickSize(referencePrice * (1 - stopLoss.percentage / 100), symbol);
+}
+
+// 检查止损条件。本地监控是交易所止损单的兜底：价格跌破止损价，或交易所止损单已经卖出了持仓时触发
+async function checkStopLoss(client, symbol, tradingCoin, stopLossPrice, triggerOrdersPlaced) {
+    const { config } = currentAccount();
+    try {
+        // 持仓可能挂在止盈阶梯的卖单中，按可用加冻结的数量判断
+        if (await getHeldQuantity(client, symbol) <= 0) {
+            if (triggerOrdersPlaced && config.stats.filledOrders > 0) {
+                log(`***** 已成交的 ${tradingCoin} 持仓已被交易所止损单卖出 *****`);
+                return true;
+            }
+            return false;
+        }
+        
+        const currentPrice = await getLastPrice(client, symbol);
+        if (currentPrice > stopLossPrice) {
+            return false;
+        }
+        log(`***** 达到止损条件！当前价格 ${currentPrice.toFixed(2)} USDC 已跌破止损价 ${stopLossPrice} USDC *****`);
+        return true;
+    } catch (error) {
+        log(`检查止损条件失败: ${error.message}`, true);
+        return false;
+    }
+}
+
+// 执行止损：撤销剩余的买单、本交易周期的交易所止损单和止盈卖单，再卖出全部持仓。持仓已清空时返回true。
+// triggerStopLoss 为买单附带的止损 { triggerPrice, limitPrice }，没有附带时为null
+// 只按订单ID撤销本程序的订单，不是本程序挂出的卖单保留
+async function executeStopLoss(client, symbol, tradingCoin, ladder, triggerStopLoss) {
+    const { markets } = currentAccount();
+    log(`撤销 ${symbol} 剩余的买单和止损单...`);
+    await cancelAllOrders(client);
+    if (triggerStopLoss) {
+        await cancelStopLossTriggerOrders(client, symbol, triggerStopLoss);
+    }
+    if (ladder.orders.length > 0) {
+        log(`撤销 ${ladder.orders.length} 个止盈卖单...`);
+        try {
+            await cancelLadderOrders(client, symbol, tradingCoin, ladder);
+        } catch (error) {
+            log(`撤销止盈卖单失败: ${error.message}，继续卖出持仓`, true);
+        }
+    }
+    
+    await sellAllPosition(client, symbol, tradingCoin);
+    
+    // 剩余数量不足最小下单量时无法再卖出，视为已经清仓
+    const position = await getPosition(client, symbol);
+    const market = await markets.ensure(symbol);
+    return !position || parseFloat(position.quantity) < market.minQuantity.toNumber();
+}
+
 // 市价卖出所有持仓（改为限价单）
 async function sellAllPosition(client, symbol, tradingCoin) {
+    const { markets } = currentAccount();
     try {
         // 获取当前持仓情况
         const position = await getPosition(client, symbol);
@@ -764,22 +1256,18 @@ async function sellAllPosition(client, symbol, tradingCoin) {
             return null;
         }
 
-        // 获取数量精度
-        const quantityPrecision = config.quantityPrecisions[tradingCoin] || config.quantityPrecisions.DEFAULT;
-        
         // 调整数量精度
-        const quantity = adjustQuantityToStepSize(parseFloat(position.quantity), tradingCoin);
+        const quantity = adjustQuantityToStepSize(position.quantity, symbol);
         if (quantity <= 0) {
             log('可卖出数量太小，无法执行卖出操作');
             return null;
         }
 
         // 获取当前市场价格以设置限价
-        const ticker = await executeWithRetry(client, client.Ticker, { symbol });
-        const currentPrice = parseFloat(ticker.lastPrice);
+        const currentPrice = await getLastPrice(client, symbol);
         
-        // 设置卖出价格略低于市场价（确保能够成交），使用正确的价格精度
-        const sellPrice = adjustPriceToTickSize(currentPrice * 0.995, tradingCoin);
+        // 根据订单簿买盘设置能够成交的卖出价格，使用正确的价格精度
+        const sellPrice = adjustPriceToTickSize(await getSellPrice(client, symbol, quantity, currentPrice, 0.995), symbol);
         
         log(`准备卖出: ${quantity} ${tradingCoin}, 当前市场价=${currentPrice}, 卖出价=${sellPrice}`);
 
@@ -788,28 +1276,13 @@ async function sellAllPosition(client, symbol, tradingCoin) {
             symbol: symbol,
             side: 'Ask',           // 卖出
             orderType: 'Limit',    // 限价单
-            quantity: quantity.toFixed(quantityPrecision),
-            price: sellPrice.toString(),  // 使用toString避免可能的自动四舍五入
+            quantity: markets.formatQuantity(symbol, quantity),
+            price: markets.formatPrice(symbol, sellPrice),
             timeInForce: 'IOC'     // Immediate-or-Cancel
         };
 
-        // 特殊处理BTC
-        if (tradingCoin === 'BTC') {
-            log('BTC交易检测，额外调整精度...');
-            // 检查数量精度
-            const btcQuantityStr = orderParams.quantity;
-            if (btcQuantityStr.split('.')[1] && btcQuantityStr.split('.')[1].length > 5) {
-                orderParams.quantity = parseFloat(btcQuantityStr).toFixed(5);
-                log(`调整BTC数量精度为5位小数: ${orderParams.quantity}`);
-            }
-            
-            // 确保价格是整数
-            orderParams.price = Math.floor(parseFloat(orderParams.price)).toString();
-            log(`调整BTC价格为整数: ${orderParams.price}`);
-        }
-
         log(`发送限价卖出订单: ${JSON.stringify(orderParams)}`);
-        const response = await executeWithRetry(client, client.ExecuteOrder, orderParams);
+        const response = await client.placeOrder(orderParams);
         
         if (response && response.id) {
             log(`卖出订单创建成功: 订单ID=${response.id}, 状态=${response.status}`);
@@ -827,38 +1300,24 @@ async function sellAllPosition(client, symbol, tradingCoin) {
                 // 获取更新后的持仓
                 const updatedPosition = await getPosition(client, symbol);
                 if (updatedPosition && parseFloat(updatedPosition.quantity) > 0) {
-                    const remainingQuantity = adjustQuantityToStepSize(parseFloat(updatedPosition.quantity), tradingCoin);
+                    const remainingQuantity = adjustQuantityToStepSize(updatedPosition.quantity, symbol);
                     
                     log(`仍有 ${remainingQuantity} ${tradingCoin} 未售出，尝试以更低价格卖出`);
                     
-                    // 更低的价格再次尝试 (原价格的99%)，使用正确的价格精度
-                    const lowerSellPrice = adjustPriceToTickSize(currentPrice * 0.99, tradingCoin);
+                    // 按最新订单簿再次定价（订单簿不可用时为原价格的99%），使用正确的价格精度
+                    const lowerSellPrice = adjustPriceToTickSize(await getSellPrice(client, symbol, remainingQuantity, currentPrice, 0.99), symbol);
                     
                     const remainingOrderParams = {
                         symbol: symbol,
                         side: 'Ask',
                         orderType: 'Limit',
-                        quantity: remainingQuantity.toFixed(quantityPrecision),
-                        price: lowerSellPrice.toString(),
+                        quantity: markets.formatQuantity(symbol, remainingQuantity),
+                        price: markets.formatPrice(symbol, lowerSellPrice),
                         timeInForce: 'IOC'
                     };
                     
-                    // 特殊处理BTC
-                    if (tradingCoin === 'BTC') {
-                        // 检查数量精度
-                        const btcQuantityStr = remainingOrderParams.quantity;
-                        if (btcQuantityStr.split('.')[1] && btcQuantityStr.split('.')[1].length > 5) {
-                            remainingOrderParams.quantity = parseFloat(btcQuantityStr).toFixed(5);
-                            log(`调整BTC数量精度为5位小数: ${remainingOrderParams.quantity}`);
-                        }
-                        
-                        // 确保价格是整数
-                        remainingOrderParams.price = Math.floor(parseFloat(remainingOrderParams.price)).toString();
-                        log(`调整BTC价格为整数: ${remainingOrderParams.price}`);
-                    }
-                    
                     log(`发送更低价格的限价卖出订单: ${JSON.stringify(remainingOrderParams)}`);
-                    const secondResponse = await executeWithRetry(client, client.ExecuteOrder, remainingOrderParams);
+                    const secondResponse = await client.placeOrder(remainingOrderParams);
                     
                     if (secondResponse && secondResponse.id) {
                         log(`第二次卖出订单创建成功: 订单ID=${secondResponse.id}, 状态=${secondResponse.status}`);
@@ -989,6 +1448,7 @@ async function displayBalances(client) {
 
 // 卖出所有非USDC币种
 async function sellAllNonUsdcAssets(client, minValueRequired = 10) {
+    const { markets } = currentAccount();
     try {
         log('\n=== 卖出所有非USDC币种 ===');
         const balances = await getAllBalances(client);
@@ -1049,11 +1509,14 @@ async function sellAllNonUsdcAssets(client, minValueRequired = 10) {
         
         for (const balance of valuableBalances) {
             try {
-                // 获取该币种的数量精度
-                const quantityPrecision = config.quantityPrecisions[balance.asset] || config.quantityPrecisions.DEFAULT;
+                const symbol = `${balance.asset}_USDC`;
+                if (!markets.has(symbol)) {
+                    log(`${symbol} 交易对不存在，跳过卖出`, true);
+                    continue;
+                }
                 
                 // 调整数量精度
-                const quantity = adjustQuantityToStepSize(parseFloat(balance.available), balance.asset);
+                const quantity = adjustQuantityToStepSize(balance.available, symbol);
                 
                 // 检查是否有足够的数量
                 if (quantity <= 0) {
@@ -1061,39 +1524,27 @@ async function sellAllNonUsdcAssets(client, minValueRequired = 10) {
                     continue;
                 }
                 
-                // 使用正确的价格精度
-                const sellPrice = adjustPriceToTickSize(balance.currentPrice * 0.995, balance.asset);
+                // 根据订单簿买盘定价，使用正确的价格精度
+                const sellPrice = adjustPriceToTickSize(
+                    await getSellPrice(client, symbol, quantity, balance.currentPrice, 0.995),
+                    symbol
+                );
                 
                 log(`${balance.asset}: 准备卖出数量=${quantity}, 调整后价格=${sellPrice} USDC`);
                 
                 // 创建限价卖出订单，确保价格和数量精度正确
                 const orderParams = {
-                    symbol: `${balance.asset}_USDC`,
+                    symbol,
                     side: 'Ask',           // 卖出
                     orderType: 'Limit',    // 限价单
-                    quantity: quantity.toFixed(quantityPrecision),
-                    price: sellPrice.toString(),  // 使用toString而不是toFixed，避免自动四舍五入
+                    quantity: markets.formatQuantity(symbol, quantity),
+                    price: markets.formatPrice(symbol, sellPrice),
                     timeInForce: 'IOC'     // Immediate-or-Cancel
                 };
                 
-                // 特殊处理BTC
-                if (balance.asset === 'BTC') {
-                    log('BTC交易检测，额外调整精度...');
-                    // 检查数量精度
-                    const btcQuantityStr = orderParams.quantity;
-                    if (btcQuantityStr.split('.')[1] && btcQuantityStr.split('.')[1].length > 5) {
-                        orderParams.quantity = parseFloat(btcQuantityStr).toFixed(5);
-                        log(`调整BTC数量精度为5位小数: ${orderParams.quantity}`);
-                    }
-                    
-                    // 确保价格是整数
-                    orderParams.price = Math.floor(parseFloat(orderParams.price)).toString();
-                    log(`调整BTC价格为整数: ${orderParams.price}`);
-                }
-                
                 log(`发送限价卖出订单: ${JSON.stringify(orderParams)}`);
                 
-                const response = await executeWithRetry(client, client.ExecuteOrder, orderParams);
+                const response = await client.placeOrder(orderParams);
                 
                 if (response && response.id) {
                     log(`卖出 ${balance.asset} 成功: 订单ID=${response.id}, 状态=${response.status || '未知'}`);
@@ -1111,39 +1562,28 @@ async function sellAllNonUsdcAssets(client, minValueRequired = 10) {
                         
                         if (updatedBalance && parseFloat(updatedBalance.available) > 0) {
                             // 调整数量精度
-                            const remainingQuantity = adjustQuantityToStepSize(parseFloat(updatedBalance.available), balance.asset);
+                            const remainingQuantity = adjustQuantityToStepSize(updatedBalance.available, symbol);
                             
                             if (remainingQuantity > 0) {
                                 log(`仍有 ${remainingQuantity} ${balance.asset} 未卖出，尝试更低价格`);
                                 
-                                // 使用更低的价格重试
-                                const lowerSellPrice = adjustPriceToTickSize(balance.currentPrice * 0.99, balance.asset);
+                                // 按最新订单簿重新定价
+                                const lowerSellPrice = adjustPriceToTickSize(
+                                    await getSellPrice(client, symbol, remainingQuantity, balance.currentPrice, 0.99),
+                                    symbol
+                                );
                                 
                                 const retryOrderParams = {
-                                    symbol: `${balance.asset}_USDC`,
+                                    symbol,
                                     side: 'Ask',
                                     orderType: 'Limit',
-                                    quantity: remainingQuantity.toFixed(quantityPrecision),
-                                    price: lowerSellPrice.toString(),
+                                    quantity: markets.formatQuantity(symbol, remainingQuantity),
+                                    price: markets.formatPrice(symbol, lowerSellPrice),
                                     timeInForce: 'IOC'
                                 };
                                 
-                                // 特殊处理BTC
-                                if (balance.asset === 'BTC') {
-                                    // 检查数量精度
-                                    const btcQuantityStr = retryOrderParams.quantity;
-                                    if (btcQuantityStr.split('.')[1] && btcQuantityStr.split('.')[1].length > 5) {
-                                        retryOrderParams.quantity = parseFloat(btcQuantityStr).toFixed(5);
-                                        log(`调整BTC数量精度为5位小数: ${retryOrderParams.quantity}`);
-                                    }
-                                    
-                                    // 确保价格是整数
-                                    retryOrderParams.price = Math.floor(parseFloat(retryOrderParams.price)).toString();
-                                    log(`调整BTC价格为整数: ${retryOrderParams.price}`);
-                                }
-                                
                                 log(`发送更低价格的限价卖出订单: ${JSON.stringify(retryOrderParams)}`);
-                                const retryResponse = await executeWithRetry(client, client.ExecuteOrder, retryOrderParams);
+                                const retryResponse = await client.placeOrder(retryOrderParams);
                                 
                                 if (retryResponse && retryResponse.id) {
                                     log(`第二次卖出 ${balance.asset} 成功: 订单ID=${retryResponse.id}`);
@@ -1159,9 +1599,6 @@ async function sellAllNonUsdcAssets(client, minValueRequired = 10) {
                     log(`卖出 ${balance.asset} 失败: 响应中没有订单ID`);
                 }
                 
-                // 添加延迟避免API限制
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
             } catch (error) {
                 log(`卖出 ${balance.asset} 失败: ${error.message}`, true);
                 if (error.response?.body) {
@@ -1178,23 +1615,430 @@ async function sellAllNonUsdcAssets(client, minValueRequired = 10) {
     }
 }
 
+// 读取并检查网格配置：gridCount 个等间距的格子覆盖 [lowerPrice, upperPrice]，每格买入 amountPerGrid USDC，
+// 价格离开区间时 outOfRange 为 pause 撤单等待价格回到区间，为 shift 按整格平移区间
+function loadGridConfig() {
+    const { userConfig } = currentAccount();
+    const grid = userConfig.grid || {};
+    const lowerPrice = parseFloat(grid.lowerPrice);
+    const upperPrice = parseFloat(grid.upperPrice);
+    if (!(lowerPrice > 0 && upperPrice > lowerPrice)) {
+        throw new Error(`grid.lowerPrice 和 grid.upperPrice 必须为正数且下限小于上限: ${grid.lowerPrice} - ${grid.upperPrice}`);
+    }
+    const gridCount = Number(grid.gridCount);
+    if (!Number.isInteger(gridCount) || gridCount < 1) {
+        throw new Error(`grid.gridCount 必须是正整数: ${grid.gridCount}`);
+    }
+    const amountPerGrid = parseFloat(grid.amountPerGrid);
+    if (!(amountPerGrid > 0)) {
+        throw new Error(`grid.amountPerGrid 必须为正数: ${grid.amountPerGrid}`);
+    }
+    const outOfRange = grid.outOfRange || 'pause';
+    if (outOfRange !== 'pause' && outOfRange !== 'shift') {
+        throw new Error(`grid.outOfRange 只能是 pause 或 shift: ${outOfRange}`);
+    }
+    return { lowerPrice, upperPrice, gridCount, amountPerGrid, outOfRange };
+}
+
+// 计算区间内的格子。每格在下沿买入、上沿卖出相同的数量
+function calculateGridLevels(settings, lowerPrice, upperPrice, symbol) {
+    const { markets } = currentAccount();
+    const step = (upperPrice - lowerPrice) / settings.gridCount;
+    const grids = [];
+    for (let i = 0; i < settings.gridCount; i++) {
+        const lower = adjustPriceToTickSize(lowerPrice + step * i, symbol);
+        const upper = adjustPriceToTickSize(lowerPrice + step * (i + 1), symbol);
+        if (!(upper > lower)) {
+            throw new Error(`网格间距 ${step} 小于价格步长，请减少 grid.gridCount 或扩大价格区间`);
+        }
+        const quantity = adjustQuantityToStepSize(settings.amountPerGrid / lower, symbol);
+        const problems = markets.checkOrder(symbol, lower, quantity);
+        if (problems.length > 0) {
+            throw new Error(`第 ${i + 1} 格的订单不满足下单要求: ${problems.join('，')}，请增大 grid.amountPerGrid`);
+        }
+        grids.push({ index: i + 1, lower, upper, quantity, side: null, orderId: null, entryPrice: 0, rounds: 0, profit: 0 });
+    }
+    return grids;
+}
+
+// 网格的买单成交计入与递增买入相同的成交统计
+function recordGridBuyFill(order, quantity, amount) {
+    const { config } = currentAccount();
+    if (config.processedOrderIds.has(order.id)) {
+        return;
+    }
+    config.processedOrderIds.add(order.id);
+    config.stats.filledOrders++;
+    config.stats.totalFilledAmount += amount;
+    config.stats.totalFilledQuantity += quantity;
+    config.stats.averagePrice = config.stats.totalFilledAmount / config.stats.totalFilledQuantity;
+    config.stats.lastUpdateTime = new Date();
+}
+
+// 挂出格子当前方向的订单，失败时在下次检查时重试
+async function placeGridOrder(client, symbol, grid) {
+    try {
+        const response = grid.side === 'Bid'
+            ? await createBuyOrder(client, symbol, grid.lower, grid.quantity)
+            : await createSellOrder(client, symbol, grid.upper, grid.quantity);
+        grid.orderId = response.id;
+    } catch (error) {
+        grid.orderId = null;
+        log(`第 ${grid.index} 格挂单失败，下次检查时重试`, true);
+    }
+}
+
+// 按当前价格铺设网格：价格以下的格子挂买单，以上的格子挂卖单。持有的交易币不够挂卖单时先市价买入差额
+async function buildGrid(client, symbol, tradingCoin, state, currentPrice) {
+    const { config, markets, cycleLogFile } = currentAccount();
+    state.grids = calculateGridLevels(state.settings, state.lowerPrice, state.upperPrice, symbol);
+    log(`\n=== 铺设网格 ${state.lowerPrice} - ${state.upperPrice} USDC (当前价格 ${currentPrice} USDC) ===`);
+    
+    const needed = state.grids
+        .filter(grid => grid.lower >= currentPrice)
+        .reduce((sum, grid) => sum.plus(grid.quantity), Decimal.from(0));
+    const position = await getPosition(client, symbol);
+    const shortfall = needed.minus(position ? position.quantity : 0);
+    // 卖单的成本：撤单前网格持有的交易币沿用原来的成本，其余按当前价格，市价买入的部分按成交均价
+    const heldQuantity = Math.min(needed.toNumber(), position ? parseFloat(position.quantity) : 0);
+    let costQuantity = heldQuantity;
+    let costAmount = heldQuantity * (state.carriedEntryPrice || currentPrice);
+    if (shortfall.gt(0)) {
+        // 按stepSize向上取整，买入后足够挂出全部卖单
+        const market = await markets.ensure(symbol);
+        let quantity = markets.roundQuantity(symbol, shortfall);
+        if (quantity.lt(shortfall)) {
+            quantity = quantity.plus(market.stepSize);
+        }
+        if (quantity.lt(market.minQuantity)) {
+            quantity = market.minQuantity;
+        }
+        // 限价IOC买入，价格不高于最新价的1.005倍，可能只部分成交
+        const buyPrice = await getBuyPrice(client, symbol, quantity.toNumber(), currentPrice, 1.005);
+        log(`网格卖单需要 ${needed} ${tradingCoin}，可用数量不足，买入 ${quantity} ${tradingCoin}，限价 ${markets.formatPrice(symbol, buyPrice)}`);
+        const response = await client.placeOrder({
+            symbol,
+            side: 'Bid',
+            orderType: 'Limit',
+            price: markets.formatPrice(symbol, buyPrice),
+            quantity: markets.formatQuantity(symbol, quantity),
+            timeInForce: 'IOC'
+        });
+        const executedQuantity = parseFloat(response.executedQuantity ?? 0);
+        const executedAmount = parseFloat(response.executedQuoteQuantity ?? 0);
+        if (executedQuantity > 0) {
+            costQuantity += executedQuantity;
+            costAmount += executedAmount;
+            recordGridBuyFill(response, executedQuantity, executedAmount);
+        }
+        if (cycleLogFile) {
+            logOrderToCycle(cycleLogFile, response, config);
+        }
+    }
+    const entryPrice = costQuantity > 0 ? costAmount / costQuantity : currentPrice;
+    state.carriedEntryPrice = 0;
+    state.looseQuantity = 0;
+    state.looseAmount = 0;
+    
+    // 按买入后实际可用的数量挂卖单，从最低的卖单开始；数量不够的格子不挂单，等下次铺设网格
+    const available = await getPosition(client, symbol);
+    let inventory = Decimal.from(available ? available.quantity : 0);
+    for (const grid of state.grids) {
+        if (grid.lower >= currentPrice) {
+            if (inventory.lt(grid.quantity)) {
+                grid.side = null;
+                log(`第 ${grid.index} 格没有足够的 ${tradingCoin} 挂卖单，暂不挂单`, true);
+                continue;
+            }
+            inventory = inventory.minus(grid.quantity);
+            grid.side = 'Ask';
+            grid.entryPrice = entryPrice;
+        } else {
+            grid.side = 'Bid';
+        }
+        await placeGridOrder(client, symbol, grid);
+    }
+}
+
+// 处理已经不在挂单列表中的网格订单：买单成交后改为在上沿卖出，卖单成交后记录本格利润并改为在下沿买入
+async function settleGridOrders(client, symbol, tradingCoin, state) {
+    const { config, cycleLogFile } = currentAccount();
+    const openOrders = await executeWithRetry(client, client.GetOpenOrders, { symbol });
+    const openIds = new Set((openOrders || []).map(order => String(order.id)));
+    const finished = state.grids.filter(grid => grid.orderId && !openIds.has(String(grid.orderId)));
+    if (finished.length === 0) {
+        return;
+    }
+    
+    const ids = new Set(finished.map(grid => String(grid.orderId)));
+    const history = new Map();
+    for await (const order of client.iterateOrderHistory({ symbol }, { from: config.scriptStartTime })) {
+        if (ids.has(String(order.id))) {
+            history.set(String(order.id), order);
+        }
+    }
+    
+    for (const grid of finished) {
+        const order = history.get(String(grid.orderId));
+        if (!order) {
+            // 订单历史还没有这个订单，下次检查时再处理
+            continue;
+        }
+        grid.orderId = null;
+        if (cycleLogFile) {
+            logOrderToCycle(cycleLogFile, order, config);
+        }
+        const quantity = parseFloat(order.executedQuantity ?? 0);
+        const amount = parseFloat(order.executedQuoteQuantity ?? 0);
+        if (order.status !== 'Filled') {
+            log(`第 ${grid.index} 格的${grid.side === 'Bid' ? '买' : '卖'}单#${order.id} 状态为 ${order.status}，已成交 ${quantity} ${tradingCoin}`);
+            if (quantity > 0) {
+                settlePartialGridFill(order, grid, state, quantity, amount, tradingCoin);
+            }
+            continue;
+        }
+        if (grid.side === 'Bid') {
+            recordGridBuyFill(order, quantity, amount);
+            grid.entryPrice = amount / quantity;
+            grid.side = 'Ask';
+            log(`第 ${grid.index} 格买单成交: ${quantity} ${tradingCoin} @ ${grid.entryPrice.toFixed(4)}，在 ${grid.upper} USDC 挂卖单`);
+        } else {
+            const profit = amount - quantity * grid.entryPrice;
+            grid.rounds++;
+            grid.profit += profit;
+            state.rounds++;
+            state.profit += profit;
+            grid.side = 'Bid';
+            log(`第 ${grid.index} 格卖单成交: ${quantity} ${tradingCoin}，金额 ${amount.toFixed(4)} USDC，本格利润 ${profit.toFixed(4)} USDC，` +
+                `网格累计利润 ${state.profit.toFixed(4)} USDC，在 ${grid.lower} USDC 挂买单`);
+        }
+    }
+}
+
+// 撤销或过期前部分成交的网格订单：买入的数量和卖出剩下的数量都放入网格的零散持仓，按成本留给下次铺设的网格；
+// 卖出部分的利润计入本格利润，卖单剩下的数量不再属于本格，本格改为挂买单
+function settlePartialGridFill(order, grid, state, quantity, amount, tradingCoin) {
+    if (grid.side === 'Bid') {
+        recordGridBuyFill(order, quantity, amount);
+        state.looseQuantity += quantity;
+        state.looseAmount += amount;
+        log(`第 ${grid.index} 格买单部分成交的 ${quantity} ${tradingCoin} 计入零散持仓，下次铺设网格时挂卖单`);
+        return;
+    }
+    const profit = amount - quantity * grid.entryPrice;
+    const unsold = grid.quantity - quantity;
+    grid.profit += profit;
+    state.profit += profit;
+    state.looseQuantity += unsold;
+    state.looseAmount += unsold * grid.entryPrice;
+    grid.side = 'Bid';
+    log(`第 ${grid.index} 格卖单部分成交，利润 ${profit.toFixed(4)} USDC，未卖出的 ${unsold.toFixed(6)} ${tradingCoin} 计入零散持仓`);
+}
+
+// 撤销全部网格订单，撤单前已经成交的订单照常结算。卖单和零散持仓的交易币成本留给重新铺设的网格
+async function cancelGridOrders(client, symbol, tradingCoin, state) {
+    for (const grid of state.grids.filter(grid => grid.orderId)) {
+        try {
+            await executeWithRetry(client, client.CancelOrder, { symbol, orderId: String(grid.orderId) });
+        } catch (error) {
+            log(`撤销第 ${grid.index} 格的订单#${grid.orderId}失败: ${error.message}`, true);
+        }
+    }
+    await settleGridOrders(client, symbol, tradingCoin, state);
+    const held = state.grids.filter(grid => grid.side === 'Ask');
+    const heldQuantity = held.reduce((sum, grid) => sum + grid.quantity, state.looseQuantity);
+    state.carriedEntryPrice = heldQuantity > 0
+        ? held.reduce((sum, grid) => sum + grid.quantity * grid.entryPrice, state.looseAmount) / heldQuantity
+        : 0;
+    state.grids.forEach(grid => {
+        grid.orderId = null;
+    });
+}
+
+// 按整格平移价格区间，使当前价格回到区间内；下限会低于0时返回false
+function shiftGridRange(state, price) {
+    const step = (state.upperPrice - state.lowerPrice) / state.settings.gridCount;
+    const steps = price > state.upperPrice
+        ? Math.ceil((price - state.upperPrice) / step)
+        : -Math.ceil((state.lowerPrice - price) / step);
+    if (state.lowerPrice + steps * step <= 0) {
+        return false;
+    }
+    state.lowerPrice += steps * step;
+    state.upperPrice += steps * step;
+    return true;
+}
+
+// 显示每格的成交次数和利润
+function displayGridStats(state) {
+    log('\n=== 网格统计 ===');
+    log(`价格区间: ${state.lowerPrice} - ${state.upperPrice} USDC，${state.settings.gridCount} 格，${state.paused ? '已暂停' : '运行中'}`);
+    state.grids.forEach(grid => {
+        const status = grid.orderId ? `挂${grid.side === 'Bid' ? '买' : '卖'}单` : '未挂单';
+        log(`第 ${grid.index} 格 ${grid.lower} - ${grid.upper}: ${status}，完成 ${grid.rounds} 次，利润 ${grid.profit.toFixed(4)} USDC`);
+    });
+    log(`合计: 完成 ${state.rounds} 次买卖，利润 ${state.profit.toFixed(4)} USDC（未扣除手续费）`);
+    displayStats();
+}
+
+// 网格策略：在价格区间内同时挂买单和卖单，成交后在相邻的价位反向挂单，收到退出信号后撤单返回
+async function runGrid(client, symbol, tradingCoin, currentPrice) {
+    const { userConfig } = currentAccount();
+    const settings = loadGridConfig();
+    const state = {
+        settings,
+        lowerPrice: settings.lowerPrice,
+        upperPrice: settings.upperPrice,
+        grids: [],
+        carriedEntryPrice: 0,
+        // 部分成交后不属于任何格子的持仓数量和成本
+        looseQuantity: 0,
+        looseAmount: 0,
+        paused: true,
+        rounds: 0,
+        profit: 0
+    };
+    log(`\n=== 网格交易 ===`);
+    log(`价格区间: ${settings.lowerPrice} - ${settings.upperPrice} USDC，${settings.gridCount} 格，每格 ${settings.amountPerGrid} USDC，` +
+        `价格离开区间时${settings.outOfRange === 'shift' ? '平移区间' : '暂停'}`);
+    // 启动前检查每格的订单是否满足下单要求
+    calculateGridLevels(settings, settings.lowerPrice, settings.upperPrice, symbol);
+    if (settings.outOfRange === 'pause' && (currentPrice < settings.lowerPrice || currentPrice > settings.upperPrice)) {
+        log(`当前价格 ${currentPrice} USDC 不在网格区间内，等待价格进入区间`);
+    }
+    
+    let checks = 0;
+    shutdown.runningGrids++;
+    try {
+        while (!shutdown.requested) {
+            try {
+                checks++;
+                if (!state.paused) {
+                    await settleGridOrders(client, symbol, tradingCoin, state);
+                }
+                
+                const price = checks === 1 ? currentPrice : await getLastPrice(client, symbol);
+                const outside = price < state.lowerPrice || price > state.upperPrice;
+                if (outside && settings.outOfRange === 'shift') {
+                    if (!state.paused) {
+                        await cancelGridOrders(client, symbol, tradingCoin, state);
+                    }
+                    if (shiftGridRange(state, price)) {
+                        log(`价格 ${price} USDC 离开网格区间，区间平移到 ${state.lowerPrice} - ${state.upperPrice} USDC`);
+                        await buildGrid(client, symbol, tradingCoin, state, price);
+                        state.paused = false;
+                    } else if (!state.paused) {
+                        log(`价格 ${price} USDC 离开网格区间，区间无法继续向下平移，暂停网格`, true);
+                        state.paused = true;
+                    }
+                } else if (outside && !state.paused) {
+                    log(`价格 ${price} USDC 离开网格区间 ${state.lowerPrice} - ${state.upperPrice} USDC，撤销网格订单，等待价格回到区间`);
+                    await cancelGridOrders(client, symbol, tradingCoin, state);
+                    state.paused = true;
+                } else if (!outside && state.paused) {
+                    if (checks > 1) {
+                        log(`价格 ${price} USDC 回到网格区间，重新铺设网格`);
+                    }
+                    await buildGrid(client, symbol, tradingCoin, state, price);
+                    state.paused = false;
+                } else if (!state.paused) {
+                    // 挂单失败的格子重新挂单
+                    for (const grid of state.grids.filter(grid => grid.side && !grid.orderId)) {
+                        await placeGridOrder(client, symbol, grid);
+                    }
+                }
+                
+                if (checks % 10 === 0) {
+                    displayGridStats(state);
+                }
+                await waitUnlessStopping((userConfig.advanced.monitorIntervalSeconds || 30) * 1000);
+            } catch (error) {
+                log(`网格运行中发生错误: ${error.message}`, true);
+                await waitUnlessStopping(60000);
+            }
+        }
+        
+        // 收到退出信号：撤销网格订单，返回后由 main() 关闭行情连接
+        if (!state.paused) {
+            try {
+                await cancelGridOrders(client, symbol, tradingCoin, state);
+                state.paused = true;
+            } catch (error) {
+                log(`退出前撤销网格订单失败: ${error.message}`, true);
+            }
+        }
+        displayGridStats(state);
+        return false;
+    } finally {
+        shutdown.runningGrids--;
+    }
+}
+
+// 按秒等待，收到退出信号时提前结束
+async function waitUnlessStopping(ms) {
+    const end = Date.now() + ms;
+    while (!shutdown.requested && Date.now() < end) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000, end - Date.now())));
+    }
+}
+
 // 主函数 - 现在变成一个可以循环运行的函数
 async function main() {
+    const account = currentAccount();
+    const { config, userConfig } = account;
+    let marketStream = null;
+    let client = null;
     try {
         log('=== Backpack 自动化递增买入系统启动 ===');
         log(`脚本启动时间: ${config.scriptStartTime.toISOString()}`);
         
         // 每次运行开始时重新加载配置
-        const updatedConfig = loadConfig();
+        const updatedConfig = loadAccountConfig();
         // 将最新配置合并到当前配置中
         Object.assign(userConfig, updatedConfig);
         
         log('最新配置已加载');
         
+        account.cycleLogFile = path.join(account.logDir, `auto_trading_cycle_${new Date().toISOString().split('T')[0]}.log`);
+        fs.mkdirSync(path.dirname(account.cycleLogFile), { recursive: true });
+        fs.appendFileSync(account.cycleLogFile, `[${new Date().toISOString()}] === 交易周期开始 ===\n`, { encoding: 'utf8' });
+        
         // 初始化客户端
-        const client = new BackpackClient(config.privateKey, config.publicKey);
+        // 请求频率由客户端的调度器统一控制，调用之间不再需要手动等待
+        const { privateKey, publicKey } = await getCredentials();
+        client = new BackpackClient(privateKey, publicKey, {
+            rateLimits: userConfig.advanced.rateLimits,
+            numericMode: userConfig.advanced.numericMode,
+            window: userConfig.advanced.receiveWindowMs,
+            timeSyncIntervalMs: userConfig.advanced.timeSyncIntervalMinutes
+                ? userConfig.advanced.timeSyncIntervalMinutes * 60 * 1000
+                : undefined,
+            // record: 把请求和推送录制到磁带文件；replay: 从磁带回放，不访问交易所
+            transportMode: userConfig.advanced.transportMode,
+            cassette: userConfig.advanced.cassetteFile,
+            cassetteRedactKeys: userConfig.advanced.cassetteRedactKeys,
+            // 不填时连接Backpack正式环境；environment 可选 cloudflare，连接本地模拟交易所时填写其地址
+            environment: userConfig.advanced.environment,
+            baseUrl: userConfig.advanced.baseUrl,
+            wsUrl: userConfig.advanced.wsUrl,
+            requestTimeoutMs: userConfig.advanced.requestTimeoutMs,
+            // HTTP(S)/SOCKS代理，REST请求和行情推送都经过代理
+            proxy: userConfig.advanced.proxy,
+            userAgent: userConfig.advanced.userAgent,
+            // 按openapi.json检查请求参数和响应字段：true 不符时报错，"warn" 只打印警告
+            strict: userConfig.advanced.strictSchema
+        });
         log('API客户端初始化成功');
         
+        // 加载交易对规则，价格和数量都按交易所的tickSize、stepSize取整
+        const markets = account.markets = client.createMarketRegistry({
+            minNotional: config.minOrderAmount,
+            refreshIntervalMs: (userConfig.advanced.marketRefreshMinutes || 60) * 60 * 1000
+        });
+        markets.on('error', (error) => log(`刷新交易对规则失败: ${error.message}`, true));
+        await markets.start();
+        log(`已加载 ${markets.markets.size} 个交易对的规则`);
+        
         // 显示账户余额
         await displayBalances(client);
         
@@ -1216,27 +2060,40 @@ async function main() {
         config.symbol = symbol;
         
         // 询问是否撤销该交易对的所有未完成订单
-        const cancelConfirm = await question(`\n是否撤销 ${symbol} 交易对的所有未完成订单? (y/n): `);
+        const cancelConfirm = await question(`\n是否撤销 ${symbol} 交易对的所有未完成买单? (y/n): `);
         if (cancelConfirm.toLowerCase() === 'y') {
-            log(`开始撤销 ${symbol} 交易对的所有未完成订单...`);
+            log(`开始撤销 ${symbol} 交易对的所有未完成买单...`);
             await cancelAllOrders(client);
         }
         
+        // 订阅行情推送，监控阶段不再轮询Ticker
+        if (userConfig.advanced.useMarketStream !== false) {
+            marketStream = startMarketStream(client, symbol);
+            const tradingOrderBook = account.tradingOrderBook = client.createOrderBook(symbol, { stream: marketStream });
+            tradingOrderBook.on('resync', (reason) => log(`${symbol} 订单簿重新同步: ${reason}`));
+            tradingOrderBook.on('error', (error) => log(error.message, true));
+            tradingOrderBook.start().catch(error => log(`订单簿启动失败: ${error.message}`, true));
+        }
+        
         // 获取当前市场价格
-        const ticker = await executeWithRetry(client, client.Ticker, { symbol: symbol });
-        const currentPrice = parseFloat(ticker.lastPrice);
+        const currentPrice = await getLastPrice(client, symbol);
         log(`当前市场价格: ${currentPrice} USDC`);
         
-        // 根据币种获取最小交易量和数量精度
-        const minQuantity = config.minQuantities[tradingCoin] || config.minQuantities.DEFAULT;
-        const quantityPrecision = config.quantityPrecisions[tradingCoin] || config.quantityPrecisions.DEFAULT;
-        log(`最小交易量: ${minQuantity} ${tradingCoin}`);
-        log(`数量精度: ${quantityPrecision} 位小数`);
+        // 交易对的最小交易量和精度
+        const market = await markets.ensure(symbol);
+        const minQuantity = market.minQuantity.toNumber();
+        log(`最小交易量: ${market.minQuantity} ${tradingCoin}`);
+        log(`价格步长: ${market.tickSize}, 数量步长: ${market.stepSize}`);
         
         // 根据当前价格动态调整最小订单金额
         const minOrderAmount = Math.max(config.minOrderAmount, currentPrice * minQuantity);
         log(`当前最小订单金额: ${minOrderAmount.toFixed(2)} USDC`);
         
+        // 网格策略不使用下面的递增买入、止盈和止损
+        if (userConfig.trading.strategy === 'grid') {
+            return await runGrid(client, symbol, tradingCoin, currentPrice);
+        }
+        
         // 获取交易参数
         const maxDropPercentage = parseFloat(await question('请输入最大跌幅百分比 (例如: 5): '));
         const totalAmount = parseFloat(await question('请输入总投资金额 (USDC): '));
@@ -1244,12 +2101,7 @@ async function main() {
         const incrementPercentage = parseFloat(await question('请输入每次金额增加的百分比 (例如: 10): '));
         const takeProfitPercentage = parseFloat(await question('请输入止盈百分比 (例如: 5): '));
         
-        // 验证输入
-        if (totalAmount < minOrderAmount * orderCount) {
-            throw new Error(`总投资金额太小，无法创建 ${orderCount} 个订单（每个订单最小金额: ${minOrderAmount.toFixed(2)} USDC）`);
-        }
-        
-        // 计算订单
+        // 计算订单（总金额是否足够在计算时按实际档数检查）
         const orders = calculateIncrementalOrders(
             currentPrice,
             maxDropPercentage,
@@ -1257,7 +2109,8 @@ async function main() {
             orderCount,
             incrementPercentage,
             minOrderAmount,
-            tradingCoin
+            symbol,
+            userConfig.trading.ladderShape
         );
         
         // 显示计划创建的订单
@@ -1269,6 +2122,36 @@ async function main() {
         });
         log(`总订单金额: ${totalOrderAmount.toFixed(2)} USDC`);
         
+        // 止盈阶梯的配置错误在挂买单前报告
+        if (userConfig.trading.takeProfitMode === 'ladder') {
+            const levels = loadTakeProfitLadder();
+            log(`止盈阶梯: ${levels.map(level => `+${level.percentage}% 卖出${level.portion === null ? '剩余' : ` ${level.portion}%`}`).join('，')}`);
+        }
+        
+        // 止损与买入阶梯的跌幅分开设置
+        const stopLoss = loadStopLossConfig();
+        const lowestOrderPrice = Math.min(...orders.map(order => order.price));
+        let triggerOrderStopLoss = null;
+        if (stopLoss) {
+            const plannedStopPrice = calculateStopLossPrice(stopLoss, lowestOrderPrice, symbol);
+            log(stopLoss.reference === 'averageCost'
+                ? `止损: 价格跌破成交均价的 ${stopLoss.percentage}% 时撤销剩余买单并卖出全部持仓`
+                : `止损: 价格跌破 ${plannedStopPrice} USDC（最低一档买单 ${lowestOrderPrice} 下方 ${stopLoss.percentage}%）时撤销剩余买单并卖出全部持仓`);
+            if (stopLoss.useTriggerOrders && ['ladder', 'maker'].includes(userConfig.trading.takeProfitMode)) {
+                // 持仓冻结在挂出的止盈卖单中时交易所止损单无法卖出，改为本地检查价格后撤单卖出
+                log('挂出的止盈卖单会冻结持仓，止损改为本地检查价格，不附带交易所止损单');
+            } else if (stopLoss.useTriggerOrders) {
+                triggerOrderStopLoss = {
+                    triggerPrice: plannedStopPrice,
+                    limitPrice: stopLoss.limitOffsetPercentage > 0
+                        ? adjustPriceToTickSize(plannedStopPrice * (1 - stopLoss.limitOffsetPercentage / 100), symbol)
+                        : null
+                };
+                log(`每个买单附带交易所止损单: 触发价=${triggerOrderStopLoss.triggerPrice}, ` +
+                    `${triggerOrderStopLoss.limitPrice ? `限价=${triggerOrderStopLoss.limitPrice}` : '市价卖出'}`);
+            }
+        }
+        
         // 确认是否继续
         const confirm = await question('\n是否继续创建订单? (y/n): ');
         if (confirm.toLowerCase() !== 'y') {
@@ -1295,15 +2178,22 @@ async function main() {
         
         for (const order of orders) {
             try {
-                const response = await createBuyOrder(client, symbol, order.price, order.quantity, tradingCoin);
+                try {
+                    await createBuyOrder(client, symbol, order.price, order.quantity, triggerOrderStopLoss);
+                } catch (error) {
+                    // 交易所不接受附带的止损参数时不再附带，改由本地监控止损
+                    if (!triggerOrderStopLoss || !(error instanceof InvalidRequestError)) {
+                        throw error;
+                    }
+                    log(`交易所不接受附带止损的买单: ${error.message}，改用本地监控止损`, true);
+                    triggerOrderStopLoss = null;
+                    await createBuyOrder(client, symbol, order.price, order.quantity);
+                }
                 successCount++;
-                
-                // 添加延迟避免API限制
-                await new Promise(resolve => setTimeout(resolve, 1000));
             } catch (error) {
                 log(`创建订单失败: ${error.message}`, true);
                 // 如果是资金不足，跳过后续订单
-                if (error.message.includes('Insufficient') || error.message.includes('insufficient')) {
+                if (error instanceof InsufficientFundsError) {
                     log('资金不足，停止创建更多订单', true);
                     break;
                 }
@@ -1317,10 +2207,20 @@ async function main() {
         displayStats();
         
         // 开始监控止盈条件
-        log(`\n开始监控止盈条件 (${takeProfitPercentage}%)...`);
+        const modeDescriptions = {
+            trailing: '，达到后追踪最高价，回撤时卖出',
+            maker: '，在止盈价挂出post-only卖单',
+            ladder: '，按止盈阶梯挂出限价卖单'
+        };
+        log(`\n开始监控止盈条件 (${takeProfitPercentage}%${modeDescriptions[userConfig.trading.takeProfitMode] || ''})...`);
         
         let monitoringAttempts = 0;
         let takeProfitTriggered = false;
+        let stopLossTriggered = false;
+        // 追踪止盈的状态，涨幅达到目标后开始记录最高价
+        const trail = { armed: false, highWaterMark: 0, atr: null };
+        // 止盈阶梯的卖单和已卖出统计
+        const ladder = { orders: [], averagePrice: 0, filledQuantity: 0, levelsKey: '', soldQuantity: 0, soldAmount: 0, crossed: false };
         let lastOrderCheckTime = Date.now();
         
         // 无订单成交自动重启相关变量
@@ -1334,7 +2234,7 @@ async function main() {
             log(`启用无订单成交自动重启: 如果 ${noFillRestartMinutes} 分钟内没有订单成交，将自动重启脚本`);
         }
         
-        while (!takeProfitTriggered) {
+        while (!takeProfitTriggered && !stopLossTriggered) {
             try {
                 monitoringAttempts++;
                 
@@ -1343,10 +2243,25 @@ async function main() {
                     log(`持续监控中... (已运行 ${Math.floor(monitoringAttempts * userConfig.advanced.monitorIntervalSeconds / 60)} 分钟)`);
                     
                     // 重新加载配置以检查是否有更新
-                    const latestConfig = loadConfig();
-                    // 更新止盈百分比
-                    if (latestConfig.trading.takeProfitPercentage !== takeProfitPercentage) {
-                        log(`止盈百分比已从 ${takeProfitPercentage}% 更新为 ${latestConfig.trading.takeProfitPercentage}%`);
+                    const latestConfig = loadAccountConfig();
+                    // 更新止盈设置：止盈百分比、止盈方式和追踪回撤距离
+                    const previous = userConfig.trading;
+                    const latest = latestConfig.trading;
+                    const changes = [];
+                    if (latest.takeProfitPercentage !== previous.takeProfitPercentage) {
+                        changes.push(`止盈百分比已从 ${previous.takeProfitPercentage}% 更新为 ${latest.takeProfitPercentage}%`);
+                    }
+                    if ((latest.takeProfitMode || 'fixed') !== (previous.takeProfitMode || 'fixed')) {
+                        changes.push(`止盈方式已从 ${previous.takeProfitMode || 'fixed'} 更新为 ${latest.takeProfitMode || 'fixed'}`);
+                    }
+                    if (JSON.stringify(latest.trailingTakeProfit || {}) !== JSON.stringify(previous.trailingTakeProfit || {})) {
+                        changes.push(`追踪止盈设置已更新为 ${JSON.stringify(latest.trailingTakeProfit || {})}`);
+                    }
+                    if (JSON.stringify(latest.takeProfitLadder || []) !== JSON.stringify(previous.takeProfitLadder || [])) {
+                        changes.push(`止盈阶梯已更新为 ${JSON.stringify(latest.takeProfitLadder || [])}`);
+                    }
+                    if (changes.length > 0) {
+                        changes.forEach(change => log(change));
                         Object.assign(userConfig, latestConfig);
                     }
                 }
@@ -1405,8 +2320,7 @@ async function main() {
                                 log(`找到 ${openBuyOrders.length} 个未成交的买单`);
                                 
                                 // 获取当前市场价格
-                                const ticker = await executeWithRetry(client, client.Ticker, { symbol });
-                                const currentPrice = parseFloat(ticker.lastPrice);
+                                const currentPrice = await getLastPrice(client, symbol);
                                 log(`当前市场价格: ${currentPrice} USDC`);
                                 
                                 for (const order of openBuyOrders) {
@@ -1419,7 +2333,7 @@ async function main() {
                                         log(`订单#${orderId} 价格(${orderPrice})远低于当前市场价格(${currentPrice})，考虑重新挂单`);
                                         
                                         // 计算新价格（当前价格的99%）
-                                        const newPrice = adjustPriceToTickSize(currentPrice * 0.99, tradingCoin);
+                                        const newPrice = adjustPriceToTickSize(currentPrice * 0.99, symbol);
                                         
                                         // 如果新价格明显高于原订单价格，取消旧订单并创建新订单
                                         if (newPrice > orderPrice * 1.02) {
@@ -1427,14 +2341,14 @@ async function main() {
                                             
                                             // 取消旧订单
                                             try {
-                                                await executeWithRetry(client, client.CancelOrder, { symbol, id: orderId });
+                                                await executeWithRetry(client, client.CancelOrder, { symbol, orderId: String(orderId) });
                                                 log(`订单#${orderId}已取消`);
                                                 
                                                 // 等待一小段时间确保订单被取消
                                                 await new Promise(resolve => setTimeout(resolve, 2000));
                                                 
-                                                // 创建新订单
-                                                const response = await createBuyOrder(client, symbol, newPrice, orderQuantity, tradingCoin);
+                                                // 创建新订单，止损与原订单相同
+                                                const response = await createBuyOrder(client, symbol, newPrice, orderQuantity, triggerOrderStopLoss);
                                                 if (response && response.id) {
                                                     log(`已创建新买单#${response.id}, 价格:${newPrice}, 数量:${orderQuantity}`);
                                                 }
@@ -1447,9 +2361,6 @@ async function main() {
                                     } else {
                                         log(`订单#${orderId} 价格(${orderPrice})接近或高于当前市场价格(${currentPrice})，保留原订单`);
                                     }
-                                    
-                                    // 添加延迟避免API限制
-                                    await new Promise(resolve => setTimeout(resolve, 1000));
                                 }
                             } else {
                                 log('没有找到未成交的买单');
@@ -1462,8 +2373,53 @@ async function main() {
                     }
                 }
                 
-                // 检查止盈条件
-                const shouldTakeProfit = await checkTakeProfit(client, symbol, tradingCoin, userConfig.trading.takeProfitPercentage);
+                // 检查止损条件，触发后撤销剩余买单并卖出全部持仓
+                const stopLossPrice = stopLoss ? calculateStopLossPrice(stopLoss, lowestOrderPrice, symbol) : null;
+                if (stopLossPrice !== null && await checkStopLoss(client, symbol, tradingCoin, stopLossPrice, triggerOrderStopLoss !== null)) {
+                    log(`\n===== 止损条件触发！=====`);
+                    log(`均价: ${config.stats.averagePrice.toFixed(2)} USDC, 止损价: ${stopLossPrice} USDC`);
+                    
+                    if (await executeStopLoss(client, symbol, tradingCoin, ladder, triggerOrderStopLoss)) {
+                        log('止损卖出操作完成');
+                        await displayBalances(client);
+                        stopLossTriggered = true;
+                        break;
+                    }
+                    log('止损卖出操作未能完成，将在下次循环再次尝试', true);
+                    await new Promise(resolve => setTimeout(resolve, 5000));
+                    continue;
+                }
+                
+                // ladder: 按均价挂出分档的限价卖单；maker: 在止盈价挂出一个post-only卖单。卖单全部成交后本交易周期完成
+                const takeProfitMode = userConfig.trading.takeProfitMode;
+                if (takeProfitMode === 'ladder' || takeProfitMode === 'maker') {
+                    const levels = takeProfitMode === 'maker'
+                        ? [{ percentage: userConfig.trading.takeProfitPercentage, portion: null }]
+                        : loadTakeProfitLadder();
+                    if (await updateTakeProfitLadder(client, symbol, tradingCoin, levels, ladder, takeProfitMode === 'maker')) {
+                        log(`\n===== 止盈卖单全部成交，持仓已清空 =====`);
+                        log(`卖出 ${ladder.soldQuantity.toFixed(6)} ${tradingCoin}，金额 ${ladder.soldAmount.toFixed(2)} USDC，` +
+                            `买入均价 ${config.stats.averagePrice.toFixed(2)} USDC`);
+                        if (triggerOrderStopLoss) {
+                            await cancelStopLossTriggerOrders(client, symbol, triggerOrderStopLoss);
+                        }
+                        await displayBalances(client);
+                        takeProfitTriggered = true;
+                        continue;
+                    }
+                    if (!ladder.crossed) {
+                        await new Promise(resolve => setTimeout(resolve, (userConfig.advanced.monitorIntervalSeconds || 30) * 1000));
+                        continue;
+                    }
+                    // post-only卖单被拒绝说明价格已经超过止盈价，与 fixed 一样立即卖出
+                    ladder.crossed = false;
+                    log('价格已超过止盈价，post-only卖单会立即成交，改为直接卖出');
+                }
+                
+                // 检查止盈条件：fixed 达到目标立即卖出，trailing 达到目标后追踪最高价，回撤后卖出
+                const shouldTakeProfit = userConfig.trading.takeProfitMode === 'trailing'
+                    ? await checkTrailingTakeProfit(client, symbol, tradingCoin, userConfig.trading.takeProfitPercentage, trail)
+                    : await checkTakeProfit(client, symbol, tradingCoin, userConfig.trading.takeProfitPercentage);
                 
                 if (shouldTakeProfit) {
                     log(`\n===== 止盈条件触发！=====`);
@@ -1476,6 +2432,10 @@ async function main() {
                     
                     if (sellResult) {
                         log(`止盈卖出操作成功完成!`);
+                        // 持仓已卖出，交易所止损单不再需要
+                        if (triggerOrderStopLoss) {
+                            await cancelStopLossTriggerOrders(client, symbol, triggerOrderStopLoss);
+                        }
                         // 显示最终账户余额
                         await displayBalances(client);
                         takeProfitTriggered = true;
@@ -1499,6 +2459,9 @@ async function main() {
         if (takeProfitTriggered) {
             log('\n===== 止盈交易已完成 =====');
         }
+        if (stopLossTriggered) {
+            log('\n===== 止损交易已完成 =====');
+        }
         
         // 输出结果统计
         log('\n=== 订单创建结果 ===');
@@ -1506,6 +2469,17 @@ async function main() {
         log(`成功创建订单数: ${successCount}`);
         log('=== 交易周期完成 ===');
         
+        // 止损后默认停止交易，避免在下跌中立即重新买入
+        if (stopLossTriggered) {
+            if (stopLoss.restartAfterStopLoss) {
+                log('根据配置，系统将在10秒后重新开始交易...');
+                await new Promise(resolve => setTimeout(resolve, 10000));
+                return true;
+            }
+            log('止损后停止交易，如需继续请检查行情和配置后重新启动');
+            return false;
+        }
+        
         // 检查是否需要重启
         if (userConfig.actions.restartAfterTakeProfit && takeProfitTriggered) {
             log('根据配置，系统将在10秒后重新开始交易...');
@@ -1521,20 +2495,44 @@ async function main() {
         log('系统将在5分钟后尝试重启...');
         await new Promise(resolve => setTimeout(resolve, 5 * 60 * 1000));
         return true; // 出错后仍然重启
+    } finally {
+        if (account.tradingOrderBook) {
+            account.tradingOrderBook.stop();
+            account.tradingOrderBook = null;
+        }
+        if (marketStream) {
+            marketStream.close();
+        }
+        if (account.markets) {
+            account.markets.stop();
+        }
+        // 录制模式下写入还没有写盘的录制内容
+        if (client && typeof client.transport.close === 'function') {
+            client.transport.close();
+        }
     }
 }
 
-// 运行程序并处理重启
+// 运行当前账户的交易周期并处理重启
 async function runWithRestart() {
+    const { config } = currentAccount();
     let shouldRestart = true;
     
     while (shouldRestart) {
         try {
             shouldRestart = await main();
             
+            // 网格收到退出信号后已经撤单返回，最后一个网格返回时结束进程
+            if (shutdown.requested) {
+                if (shutdown.runningGrids === 0) {
+                    process.exit(0);
+                }
+                return;
+            }
+            
             if (shouldRestart) {
                 log('系统准备重新启动...');
-                // 重置全局配置的一些状态
+                // 重置账户的一些状态
                 config.scriptStartTime = new Date();
                 config.processedOrderIds = new Set();
                 config.stats = {
@@ -1556,6 +2554,70 @@ async function runWithRestart() {
             shouldRestart = true;
         }
     }
+}
+
+// 启动配置文件中的所有账户。每个账户在自己的上下文中独立运行和重启，一个账户出错不影响其他账户
+async function runAllAccounts() {
+    const fileConfig = loadConfig();
+    const multiple = Boolean(fileConfig.profiles);
+    const accounts = [];
+    
+    // 多账户配置的结构错误重启也无法解决，直接退出
+    try {
+        checkProfiles(fileConfig);
+    } catch (error) {
+        log(`配置文件错误: ${error.message}`, true);
+        if (rl && !rl.closed) {
+            rl.close();
+        }
+        process.exit(CONFIG_ERROR_EXIT_CODE);
+    }
+    
+    // 依次读取每个账户的密钥（可能需要在终端输入口令），读取失败的账户不启动
+    for (const name of profileNames(fileConfig)) {
+        const account = createAccount(name, fileConfig, multiple);
+        try {
+            await accountStorage.run(account, getCredentials);
+        } catch (error) {
+            log(`${multiple ? `账户 ${name} ` : ''}无法读取API密钥: ${error.message}`, true);
+            if (multiple) {
+                log(`多账户时密钥环境变量带账户名前缀，例如 ${profileEnvName(name, 'BACKPACK_PRIVATE_KEY')}`, true);
+            }
+            continue;
+        }
+        // 同一个API密钥的两个账户会互相撤单和卖出对方的持仓
+        const duplicate = accounts.find(other => other.credentials.publicKey === account.credentials.publicKey);
+        if (duplicate) {
+            log(`账户 ${name} 与账户 ${duplicate.name} 使用相同的API密钥，不启动`, true);
+            continue;
+        }
+        accounts.push(account);
+    }
+    
+    // 密钥缺失或配置文件中有未允许的明文私钥时直接退出，重启也无法解决
+    if (accounts.length === 0) {
+        if (rl && !rl.closed) {
+            rl.close();
+        }
+        process.exit(CONFIG_ERROR_EXIT_CODE);
+    }
+    
+    process.on('SIGINT', () => handleStopSignal('SIGINT'));
+    process.on('SIGTERM', () => handleStopSignal('SIGTERM'));
+    // 终端中的 Ctrl-C 由 readline 接收
+    rl.on('SIGINT', () => handleStopSignal('SIGINT'));
+    
+    if (multiple) {
+        log(`启动 ${accounts.length} 个账户: ${accounts.map(account => account.name).join(', ')}`);
+        // 某个账户中没有处理的异步错误只记录下来，不让整个进程退出
+        process.on('unhandledRejection', (error) => {
+            log(`未处理的异步错误: ${error && error.stack ? error.stack : error}`, true);
+        });
+    }
+    
+    await Promise.all(accounts.map(account => accountStorage.run(account, () =>
+        runWithRestart().catch(error => log(`账户运行异常退出: ${error.message}`, true))
+    )));
     
     if (rl && !rl.closed) {
         rl.close();
@@ -1563,7 +2625,7 @@ async function runWithRestart() {
 }
 
 // 运行程序
-runWithRestart().catch(error => {
+runAllAccounts().catch(error => {
     log(`程序启动错误: ${error.message}`, true);
     if (rl && !rl.closed) {
         rl.close();
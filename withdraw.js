@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { BackpackClient } = require('./backpack_exchange-main/backpack_client');
+const { loadCredentials, readSecret } = require('./backpack_exchange-main/keystore');
+const { resolveProfile, profileEnv } = require('./account_profiles');
+
+const CONFIG_PATH = process.env.BACKPACK_TRADING_CONFIG
+    ? path.resolve(process.env.BACKPACK_TRADING_CONFIG)
+    : path.join(__dirname, 'backpack_trading_config.json');
+const USAGE = '用法: node withdraw.js <资产> <数量> <区块链> <地址> [--2fa [验证码]] [--no-wait] [--profile 账户]\n' +
+    '例如: node withdraw.js USDC 25 Solana 9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM --2fa';
+
+// --2fa 后面没有验证码时在终端输入
+function parseArgs(argv) {
+    const args = { positional: [], twoFactor: false, twoFactorToken: undefined, wait: true, profile: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--2fa') {
+            args.twoFactor = true;
+            if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+                args.twoFactorToken = argv[++i];
+            }
+        } else if (argv[i] === '--profile') {
+            args.profile = argv[++i];
+        } else if (argv[i] === '--no-wait') {
+            args.wait = false;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function ask(prompt) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(prompt, answer => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.positional.length !== 4) {
+        throw new Error(USAGE);
+    }
+    const [symbol, quantity, blockchain, address] = args.positional;
+    const fileConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    // 配置文件中有多个账户时必须指定从哪个账户提现
+    if (fileConfig.profiles && !args.profile) {
+        throw new Error(`配置文件中有多个账户，请用 --profile 指定: ${Object.keys(fileConfig.profiles).join(', ')}`);
+    }
+    const userConfig = resolveProfile(fileConfig, args.profile);
+    const withdrawalConfig = userConfig.withdrawal || {};
+    const advanced = userConfig.advanced || {};
+    const baseDir = path.dirname(CONFIG_PATH);
+    const interactive = Boolean(process.stdin.isTTY);
+
+    const { privateKey, publicKey } = await loadCredentials({
+        apiConfig: userConfig.api,
+        baseDir,
+        env: fileConfig.profiles ? profileEnv(args.profile) : process.env,
+        askPassphrase: interactive ? (file) => readSecret(`请输入密钥文件 ${file} 的口令: `) : undefined
+    });
+    const client = new BackpackClient(privateKey, publicKey, {
+        numericMode: advanced.numericMode,
+        window: advanced.receiveWindowMs,
+        environment: advanced.environment,
+        baseUrl: advanced.baseUrl,
+        wsUrl: advanced.wsUrl,
+        requestTimeoutMs: advanced.requestTimeoutMs,
+        proxy: advanced.proxy,
+        userAgent: advanced.userAgent,
+        strict: advanced.strictSchema
+    });
+    const withdrawals = client.createWithdrawalManager({
+        allowlist: withdrawalConfig.allowlist,
+        dailyLimits: withdrawalConfig.dailyLimits,
+        // 相对路径以配置文件所在目录为基准，与 api.keystoreFile 一致
+        auditFile: path.resolve(baseDir, withdrawalConfig.auditFile || 'logs/withdrawal_audit.log'),
+        pollIntervalMs: (withdrawalConfig.pollIntervalSeconds || 10) * 1000,
+        pollTimeoutMs: (withdrawalConfig.pollTimeoutMinutes || 30) * 60 * 1000,
+        // 没有二次验证码时需要在终端输入确认内容，非交互环境下无法确认，提现会被拒绝
+        confirm: interactive
+            ? async (summary, phrase) => {
+                console.log(summary);
+                return ask(`请输入 "${phrase}" 确认提现: `);
+            }
+            : undefined
+    });
+    withdrawals.on('status', (withdrawal) => console.log(`提现 ${withdrawal.id} 状态: ${withdrawal.status}`));
+
+    let twoFactorToken = args.twoFactorToken;
+    if (args.twoFactor && !twoFactorToken) {
+        twoFactorToken = (await readSecret('请输入二次验证码: ')).trim();
+    }
+    const result = await withdrawals.withdraw({ symbol, quantity, blockchain, address }, { twoFactorToken, wait: args.wait });
+    console.log(`提现 ${result.id}: ${result.quantity} ${result.symbol} -> ${result.toAddress}，状态 ${result.status}` +
+        (result.transactionHash ? `，交易哈希 ${result.transactionHash}` : ''));
+    return !args.wait || result.status === 'confirmed';
+}
+
+main().then(success => {
+    process.exit(success ? 0 : 1);
+}).catch(error => {
+    console.error(`提现失败: ${error.message}`);
+    process.exit(1);
+});